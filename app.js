@@ -4,18 +4,84 @@
  */
 
 import { KMLParser } from './modules/KMLParser.js';
-import { MapManager } from './modules/MapManager.js';
-import { CONFIG, updateTrackStyle, updateMapOpacity, updateIconScale } from './config.js';
+import { GPXParser } from './modules/GPXParser.js';
+import { GeoJSONParser } from './modules/GeoJSONParser.js';
+import { KMLSerializer } from './modules/KMLSerializer.js';
+import { LayerTree } from './modules/LayerTree.js';
+import { ElevationProfile } from './modules/ElevationProfile.js';
+import { MapManager, MAP_EVENTS } from './modules/MapManager.js';
+import { EventEmitter } from './modules/EventEmitter.js';
+import { TelemetryClient } from './modules/TelemetryClient.js';
+import { TelemetryReplay, REPLAY_SPEEDS } from './modules/TelemetryReplay.js';
+import { TimingEngine } from './modules/TimingEngine.js';
+import { LeaderboardPanel } from './modules/LeaderboardPanel.js';
+import { TileCache } from './modules/TileCache.js';
+import { MapLayerManager } from './modules/MapLayerManager.js';
+import { PresetStore } from './modules/PresetStore.js';
+import { RemoteChannel } from './modules/RemoteChannel.js';
+import { MapExporter } from './modules/MapExporter.js';
+import { TrackEditor } from './modules/TrackEditor.js';
+import { DiagnosticsPanel } from './modules/DiagnosticsPanel.js';
+import { CONFIG, getMapTypeConfig, updateConfig, saveConfigToStorage, updateTrackStyle, updateMapOpacity, updateIconScale, updateIconSettings, updateProfileSettings, updateLeaderboardSettings, updateOfflineSettings, updateImageExportSettings, updateCustomLayers, applySessionOverrides } from './config.js';
+import { pathLength, formatDistance } from './modules/GeoUtils.js';
+import { parseOverlayParams, buildOverlayParams, findFitTrack, LAYER_NAMES } from './modules/OverlayParams.js';
 
-class RallyTrackViewer {
+/**
+ * Events fired by RallyTrackViewer for scripts and plugins, with their detail:
+ * - kmlLoaded: {tracks, icons, areas, folders, warnings, source} for any track file; source is null for local files
+ * - styleChanged: {target: 'tracks'|'icons'|'map'|'preset', changes}
+ * - the MapManager events (MAP_EVENTS), passed on unchanged
+ */
+const APP_EVENTS = ['kmlLoaded', 'styleChanged', ...MAP_EVENTS];
+
+class RallyTrackViewer extends EventEmitter {
     constructor() {
+        super(APP_EVENTS);
+        
+        // URL parameters override the stored config for this page load (OBS browser sources)
+        const overlayParams = parseOverlayParams(window.location.search);
+        applySessionOverrides(overlayParams.config);
+        this.initialView = overlayParams.view;
+        
         // Initialize modules
         this.kmlParser = new KMLParser();
+        this.gpxParser = new GPXParser();
+        this.geoJSONParser = new GeoJSONParser();
+        this.kmlSerializer = new KMLSerializer();
         this.mapManager = new MapManager('map');
+        MAP_EVENTS.forEach(event => this.mapManager.on(event, (detail) => this.emit(event, detail)));
+        this.telemetryClient = new TelemetryClient(CONFIG.live.url);
+        this.telemetryReplay = new TelemetryReplay();
+        this.timingEngine = new TimingEngine(CONFIG.timing);
+        this.leaderboardFrame = null;
+        this.tileCache = new TileCache();
+        this.presetStore = new PresetStore();
+        this.remoteChannel = new RemoteChannel();
+        this.mapExporter = new MapExporter(this.mapManager);
+        this.trackEditor = new TrackEditor(this.mapManager);
+        
+        // Ids of remote commands already run; a controller may send on both transports
+        this.remoteCommandIds = new Set();
+        
+        // Show parse progress for large KML files
+        this.kmlParser.onProgress = (progress) => this.showLoadProgress(progress);
         
         // Application state
         this.tracks = [];
         this.icons = [];
+        this.areas = [];
+        this.folders = [];
+        this.sourceURL = null;
+        
+        // Icons offered for new placemarks, from TrackEditor.getIconTemplates()
+        this.placemarkTemplates = [];
+        
+        // Names of the plugins installed with registerPlugin()
+        this.plugins = [];
+        
+        // Problems found in the loaded file; the load id lets late icon checks see they are stale
+        this.diagnostics = [];
+        this.diagnosticsLoadId = 0;
         this.isInitialized = false;
         
         // UI elements
@@ -31,14 +97,33 @@ class RallyTrackViewer {
         try {
             // Initialize map
             this.mapManager.init({
-                center: [47.69, 17.63],
-                zoom: 13
+                center: this.initialView.center || [47.69, 17.63],
+                zoom: this.initialView.zoom ?? 13
             });
             
             // Initialize UI
             this.initializeUI();
+            this.layerTree = new LayerTree(this.elements.layerTree);
+            this.elevationProfile = new ElevationProfile(this.elements.profileContent);
+            this.setupElevationProfile();
+            this.leaderboard = new LeaderboardPanel(this.elements.leaderboardContent);
+            this.setupLeaderboard();
+            this.setupDebugStats();
+            this.mapLayerManager = new MapLayerManager(this.elements.mapLayers);
+            this.setupMapLayers();
+            this.setupEditor();
+            this.diagnosticsPanel = new DiagnosticsPanel(this.elements.diagnosticsPanel);
+            this.setupDiagnostics();
+            this.renderPresetOptions();
             this.setupEventListeners();
             this.initializeUIValues();
+            this.applyInitialView();
+            
+            // Connect live telemetry before loading KML so cars appear as early as possible
+            this.setupTelemetry();
+            this.setupReplay();
+            this.setupOfflineCache();
+            this.setupRemoteControl();
             
             // Auto-load default KML file if it exists
             await this.autoLoadKML();
@@ -60,21 +145,88 @@ class RallyTrackViewer {
             optionsMenu: document.getElementById('optionsMenu'),
             kmlFile: document.getElementById('kmlFile'),
             mapType: document.getElementById('mapType'),
+            mapLayers: document.getElementById('mapLayers'),
             transparentBg: document.getElementById('transparentBg'),
             showTracks: document.getElementById('showTracks'),
             showIcons: document.getElementById('showIcons'),
+            showZones: document.getElementById('showZones'),
+            showCars: document.getElementById('showCars'),
+            showProfile: document.getElementById('showProfile'),
+            profilePanel: document.getElementById('profilePanel'),
+            profileContent: document.getElementById('profileContent'),
+            showLeaderboard: document.getElementById('showLeaderboard'),
+            leaderboardPanel: document.getElementById('leaderboardPanel'),
+            leaderboardContent: document.getElementById('leaderboardContent'),
             trackColor: document.getElementById('trackColor'),
+            trackStyleMode: document.getElementById('trackStyleMode'),
+            trackRenderer: document.getElementById('trackRenderer'),
             trackWidth: document.getElementById('trackWidth'),
             trackWidthValue: document.getElementById('trackWidthValue'),
             trackOpacity: document.getElementById('trackOpacity'),
             trackOpacityValue: document.getElementById('trackOpacityValue'),
+            kmMarkers: document.getElementById('kmMarkers'),
+            kmMarkerInterval: document.getElementById('kmMarkerInterval'),
             mapOpacity: document.getElementById('mapOpacity'),
             mapOpacityValue: document.getElementById('mapOpacityValue'),
             iconSize: document.getElementById('iconSize'),
             iconSizeValue: document.getElementById('iconSizeValue'),
+            clusterIcons: document.getElementById('clusterIcons'),
+            clusterCategories: document.getElementById('clusterCategories'),
             clearCache: document.getElementById('clearCache'),
+            presetSelect: document.getElementById('presetSelect'),
+            presetSave: document.getElementById('presetSave'),
+            presetDelete: document.getElementById('presetDelete'),
+            presetExport: document.getElementById('presetExport'),
+            presetImport: document.getElementById('presetImport'),
+            presetFile: document.getElementById('presetFile'),
+            exportGeoJSON: document.getElementById('exportGeoJSON'),
+            exportKML: document.getElementById('exportKML'),
+            showDiagnostics: document.getElementById('showDiagnostics'),
+            diagnosticsPanel: document.getElementById('diagnosticsPanel'),
+            exportScale: document.getElementById('exportScale'),
+            exportTiles: document.getElementById('exportTiles'),
+            exportAttribution: document.getElementById('exportAttribution'),
+            exportPNG: document.getElementById('exportPNG'),
+            exportSVG: document.getElementById('exportSVG'),
+            copyOverlayURL: document.getElementById('copyOverlayURL'),
+            editMode: document.getElementById('editMode'),
+            editPanel: document.getElementById('editPanel'),
+            editUndo: document.getElementById('editUndo'),
+            editRedo: document.getElementById('editRedo'),
+            editSplit: document.getElementById('editSplit'),
+            editJoin: document.getElementById('editJoin'),
+            editDelete: document.getElementById('editDelete'),
+            editDone: document.getElementById('editDone'),
+            editStatus: document.getElementById('editStatus'),
+            placemarkName: document.getElementById('placemarkName'),
+            placemarkDescription: document.getElementById('placemarkDescription'),
+            placemarkIcon: document.getElementById('placemarkIcon'),
+            placemarkAdd: document.getElementById('placemarkAdd'),
+            layerTree: document.getElementById('layerTree'),
             trackCount: document.getElementById('trackCount'),
             iconCount: document.getElementById('iconCount'),
+            zoneCount: document.getElementById('zoneCount'),
+            trackLengths: document.getElementById('trackLengths'),
+            carCount: document.getElementById('carCount'),
+            liveEnabled: document.getElementById('liveEnabled'),
+            liveStatus: document.getElementById('liveStatus'),
+            loadProgress: document.getElementById('loadProgress'),
+            loadProgressBar: document.getElementById('loadProgressBar'),
+            loadProgressLabel: document.getElementById('loadProgressLabel'),
+            replayFile: document.getElementById('replayFile'),
+            replayPanel: document.getElementById('replayPanel'),
+            replayPlay: document.getElementById('replayPlay'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            replayScrubber: document.getElementById('replayScrubber'),
+            replayTime: document.getElementById('replayTime'),
+            replayClose: document.getElementById('replayClose'),
+            debugStats: document.getElementById('debugStats'),
+            offlineMinZoom: document.getElementById('offlineMinZoom'),
+            offlineMaxZoom: document.getElementById('offlineMaxZoom'),
+            offlineEstimate: document.getElementById('offlineEstimate'),
+            offlinePrefetch: document.getElementById('offlinePrefetch'),
+            offlineClear: document.getElementById('offlineClear'),
+            offlineStatus: document.getElementById('offlineStatus'),
         };
     }
 
@@ -127,6 +279,135 @@ class RallyTrackViewer {
             });
         }
 
+        // Show zones toggle
+        if (this.elements.showZones) {
+            this.elements.showZones.addEventListener('change', (e) => {
+                this.toggleZones(e.target.checked);
+            });
+        }
+
+        // Elevation profile toggle
+        if (this.elements.showProfile) {
+            this.elements.showProfile.addEventListener('change', (e) => {
+                this.toggleElevationProfile(e.target.checked);
+            });
+        }
+
+        // Leaderboard toggle
+        if (this.elements.showLeaderboard) {
+            this.elements.showLeaderboard.addEventListener('change', (e) => {
+                this.toggleLeaderboard(e.target.checked);
+            });
+        }
+
+        // Show cars toggle
+        if (this.elements.showCars) {
+            this.elements.showCars.addEventListener('change', (e) => {
+                this.toggleCars(e.target.checked);
+            });
+        }
+
+        // Live positions toggle
+        if (this.elements.liveEnabled) {
+            this.elements.liveEnabled.addEventListener('change', (e) => {
+                this.toggleLiveTelemetry(e.target.checked);
+            });
+        }
+
+        // Replay recording input
+        if (this.elements.replayFile) {
+            this.elements.replayFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadReplayFile(file);
+                }
+            });
+        }
+
+        // Replay play/pause button
+        if (this.elements.replayPlay) {
+            this.elements.replayPlay.addEventListener('click', () => {
+                this.telemetryReplay.togglePlay();
+            });
+        }
+
+        // Replay speed selector
+        if (this.elements.replaySpeed) {
+            this.elements.replaySpeed.addEventListener('change', (e) => {
+                this.telemetryReplay.setSpeed(parseInt(e.target.value));
+            });
+        }
+
+        // Replay scrubber
+        if (this.elements.replayScrubber) {
+            this.elements.replayScrubber.addEventListener('input', (e) => {
+                this.telemetryReplay.seek(parseInt(e.target.value));
+            });
+        }
+
+        // Replay close button
+        if (this.elements.replayClose) {
+            this.elements.replayClose.addEventListener('click', () => {
+                this.closeReplay();
+            });
+        }
+
+        // Edit mode toggle and toolbar
+        if (this.elements.editMode) {
+            this.elements.editMode.addEventListener('change', (e) => {
+                this.toggleEditMode(e.target.checked);
+            });
+        }
+        if (this.elements.editUndo) {
+            this.elements.editUndo.addEventListener('click', () => {
+                this.trackEditor.undo();
+            });
+        }
+        if (this.elements.editRedo) {
+            this.elements.editRedo.addEventListener('click', () => {
+                this.trackEditor.redo();
+            });
+        }
+        if (this.elements.editSplit) {
+            this.elements.editSplit.addEventListener('click', () => {
+                this.trackEditor.splitTrack();
+            });
+        }
+        if (this.elements.editJoin) {
+            this.elements.editJoin.addEventListener('click', () => {
+                this.trackEditor.startJoin();
+            });
+        }
+        if (this.elements.editDelete) {
+            this.elements.editDelete.addEventListener('click', () => {
+                this.trackEditor.deleteSelected();
+            });
+        }
+        if (this.elements.editDone) {
+            this.elements.editDone.addEventListener('click', () => {
+                this.toggleEditMode(false);
+            });
+        }
+        if (this.elements.placemarkAdd) {
+            this.elements.placemarkAdd.addEventListener('click', () => {
+                this.addPlacemark();
+            });
+        }
+
+        // Track style mode selector
+        if (this.elements.trackStyleMode) {
+            this.elements.trackStyleMode.addEventListener('change', (e) => {
+                this.updateTrackStyleMode(e.target.value);
+            });
+        }
+
+        // Track renderer selector
+        if (this.elements.trackRenderer) {
+            this.elements.trackRenderer.addEventListener('change', (e) => {
+                this.updateTrackRenderer(e.target.value);
+            });
+        }
+
         // Track color picker
         if (this.elements.trackColor) {
             this.elements.trackColor.addEventListener('change', (e) => {
@@ -156,6 +437,23 @@ class RallyTrackViewer {
             });
         }
 
+        // Kilometre posts toggle
+        if (this.elements.kmMarkers) {
+            this.elements.kmMarkers.addEventListener('change', (e) => {
+                this.updateKmMarkers(e.target.checked);
+            });
+        }
+
+        // Kilometre post interval
+        if (this.elements.kmMarkerInterval) {
+            this.elements.kmMarkerInterval.addEventListener('change', (e) => {
+                const interval = parseFloat(e.target.value);
+                if (interval > 0) {
+                    this.updateKmMarkerInterval(interval);
+                }
+            });
+        }
+
         // Map opacity slider
         if (this.elements.mapOpacity) {
             this.elements.mapOpacity.addEventListener('input', (e) => {
@@ -178,6 +476,87 @@ class RallyTrackViewer {
             });
         }
 
+        // Offline tile cache zoom range
+        [this.elements.offlineMinZoom, this.elements.offlineMaxZoom].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => this.updateOfflineZoomRange());
+            }
+        });
+
+        // Offline tile cache buttons
+        if (this.elements.offlinePrefetch) {
+            this.elements.offlinePrefetch.addEventListener('click', () => {
+                this.toggleTilePrefetch();
+            });
+        }
+        if (this.elements.offlineClear) {
+            this.elements.offlineClear.addEventListener('click', () => {
+                this.clearTileCache();
+            });
+        }
+
+        // Icon clustering toggle
+        if (this.elements.clusterIcons) {
+            this.elements.clusterIcons.addEventListener('change', (e) => {
+                this.updateIconClustering(e.target.checked);
+            });
+        }
+
+        // Export GeoJSON button
+        if (this.elements.exportGeoJSON) {
+            this.elements.exportGeoJSON.addEventListener('click', () => {
+                this.exportGeoJSON();
+            });
+        }
+        
+        // Export KML button
+        if (this.elements.exportKML) {
+            this.elements.exportKML.addEventListener('click', () => {
+                this.exportKML();
+            });
+        }
+        
+        // Diagnostics button
+        if (this.elements.showDiagnostics) {
+            this.elements.showDiagnostics.addEventListener('click', () => {
+                this.toggleDiagnostics(true);
+            });
+        }
+
+        // Image export settings and buttons
+        if (this.elements.exportScale) {
+            this.elements.exportScale.addEventListener('change', (e) => {
+                updateImageExportSettings({ scale: parseInt(e.target.value) });
+            });
+        }
+        if (this.elements.exportTiles) {
+            this.elements.exportTiles.addEventListener('change', (e) => {
+                updateImageExportSettings({ tiles: e.target.checked });
+            });
+        }
+        if (this.elements.exportAttribution) {
+            this.elements.exportAttribution.addEventListener('change', (e) => {
+                updateImageExportSettings({ attribution: e.target.checked });
+            });
+        }
+        if (this.elements.exportPNG) {
+            this.elements.exportPNG.addEventListener('click', () => {
+                this.exportPNG();
+            });
+        }
+        if (this.elements.exportSVG) {
+            this.elements.exportSVG.addEventListener('click', () => {
+                this.exportSVG();
+            });
+        }
+
+        // Copy overlay URL button
+        if (this.elements.copyOverlayURL) {
+            this.elements.copyOverlayURL.addEventListener('click', () => {
+                this.copyOverlayURL();
+            });
+        }
+
         // Clear cache button
         if (this.elements.clearCache) {
             this.elements.clearCache.addEventListener('click', () => {
@@ -186,55 +565,1544 @@ class RallyTrackViewer {
             });
         }
 
+        // Presets: picking one applies it straight away
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.applyPreset(e.target.value);
+                }
+            });
+        }
+        if (this.elements.presetSave) {
+            this.elements.presetSave.addEventListener('click', () => {
+                this.savePreset();
+            });
+        }
+        if (this.elements.presetDelete) {
+            this.elements.presetDelete.addEventListener('click', () => {
+                this.deletePreset();
+            });
+        }
+        if (this.elements.presetExport) {
+            this.elements.presetExport.addEventListener('click', () => {
+                this.exportPreset();
+            });
+        }
+        if (this.elements.presetImport && this.elements.presetFile) {
+            this.elements.presetImport.addEventListener('click', () => {
+                this.elements.presetFile.click();
+            });
+            this.elements.presetFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.importPreset(e.target.files[0]);
+                }
+                // Allow importing the same file again
+                e.target.value = '';
+            });
+        }
+
+    }
+
+    /**
+     * Link the elevation profile and the map so hovering either shows the position on both
+     */
+    setupElevationProfile() {
+        this.elevationProfile.onHover = (point) => {
+            this.mapManager.showCursor(point.lat, point.lon);
+        };
+        
+        this.elevationProfile.onHoverEnd = () => {
+            this.mapManager.hideCursor();
+        };
+        
+        this.mapManager.onTrackClick = (track, latlng) => {
+            if (this.trackEditor.active) {
+                this.trackEditor.clickTrack(track, latlng);
+            } else {
+                this.elevationProfile.selectTrack(track);
+            }
+        };
+        
+        this.mapManager.onTrackHover = (track, distance) => {
+            if (this.elevationProfile.getSelectedTrack() === track) {
+                this.elevationProfile.highlightDistance(distance);
+            }
+        };
+        
+        this.mapManager.onTrackHoverEnd = () => {
+            this.elevationProfile.clearHighlight();
+        };
+        
+        this.toggleElevationProfile(CONFIG.ui.profile.visible);
+    }
+
+    /**
+     * Connect the track editor to the map and the edit toolbar
+     */
+    setupEditor() {
+        this.trackEditor.onChange = (tracks, icons) => this.handleEdit(tracks, icons);
+        this.trackEditor.onStatus = (message) => this.updateEditStatus(message);
+        
+        this.mapManager.onIconClick = (icon) => this.trackEditor.selectIcon(icon);
+        this.mapManager.onIconDragEnd = (icon, latlng) => this.trackEditor.moveIcon(icon, latlng);
+        
+        this.updateEditStatus('');
+    }
+
+    /**
+     * Connect the diagnostics panel to the map
+     */
+    setupDiagnostics() {
+        this.diagnosticsPanel.onZoom = (warning) => this.mapManager.focusBounds(warning.bounds);
+        this.diagnosticsPanel.onClose = () => this.toggleDiagnostics(false);
+        this.setDiagnostics([]);
+    }
+
+    /**
+     * Replace the problems shown for the loaded file
+     * @param {Array} warnings - Array of {type, message, placemark, line, bounds}
+     */
+    setDiagnostics(warnings) {
+        this.diagnostics = warnings;
+        this.diagnosticsLoadId++;
+        this.mapManager.clearFocus();
+        this.renderDiagnostics();
+    }
+
+    /**
+     * Add problems found after loading, e.g. icon images that fail to load
+     * @param {Array} warnings - Warnings to append
+     */
+    addDiagnostics(warnings) {
+        this.diagnostics = [...this.diagnostics, ...warnings];
+        this.renderDiagnostics();
+    }
+
+    /**
+     * Redraw the diagnostics panel and the problem count on its button
+     */
+    renderDiagnostics() {
+        this.diagnosticsPanel.render(this.diagnostics);
+        
+        if (this.elements.showDiagnostics) {
+            this.elements.showDiagnostics.textContent = this.diagnostics.length > 0
+                ? `Diagnostics (${this.diagnostics.length})`
+                : 'Diagnostics';
+        }
+    }
+
+    /**
+     * Show or hide the diagnostics panel
+     * @param {boolean} visible - Whether the panel should be visible
+     */
+    toggleDiagnostics(visible) {
+        if (this.elements.diagnosticsPanel) {
+            this.elements.diagnosticsPanel.classList.toggle('hidden', !visible);
+        }
+        if (!visible) {
+            this.mapManager.clearFocus();
+        }
+    }
+
+    /**
+     * Report icon images that cannot be loaded
+     * Each distinct URL is tried once; the warning points at the first placemark using it
+     * @param {Array} icons - Array of icon objects
+     */
+    checkIconImages(icons) {
+        const loadId = this.diagnosticsLoadId;
+        const byURL = new Map();
+        
+        icons.forEach(icon => {
+            if (icon.iconUrl) {
+                if (!byURL.has(icon.iconUrl)) {
+                    byURL.set(icon.iconUrl, []);
+                }
+                byURL.get(icon.iconUrl).push(icon);
+            }
+        });
+        
+        byURL.forEach((users, url) => {
+            const image = new Image();
+            image.onerror = () => {
+                // Another file has been loaded since
+                if (loadId !== this.diagnosticsLoadId) {
+                    return;
+                }
+                
+                const [{ name, folderPath, position }] = users;
+                this.addDiagnostics([{
+                    type: 'missingIcon',
+                    message: `Icon image ${url.startsWith('blob:') ? 'from the KMZ' : url} could not be loaded (used by ${users.length} placemark${users.length === 1 ? '' : 's'})`,
+                    placemark: [...(folderPath || []), name].join(' / '),
+                    line: null,
+                    bounds: [[position.lat, position.lon], [position.lat, position.lon]]
+                }]);
+                
+                // As after parsing, only a local file opens the panel by itself
+                if (!this.sourceURL) {
+                    this.toggleDiagnostics(true);
+                }
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Show the frame rate and drawn track points when debug stats are enabled
+     */
+    setupDebugStats() {
+        if (!CONFIG.debug.showStats || !this.elements.debugStats) {
+            return;
+        }
+        
+        this.elements.debugStats.classList.remove('hidden');
+        
+        let frames = 0;
+        let since = performance.now();
+        const tick = (now) => {
+            frames++;
+            
+            // Refresh twice a second so the readout itself costs next to nothing
+            if (now - since >= 500) {
+                const fps = Math.round(frames * 1000 / (now - since));
+                const { drawn, total } = this.mapManager.getTrackPointStats();
+                this.elements.debugStats.textContent = `${fps} fps · ${drawn.toLocaleString()} / ${total.toLocaleString()} points`;
+                frames = 0;
+                since = now;
+            }
+            
+            requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    }
+
+    /**
+     * Show or hide the elevation profile panel
+     * @param {boolean} visible - Whether the panel should be visible
+     */
+    toggleElevationProfile(visible) {
+        if (this.elements.profilePanel) {
+            this.elements.profilePanel.classList.toggle('hidden', !visible);
+        }
+        if (this.elements.showProfile) {
+            this.elements.showProfile.checked = visible;
+        }
+        
+        if (CONFIG.ui.profile.visible !== visible) {
+            updateProfileSettings({ visible: visible });
+        }
+    }
+
+    /**
+     * Connect the leaderboard's stage selector to the timing engine
+     */
+    setupLeaderboard() {
+        this.leaderboard.onStageChange = (track) => {
+            this.timingEngine.setStage(track);
+            this.updateLeaderboard();
+        };
+        
+        this.toggleLeaderboard(CONFIG.ui.leaderboard.visible);
+        this.updateLeaderboard();
+    }
+
+    /**
+     * Show or hide the leaderboard panel
+     * @param {boolean} visible - Whether the panel should be visible
+     */
+    toggleLeaderboard(visible) {
+        if (this.elements.leaderboardPanel) {
+            this.elements.leaderboardPanel.classList.toggle('hidden', !visible);
+        }
+        if (this.elements.showLeaderboard) {
+            this.elements.showLeaderboard.checked = visible;
+        }
+        
+        if (CONFIG.ui.leaderboard.visible !== visible) {
+            updateLeaderboardSettings({ visible: visible });
+        }
+    }
+
+    /**
+     * Feed a car position (live or replayed) to the timing engine
+     * @param {Object} position - Car position
+     */
+    recordTiming(position) {
+        this.timingEngine.processPosition(position);
+        
+        // Positions arrive per car and every frame during replay; redraw at most once per frame
+        if (!this.leaderboardFrame) {
+            this.leaderboardFrame = requestAnimationFrame(() => {
+                this.leaderboardFrame = null;
+                this.updateLeaderboard();
+            });
+        }
+    }
+
+    /**
+     * Redraw the leaderboard from the timing engine
+     */
+    updateLeaderboard() {
+        this.leaderboard.render(
+            this.timingEngine.getLeaderboard(),
+            this.timingEngine.getBestSplitTimes(),
+            this.timingEngine.getSplitDistances()
+        );
+    }
+
+    /**
+     * Wire telemetry callbacks to the map and connect if enabled
+     */
+    setupTelemetry() {
+        this.telemetryClient.onPosition = (position) => {
+            this.mapManager.updateCarPosition(position);
+            this.recordTiming(position);
+            this.updateCarCount();
+        };
+        
+        this.telemetryClient.onStaleChange = (carId, stale) => {
+            this.mapManager.setCarStale(carId, stale);
+        };
+        
+        this.telemetryClient.onStatusChange = (status) => {
+            if (this.elements.liveStatus) {
+                this.elements.liveStatus.textContent = status;
+            }
+        };
+        
+        if (CONFIG.live.enabled) {
+            this.toggleLiveTelemetry(true);
+        }
+    }
+
+    /**
+     * Start or stop the live telemetry feed
+     * @param {boolean} enabled - Whether live positions should be received
+     */
+    toggleLiveTelemetry(enabled) {
+        if (this.elements.liveEnabled) {
+            this.elements.liveEnabled.checked = enabled;
+        }
+        
+        // Live and replayed cars share the map markers, so only one source runs at a time
+        if (enabled && this.telemetryReplay.isLoaded()) {
+            this.closeReplay();
+        }
+        
+        if (enabled) {
+            this.telemetryClient.connect();
+        } else {
+            this.telemetryClient.disconnect();
+            this.mapManager.clearCars();
+            this.timingEngine.reset();
+            this.updateLeaderboard();
+            this.updateCarCount();
+        }
+        
+        console.log(`RallyTrackViewer: Live telemetry ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Wire replay callbacks to the same car markers live telemetry uses
+     */
+    setupReplay() {
+        this.telemetryReplay.onPosition = (position) => {
+            this.mapManager.updateCarPosition(position, false);
+            this.recordTiming(position);
+            this.updateCarCount();
+        };
+        
+        this.telemetryReplay.onStaleChange = (carId, stale) => {
+            this.mapManager.setCarStale(carId, stale);
+        };
+        
+        this.telemetryReplay.onCarRemoved = (carId) => {
+            this.mapManager.removeCar(carId);
+            this.updateCarCount();
+        };
+        
+        this.telemetryReplay.onTimeChange = (elapsed, duration) => {
+            if (this.elements.replayScrubber) {
+                this.elements.replayScrubber.max = duration;
+                this.elements.replayScrubber.value = elapsed;
+            }
+            if (this.elements.replayTime) {
+                this.elements.replayTime.textContent = `${this.formatReplayTime(elapsed)} / ${this.formatReplayTime(duration)}`;
+            }
+        };
+        
+        this.telemetryReplay.onPlayStateChange = (playing) => {
+            if (this.elements.replayPlay) {
+                this.elements.replayPlay.textContent = playing ? '⏸' : '▶';
+            }
+        };
+        
+        if (this.elements.replaySpeed) {
+            this.elements.replaySpeed.innerHTML = '';
+            REPLAY_SPEEDS.forEach(speed => {
+                const option = document.createElement('option');
+                option.value = speed;
+                option.textContent = `${speed}x`;
+                this.elements.replaySpeed.appendChild(option);
+            });
+            this.elements.replaySpeed.value = this.telemetryReplay.speed;
+        }
+    }
+
+    /**
+     * Load a recorded telemetry file and show the replay controls
+     * @param {File} file - CSV or NDJSON recording
+     */
+    async loadReplayFile(file) {
+        try {
+            const text = await file.text();
+            
+            if (this.telemetryClient.getStatus() !== 'disconnected') {
+                this.toggleLiveTelemetry(false);
+            }
+            this.mapManager.clearCars();
+            this.timingEngine.reset();
+            
+            const { cars, duration } = this.telemetryReplay.load(text);
+            
+            if (this.elements.replayPanel) {
+                this.elements.replayPanel.classList.remove('hidden');
+            }
+            this.updateCarCount();
+            this.showMessage(`Replay loaded: ${cars} cars, ${this.formatReplayTime(duration)}`, 'success');
+        } catch (error) {
+            console.error('RallyTrackViewer: Error loading replay:', error);
+            this.showMessage('Error loading replay: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Stop the replay, remove its cars and hide the controls
+     */
+    closeReplay() {
+        this.telemetryReplay.unload();
+        this.timingEngine.reset();
+        this.updateLeaderboard();
+        this.updateCarCount();
+        
+        if (this.elements.replayPanel) {
+            this.elements.replayPanel.classList.add('hidden');
+        }
+        if (this.elements.replayFile) {
+            this.elements.replayFile.value = '';
+        }
+    }
+
+    /**
+     * Connect the map layer manager to the config and the map
+     */
+    setupMapLayers() {
+        const save = (layers) => {
+            updateCustomLayers(layers);
+            this.applyCustomLayers();
+        };
+        
+        this.mapLayerManager.onSave = (layer) => {
+            const layers = CONFIG.map.customLayers.slice();
+            const index = layers.findIndex(existing => existing.id === layer.id);
+            if (index >= 0) {
+                layers[index] = layer;
+            } else {
+                layers.push(layer);
+            }
+            save(layers);
+            console.log(`RallyTrackViewer: Map layer ${layer.name} saved`);
+        };
+        
+        this.mapLayerManager.onRemove = (id) => {
+            save(CONFIG.map.customLayers.filter(layer => layer.id !== id));
+            console.log(`RallyTrackViewer: Map layer ${id} removed`);
+        };
+        
+        // Toggles and opacity only touch the overlays; re-rendering the list would interrupt a slider drag
+        this.mapLayerManager.onChange = (id, changes) => {
+            updateCustomLayers(CONFIG.map.customLayers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)));
+            this.mapManager.setOverlayLayers(CONFIG.map.customLayers.filter(layer => layer.kind === 'overlay'));
+        };
+        
+        this.applyCustomLayers();
+    }
+
+    /**
+     * Show the custom layers in the menu, map type selector and on the map
+     */
+    applyCustomLayers() {
+        const layers = CONFIG.map.customLayers;
+        this.mapLayerManager.render(layers);
+        this.renderMapTypeOptions();
+        
+        // Fall back to OpenStreetMap if the base map in use was removed; reload it if it was edited
+        const current = this.mapManager.getCurrentMapType();
+        if (current !== 'none' && !getMapTypeConfig(current)) {
+            this.changeMapType('osm');
+        } else if (layers.some(layer => layer.id === current)) {
+            this.mapManager.setMapType(current);
+        }
+        if (this.elements.mapType) {
+            this.elements.mapType.value = this.mapManager.getCurrentMapType();
+        }
+        
+        this.mapManager.setOverlayLayers(layers.filter(layer => layer.kind === 'overlay'));
+        
+        // The base map in use may have been allowed or refused offline caching
+        this.updateOfflineEstimate();
+    }
+
+    /**
+     * Fill the map type selector with the built-in and custom base maps
+     */
+    renderMapTypeOptions() {
+        const select = this.elements.mapType;
+        if (!select) {
+            return;
+        }
+        
+        select.innerHTML = '';
+        this.getMapTypeOptions().forEach(([value, name]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = this.mapManager.getCurrentMapType();
+    }
+
+    /**
+     * List the selectable map types
+     * @returns {Array} [value, name] pairs: built-in, custom base maps, then 'none'
+     */
+    getMapTypeOptions() {
+        return [
+            ...Object.entries(CONFIG.map.mapTypes).map(([value, mapConfig]) => [value, mapConfig.name]),
+            ...CONFIG.map.customLayers.filter(layer => layer.kind === 'base').map(layer => [layer.id, layer.name]),
+            ['none', 'None (Transparent)']
+        ];
+    }
+
+    /**
+     * Listen for commands from the controller page
+     */
+    setupRemoteControl() {
+        if (!CONFIG.remote.enabled) {
+            return;
+        }
+        
+        this.remoteChannel.onMessage = (message) => {
+            if (message.type === 'command') {
+                this.handleRemoteCommand(message);
+            }
+        };
+        
+        // Controllers that connect over the relay ask for state; also announce it on connect
+        this.remoteChannel.onStatusChange = (status) => {
+            if (status === 'connected') {
+                this.publishRemoteState();
+            }
+        };
+        
+        this.remoteChannel.open();
+    }
+
+    /**
+     * Run a remote command and reply with the result and the new state
+     * @param {Object} message - {id, command, args}
+     */
+    handleRemoteCommand({ id, command, args }) {
+        if (id !== undefined) {
+            if (this.remoteCommandIds.has(id)) {
+                return;
+            }
+            this.remoteCommandIds.add(id);
+            
+            // Keep only recent ids
+            if (this.remoteCommandIds.size > 100) {
+                this.remoteCommandIds.delete(this.remoteCommandIds.values().next().value);
+            }
+        }
+        
+        try {
+            this.executeCommand(command, args || {});
+            this.remoteChannel.send({ type: 'result', id, ok: true });
+            console.log(`RallyTrackViewer: Remote command ${command}`, args || '');
+        } catch (error) {
+            console.warn(`RallyTrackViewer: Remote command ${command} failed:`, error.message);
+            this.remoteChannel.send({ type: 'result', id, ok: false, error: error.message });
+        }
+        
+        this.publishRemoteState();
+    }
+
+    /**
+     * Run a command by name; used by the remote control
+     * @param {string} command - Command name
+     * @param {Object} args - Command arguments
+     * @throws {Error} If the command or its arguments are invalid
+     */
+    executeCommand(command, args) {
+        const commands = {
+            getState: () => {},
+            setMapType: ({ mapType }) => {
+                if (mapType !== 'none' && !getMapTypeConfig(mapType)) {
+                    throw new Error(`Unknown map type: ${mapType}`);
+                }
+                this.applyView({ mapType });
+            },
+            setTransparent: ({ enabled }) => this.applyView({ transparent: Boolean(enabled) }),
+            setLayer: ({ layer, visible }) => {
+                if (!LAYER_NAMES.includes(layer)) {
+                    throw new Error(`Unknown layer: ${layer}`);
+                }
+                this.applyView({ layers: { ...this.getViewState().layers, [layer]: Boolean(visible) } });
+            },
+            setProfile: ({ visible }) => this.toggleElevationProfile(Boolean(visible)),
+            setLeaderboard: ({ visible }) => this.toggleLeaderboard(Boolean(visible)),
+            selectStage: ({ stage }) => this.selectStage(stage),
+            setView: ({ lat, lon, zoom }) => {
+                if (!isFinite(lat) || !isFinite(lon)) {
+                    throw new Error('setView needs numeric lat and lon');
+                }
+                this.mapManager.setView(Number(lat), Number(lon), isFinite(zoom) ? Number(zoom) : this.mapManager.getZoom());
+            },
+            fitToContent: () => this.mapManager.fitToContent(this.tracks, this.icons, this.areas),
+            applyPreset: ({ name }) => {
+                if (!this.presetStore.has(name)) {
+                    throw new Error(`Unknown preset: ${name}`);
+                }
+                this.applyPreset(name);
+            }
+        };
+        
+        if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+            throw new Error(`Unknown command: ${command}`);
+        }
+        commands[command](args);
+    }
+
+    /**
+     * Make a stage the focus: timing, elevation profile and map view
+     * @param {string|number} stage - Track name or 1-based number
+     * @throws {Error} If no track matches
+     */
+    selectStage(stage) {
+        const track = findFitTrack(this.tracks, String(stage));
+        if (!track) {
+            throw new Error(`Unknown stage: ${stage}`);
+        }
+        
+        this.leaderboard.selectTrack(track);
+        this.timingEngine.setStage(track);
+        this.updateLeaderboard();
+        this.elevationProfile.selectTrack(track);
+        this.mapManager.fitToContent([track]);
+    }
+
+    /**
+     * Send the overlay state to controllers so they can mirror it
+     */
+    publishRemoteState() {
+        if (!CONFIG.remote.enabled) {
+            return;
+        }
+        
+        const selected = this.leaderboard ? this.leaderboard.getSelectedTrack() : null;
+        const center = this.mapManager.getCenter();
+        
+        this.remoteChannel.send({
+            type: 'state',
+            state: {
+                ...this.getViewState(),
+                mapTypes: this.getMapTypeOptions(),
+                profile: CONFIG.ui.profile.visible,
+                leaderboard: CONFIG.ui.leaderboard.visible,
+                stages: this.tracks.map((track, index) => track.name || `Track ${index + 1}`),
+                stage: selected ? this.tracks.indexOf(selected) + 1 : 0,
+                presets: this.presetStore.getNames(),
+                center: center ? { lat: center.lat, lon: center.lng } : null,
+                zoom: this.mapManager.getZoom()
+            }
+        });
+    }
+
+    /**
+     * Register the tile cache service worker and report its progress in the Offline section
+     */
+    setupOfflineCache() {
+        this.tileCache.onProgress = ({ done, total, failed, bytes }) => {
+            this.setOfflineStatus(`${done} / ${total} tiles · ${this.formatBytes(bytes)}${failed > 0 ? ` · ${failed} failed` : ''}`);
+        };
+        
+        this.tileCache.onComplete = ({ done, total, failed, bytes, cancelled, interrupted }) => {
+            if (this.elements.offlinePrefetch) {
+                this.elements.offlinePrefetch.textContent = 'Cache Tiles';
+            }
+            const summary = `${done - failed} of ${total} tiles cached · ${this.formatBytes(bytes)}`;
+            if (cancelled) {
+                this.setOfflineStatus(`Cancelled: ${summary}`);
+            } else if (interrupted) {
+                this.setOfflineStatus(`Interrupted: ${summary}`);
+                this.showMessage('Tile caching stopped responding; start it again to fetch the rest', 'error');
+            } else {
+                this.setOfflineStatus(summary);
+            }
+            if (failed > 0 && !cancelled && !interrupted) {
+                this.showMessage(`${failed} tiles could not be downloaded`, 'error');
+            }
+        };
+        
+        // Registration is not awaited; the map works without it
+        this.tileCache.register().then(async (available) => {
+            if (!available) {
+                this.setOfflineStatus('Offline cache needs the page served over http(s)');
+                return;
+            }
+            const count = await this.tileCache.getCachedCount();
+            this.setOfflineStatus(count > 0 ? `${count} tiles cached` : 'No tiles cached');
+        });
+    }
+
+    /**
+     * Get the area covered by the loaded tracks, padded by CONFIG.offline.padding
+     * @returns {Object|null} {south, west, north, east} or null without tracks
+     */
+    getTrackBounds() {
+        let south = Infinity;
+        let west = Infinity;
+        let north = -Infinity;
+        let east = -Infinity;
+        
+        this.tracks.forEach(track => {
+            track.points.forEach(point => {
+                south = Math.min(south, point.lat);
+                north = Math.max(north, point.lat);
+                west = Math.min(west, point.lon);
+                east = Math.max(east, point.lon);
+            });
+        });
+        
+        if (south === Infinity) {
+            return null;
+        }
+        
+        const padLat = (north - south) * CONFIG.offline.padding;
+        const padLon = (east - west) * CONFIG.offline.padding;
+        return {
+            south: south - padLat,
+            west: west - padLon,
+            north: north + padLat,
+            east: east + padLon
+        };
+    }
+
+    /**
+     * Get the map type config to cache tiles for
+     * @returns {Object|null} Current map type config, or null if its tiles may not be cached
+     */
+    getCacheableMapType() {
+        const mapConfig = getMapTypeConfig(this.mapManager.getCurrentMapType());
+        return this.tileCache.canPrefetch(mapConfig) ? mapConfig : null;
+    }
+
+    /**
+     * Explain why the current map type is not cached
+     * @returns {string} Message for the offline section
+     */
+    getUncacheableReason() {
+        const mapConfig = getMapTypeConfig(this.mapManager.getCurrentMapType());
+        return !mapConfig || mapConfig.local ? 'This map type needs no caching' : 'This map type cannot be cached';
+    }
+
+    /**
+     * Show the tile count and download size for the current map type, tracks and zoom range
+     */
+    updateOfflineEstimate() {
+        if (!this.elements.offlineEstimate) {
+            return;
+        }
+        
+        const bounds = this.getTrackBounds();
+        const mapConfig = this.getCacheableMapType();
+        
+        let text;
+        if (!bounds) {
+            text = 'Load a track first';
+        } else if (!mapConfig) {
+            text = this.getUncacheableReason();
+        } else {
+            const { count, bytes } = this.tileCache.estimate(mapConfig, bounds, CONFIG.offline.minZoom, CONFIG.offline.maxZoom);
+            text = `${count} tiles · ~${this.formatBytes(bytes)}`;
+            if (count > CONFIG.offline.maxTiles) {
+                text += ' (too many)';
+            }
+        }
+        
+        this.elements.offlineEstimate.textContent = text;
+    }
+
+    /**
+     * Read the zoom range inputs into the config
+     */
+    updateOfflineZoomRange() {
+        const minZoom = parseInt(this.elements.offlineMinZoom?.value);
+        const maxZoom = parseInt(this.elements.offlineMaxZoom?.value);
+        
+        if (isNaN(minZoom) || isNaN(maxZoom) || minZoom > maxZoom) {
+            this.showMessage('Invalid zoom range', 'error');
+            return;
+        }
+        
+        updateOfflineSettings({ minZoom, maxZoom });
+        this.updateOfflineEstimate();
+    }
+
+    /**
+     * Start caching tiles around the loaded tracks, or cancel a running prefetch
+     */
+    toggleTilePrefetch() {
+        if (this.tileCache.isRunning()) {
+            this.tileCache.cancel();
+            return;
+        }
+        
+        const bounds = this.getTrackBounds();
+        const mapConfig = this.getCacheableMapType();
+        if (!bounds || !mapConfig) {
+            this.showMessage(bounds ? this.getUncacheableReason() : 'Load a track first', 'info');
+            return;
+        }
+        
+        try {
+            this.tileCache.prefetch(mapConfig, bounds, CONFIG.offline.minZoom, CONFIG.offline.maxZoom);
+            if (this.elements.offlinePrefetch) {
+                this.elements.offlinePrefetch.textContent = 'Cancel';
+            }
+            this.setOfflineStatus('Starting…');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete all cached tiles
+     */
+    async clearTileCache() {
+        try {
+            await this.tileCache.clear();
+            this.setOfflineStatus('No tiles cached');
+        } catch (error) {
+            console.error('RallyTrackViewer: Error clearing tile cache:', error);
+            this.showMessage('Could not clear cached tiles', 'error');
+        }
+    }
+
+    /**
+     * Show offline cache status text
+     * @param {string} text - Status text
+     */
+    setOfflineStatus(text) {
+        if (this.elements.offlineStatus) {
+            this.elements.offlineStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. '640 KB' or '12.5 MB'
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Format a replay time for display
+     * @param {number} ms - Time in milliseconds
+     * @returns {string} e.g. '4:07' or '1:02:30'
+     */
+    formatReplayTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Apply the map type, background and layer visibility given in URL parameters
+     */
+    applyInitialView() {
+        this.applyView(this.initialView);
+    }
+
+    /**
+     * Apply map type, background and layer visibility
+     * @param {Object} view - {mapType?, transparent?, layers?}, as from getViewState()
+     */
+    applyView(view) {
+        if (view.mapType) {
+            if (this.elements.mapType) {
+                this.elements.mapType.value = view.mapType;
+            }
+            this.changeMapType(view.mapType);
+        }
+        
+        if (view.transparent !== undefined) {
+            if (this.elements.transparentBg) {
+                this.elements.transparentBg.checked = view.transparent;
+            }
+            this.toggleTransparentBackground(view.transparent);
+        }
+        
+        if (view.layers) {
+            const toggles = {
+                tracks: [this.elements.showTracks, (visible) => this.toggleTracks(visible)],
+                icons: [this.elements.showIcons, (visible) => this.toggleIcons(visible)],
+                zones: [this.elements.showZones, (visible) => this.toggleZones(visible)],
+                cars: [this.elements.showCars, (visible) => this.toggleCars(visible)]
+            };
+            
+            Object.entries(toggles).forEach(([name, [checkbox, toggle]]) => {
+                if (checkbox) {
+                    checkbox.checked = view.layers[name];
+                }
+                toggle(view.layers[name]);
+            });
+        }
+    }
+
+    /**
+     * Get the view state that is not part of CONFIG
+     * @returns {Object} {mapType, transparent, layers}
+     */
+    getViewState() {
+        return {
+            mapType: this.mapManager.getCurrentMapType(),
+            transparent: this.elements.transparentBg?.checked || false,
+            layers: {
+                tracks: this.mapManager.areTracksVisible(),
+                icons: this.mapManager.areIconsVisible(),
+                zones: this.mapManager.areAreasVisible(),
+                cars: this.elements.showCars ? this.elements.showCars.checked : true
+            }
+        };
+    }
+
+    /**
+     * Fill the preset selector
+     * @param {string} selected - Preset name to select, or '' for none
+     */
+    renderPresetOptions(selected = '') {
+        const select = this.elements.presetSelect;
+        if (!select) {
+            return;
+        }
+        
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.presetStore.getNames().length > 0 ? 'Choose preset…' : 'No presets saved';
+        select.appendChild(placeholder);
+        
+        this.presetStore.getNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Save the current look under a name asked from the user
+     */
+    savePreset() {
+        const name = (window.prompt('Save current settings as preset:', this.elements.presetSelect?.value || '') || '').trim();
+        if (!name) {
+            return;
+        }
+        if (this.presetStore.has(name) && !window.confirm(`Replace preset "${name}"?`)) {
+            return;
+        }
+        
+        this.presetStore.saveCurrent(name, this.getViewState());
+        this.renderPresetOptions(name);
+        this.publishRemoteState();
+        this.showMessage(`Preset "${name}" saved`, 'success');
+    }
+
+    /**
+     * Apply a preset's settings and view without reloading
+     * @param {string} name - Preset name
+     */
+    applyPreset(name) {
+        const preset = this.presetStore.get(name);
+        if (!preset) {
+            return;
+        }
+        
+        updateConfig(preset.config);
+        saveConfigToStorage();
+        
+        // Redraw everything that reads the settings
+        this.initializeUIValues();
+        this.mapManager.setMapOpacity(CONFIG.map.opacity);
+        this.applyCustomLayers();
+        this.refreshAreas();
+        this.refreshTracks();
+        this.refreshIcons();
+        this.toggleElevationProfile(CONFIG.ui.profile.visible);
+        this.toggleLeaderboard(CONFIG.ui.leaderboard.visible);
+        this.applyView(preset.view || {});
+        
+        this.renderPresetOptions(name);
+        this.showMessage(`Preset "${name}" applied`, 'success');
+        console.log(`RallyTrackViewer: Preset ${name} applied`);
+        this.emit('styleChanged', { target: 'preset', changes: preset.config });
+    }
+
+    /**
+     * Delete the selected preset
+     */
+    deletePreset() {
+        const name = this.elements.presetSelect?.value;
+        if (!name) {
+            this.showMessage('Choose a preset first', 'info');
+            return;
+        }
+        if (!window.confirm(`Delete preset "${name}"?`)) {
+            return;
+        }
+        
+        this.presetStore.remove(name);
+        this.renderPresetOptions();
+        this.publishRemoteState();
+    }
+
+    /**
+     * Download the selected preset as a JSON file
+     */
+    exportPreset() {
+        const name = this.elements.presetSelect?.value;
+        if (!name) {
+            this.showMessage('Choose a preset first', 'info');
+            return;
+        }
+        
+        const filename = `${name.replace(/[^\w-]+/g, '_')}.preset.json`;
+        this.downloadFile(this.presetStore.toJSON(name), filename, 'application/json');
+    }
+
+    /**
+     * Import a preset from a JSON file and apply it
+     * @param {File} file - Preset file
+     */
+    async importPreset(file) {
+        try {
+            const preset = this.presetStore.parse(await file.text());
+            if (this.presetStore.has(preset.name) && !window.confirm(`Replace preset "${preset.name}"?`)) {
+                return;
+            }
+            
+            this.presetStore.add(preset);
+            this.applyPreset(preset.name);
+        } catch (error) {
+            console.error('RallyTrackViewer: Error importing preset:', error);
+            this.showMessage('Error importing preset: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Fit the map to loaded content
+     * On the first load an explicit center or fit-to-track from the URL takes precedence
+     */
+    fitView() {
+        const { center, fit } = this.initialView;
+        this.initialView = {};
+        
+        if (fit) {
+            const track = findFitTrack(this.tracks, fit);
+            if (track) {
+                this.mapManager.fitToContent([track]);
+                return;
+            }
+            console.warn(`RallyTrackViewer: Track to fit not found: ${fit}`);
+        }
+        
+        if (!center) {
+            this.mapManager.fitToContent(this.tracks, this.icons, this.areas);
+        }
+    }
+
+    /**
+     * Copy a URL that reproduces the current view as an overlay (for OBS browser sources)
+     */
+    async copyOverlayURL() {
+        const params = buildOverlayParams({
+            kml: this.sourceURL,
+            ...this.getViewState(),
+            center: this.mapManager.getCenter(),
+            zoom: this.mapManager.getZoom(),
+            profile: CONFIG.ui.profile.visible,
+            leaderboard: CONFIG.ui.leaderboard.visible,
+            live: this.telemetryClient.getStatus() !== 'disconnected'
+        });
+        const url = `${window.location.origin}${window.location.pathname}?${params}`;
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showMessage(this.sourceURL ? 'Overlay URL copied' : 'Overlay URL copied (local file not included)', 'success');
+        } catch (error) {
+            // Clipboard access needs a secure context; let the user copy by hand
+            window.prompt('Overlay URL:', url);
+        }
+        
+        console.log(`RallyTrackViewer: Overlay URL: ${url}`);
     }
 
     /**
-     * Auto-load default KML file
+     * Auto-load default track file
+     * The parser is chosen by the URL's extension so overlays can point at GPX or GeoJSON too
      */
     async autoLoadKML() {
         try {
             const kmlFile = CONFIG.kml.defaultFile;
-            const { tracks, icons } = await this.kmlParser.loadKMLFromURL(kmlFile);
-            this.handleKMLLoaded(tracks, icons);
-            console.log(`RallyTrackViewer: Auto-loaded KML file: ${kmlFile}`);
+            const extension = kmlFile.split(/[?#]/)[0].split('.').pop().toLowerCase();
+            let result;
+            
+            switch (extension) {
+                case 'gpx':
+                    result = await this.gpxParser.loadGPXFromURL(kmlFile);
+                    break;
+                case 'geojson':
+                case 'json':
+                    result = await this.geoJSONParser.loadGeoJSONFromURL(kmlFile);
+                    break;
+                default:
+                    result = await this.kmlParser.loadKMLFromURL(kmlFile);
+            }
+            
+            this.hideLoadProgress();
+            this.sourceURL = kmlFile;
+            this.handleKMLLoaded(result.tracks, result.icons, result.folders, result.areas, result.warnings);
+            console.log(`RallyTrackViewer: Auto-loaded track file: ${kmlFile}`);
         } catch (error) {
+            // A file chosen by the user replaced the auto-load; it owns the progress indicator now
+            if (error.name === 'AbortError') {
+                console.log('RallyTrackViewer: Auto-load cancelled');
+                return;
+            }
+            
+            this.hideLoadProgress();
             console.log('RallyTrackViewer: Auto-load failed, use file input to load KML');
         }
     }
 
     /**
-     * Load KML file from user input
-     * @param {File} file - KML file
+     * Load track file from user input
+     * The parser is chosen by file extension, falling back to the XML root element
+     * @param {File} file - KML, KMZ, GPX or GeoJSON file
      */
     async loadKMLFile(file) {
+        // A new file always replaces a KML parse still running in the worker
+        this.kmlParser.cancel();
+        
         try {
-            const { tracks, icons } = await this.kmlParser.loadKMLFile(file);
-            this.handleKMLLoaded(tracks, icons);
-            console.log('RallyTrackViewer: KML file loaded successfully');
+            const format = await this.detectFileFormat(file);
+            let result;
+            
+            switch (format) {
+                case 'gpx':
+                    result = await this.gpxParser.loadGPXFile(file);
+                    break;
+                case 'geojson':
+                    result = await this.geoJSONParser.loadGeoJSONFile(file);
+                    break;
+                default:
+                    result = await this.kmlParser.loadKMLFile(file);
+            }
+            
+            this.hideLoadProgress();
+            
+            // A local file cannot be referenced from an overlay URL
+            this.sourceURL = null;
+            this.handleKMLLoaded(result.tracks, result.icons, result.folders, result.areas, result.warnings);
+            
+            // Someone checking their own file wants to see what was wrong with it; overlays loading by URL may be on air
+            if (this.diagnostics.length > 0) {
+                this.toggleDiagnostics(true);
+            }
+            console.log(`RallyTrackViewer: ${format.toUpperCase()} file loaded successfully`);
         } catch (error) {
-            console.error('RallyTrackViewer: Error loading KML file:', error);
-            this.showMessage('Error loading KML file: ' + error.message, 'error');
+            if (error.name === 'AbortError') {
+                console.log(`RallyTrackViewer: Loading ${file.name} cancelled`);
+                return;
+            }
+            
+            this.hideLoadProgress();
+            console.error('RallyTrackViewer: Error loading file:', error);
+            this.showMessage('Error loading file: ' + error.message, 'error');
+            
+            this.setDiagnostics([{ type: 'invalidFile', message: error.message, placemark: file.name, line: null, bounds: null }]);
+            this.toggleDiagnostics(true);
+        }
+    }
+
+    /**
+     * Show the load progress indicator
+     * @param {Object} progress - {phase, loaded, total} from KMLParser
+     */
+    showLoadProgress(progress) {
+        const percent = progress.total > 0 ? Math.round(progress.loaded / progress.total * 100) : 0;
+        const labels = {
+            unpacking: 'Unpacking KMZ…',
+            parsing: `Parsing KML ${percent}%`,
+            extracting: 'Building tracks…'
+        };
+        
+        if (this.elements.loadProgress) {
+            this.elements.loadProgress.classList.remove('hidden');
+        }
+        if (this.elements.loadProgressBar) {
+            this.elements.loadProgressBar.style.width = `${progress.phase === 'unpacking' ? 0 : percent}%`;
+        }
+        if (this.elements.loadProgressLabel) {
+            this.elements.loadProgressLabel.textContent = labels[progress.phase] || 'Loading…';
+        }
+    }
+
+    /**
+     * Hide the load progress indicator
+     */
+    hideLoadProgress() {
+        if (this.elements.loadProgress) {
+            this.elements.loadProgress.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Detect the format of a track file
+     * @param {File} file - Track file
+     * @returns {Promise<string>} 'kml', 'kmz', 'gpx' or 'geojson'
+     */
+    async detectFileFormat(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'gpx' || extension === 'kml' || extension === 'kmz') {
+            return extension;
         }
+        if (extension === 'geojson' || extension === 'json') {
+            return 'geojson';
+        }
+        
+        // Unknown extension: ZIP signature means KMZ, otherwise sniff the XML root element
+        const signature = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        if (signature[0] === 0x50 && signature[1] === 0x4b && signature[2] === 0x03 && signature[3] === 0x04) {
+            return 'kmz';
+        }
+        
+        const head = await file.slice(0, 2048).text();
+        if (head.trimStart().startsWith('{')) {
+            return 'geojson';
+        }
+        
+        const root = head.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').match(/<([\w:]+)/);
+        const rootName = root ? root[1].split(':').pop().toLowerCase() : '';
+        
+        return rootName === 'gpx' ? 'gpx' : 'kml';
     }
 
     /**
      * Handle loaded KML data
      * @param {Array} tracks - Array of track objects
      * @param {Array} icons - Array of icon objects
+     * @param {Array} folders - Folder/Document tree (KML only)
+     * @param {Array} areas - Array of area (zone) objects
+     * @param {Array} warnings - Problems found while parsing (KML only)
      */
-    handleKMLLoaded(tracks, icons) {
+    handleKMLLoaded(tracks, icons, folders = [], areas = [], warnings = []) {
         this.tracks = tracks || [];
         this.icons = icons || [];
+        this.folders = folders || [];
+        this.areas = areas || [];
+        
+        // Report the file's problems, then look for icon images that do not load
+        this.setDiagnostics(warnings || []);
+        this.checkIconImages(this.icons);
+        
+        // Build layer tree and apply the file's folder visibility defaults
+        this.layerTree.onFolderToggle = (folderId, visible) => this.toggleFolder(folderId, visible);
+        this.layerTree.onFeatureToggle = (feature, visible) => this.toggleFeature(feature, visible);
+        this.layerTree.render(this.folders, [...this.tracks, ...this.icons, ...this.areas]);
+        this.mapManager.setHiddenFolders(this.layerTree.getHiddenFolderIds());
+        
+        // Start a fresh undo history for the new file
+        this.trackEditor.setData(this.tracks, this.icons);
+        this.renderPlacemarkIconOptions();
+        
+        // Profile the first track with altitude data
+        this.elevationProfile.setTracks(this.tracks);
+        
+        // Time cars on the first stage until another is picked
+        this.leaderboard.setTracks(this.tracks);
+        this.timingEngine.setStage(this.leaderboard.getSelectedTrack());
+        this.updateLeaderboard();
         
         // Update map visualization
+        this.mapManager.displayAreas(this.areas);
         this.mapManager.displayTracks(this.tracks);
         this.mapManager.displayIcons(this.icons);
-        this.mapManager.fitToContent(this.tracks, this.icons);
+        this.fitView();
         
         // Update UI
         this.updateCounts();
+        this.renderClusterCategories();
+        this.updateOfflineEstimate();
+        this.publishRemoteState();
+        
+        console.log(`RallyTrackViewer: Loaded ${this.tracks.length} tracks, ${this.icons.length} icons and ${this.areas.length} areas`);
+        this.emit('kmlLoaded', {
+            tracks: this.tracks,
+            icons: this.icons,
+            areas: this.areas,
+            folders: this.folders,
+            warnings: this.diagnostics,
+            source: this.sourceURL
+        });
+    }
+
+    /**
+     * Switch edit mode on or off
+     * @param {boolean} enabled - Whether edit mode is on
+     */
+    toggleEditMode(enabled) {
+        this.mapManager.setEditMode(enabled);
+        if (enabled) {
+            this.trackEditor.enable();
+        } else {
+            this.trackEditor.disable();
+        }
+        
+        if (this.elements.editMode) {
+            this.elements.editMode.checked = enabled;
+        }
+        if (this.elements.editPanel) {
+            this.elements.editPanel.classList.toggle('hidden', !enabled);
+        }
+        
+        // Redraw so icons become draggable and popups give way to editing, or back
+        this.refreshTracks();
+        this.refreshIcons();
+    }
+
+    /**
+     * Show edited tracks and icons everywhere they are used
+     * @param {Array} tracks - Tracks after the edit
+     * @param {Array} icons - Icons after the edit
+     */
+    handleEdit(tracks, icons) {
+        // Edited tracks are new objects; keep the profile and stage on the same position
+        const profileIndex = this.tracks.indexOf(this.elevationProfile.getSelectedTrack());
+        const stage = this.leaderboard.getSelectedTrack();
+        const stageIndex = this.tracks.indexOf(stage);
+        
+        this.tracks = tracks;
+        this.icons = icons;
+        
+        this.layerTree.render(this.folders, [...this.tracks, ...this.icons, ...this.areas]);
+        
+        this.elevationProfile.setTracks(this.tracks);
+        if (this.tracks[profileIndex]) {
+            this.elevationProfile.selectTrack(this.tracks[profileIndex]);
+        }
+        
+        // Only a changed stage restarts timing
+        this.leaderboard.setTracks(this.tracks);
+        if (this.tracks[stageIndex]) {
+            this.leaderboard.selectTrack(this.tracks[stageIndex]);
+        }
+        if (this.leaderboard.getSelectedTrack() !== stage) {
+            this.timingEngine.setStage(this.leaderboard.getSelectedTrack());
+        }
+        this.updateLeaderboard();
+        
+        this.mapManager.displayTracks(this.tracks);
+        this.mapManager.displayIcons(this.icons);
+        
+        this.updateCounts();
+        this.renderClusterCategories();
+        this.renderPlacemarkIconOptions();
+        this.publishRemoteState();
+    }
+
+    /**
+     * List the icons in the file for new placemarks
+     */
+    renderPlacemarkIconOptions() {
+        const select = this.elements.placemarkIcon;
+        if (!select) {
+            return;
+        }
+        
+        const selected = select.value;
+        this.placemarkTemplates = this.trackEditor.getIconTemplates();
+        
+        select.innerHTML = '';
+        this.placemarkTemplates.forEach(({ label }, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        
+        const fallback = document.createElement('option');
+        fallback.value = '';
+        fallback.textContent = 'Default marker';
+        select.appendChild(fallback);
+        
+        // Keep the pick while the list changes under it
+        select.value = selected !== '' && selected < this.placemarkTemplates.length ? selected : select.options[0].value;
+    }
+
+    /**
+     * Start placing a placemark with the name, description and icon from the edit toolbar
+     */
+    addPlacemark() {
+        const iconIndex = this.elements.placemarkIcon ? this.elements.placemarkIcon.value : '';
+        
+        this.trackEditor.startPlacemark({
+            name: this.elements.placemarkName ? this.elements.placemarkName.value.trim() : '',
+            description: this.elements.placemarkDescription ? this.elements.placemarkDescription.value.trim() : '',
+            template: iconIndex !== '' ? this.placemarkTemplates[iconIndex].icon : null
+        });
+    }
+
+    /**
+     * Show an editor message and update the undo/redo buttons
+     * @param {string} message - Status message
+     */
+    updateEditStatus(message) {
+        if (this.elements.editStatus) {
+            this.elements.editStatus.textContent = message;
+        }
+        if (this.elements.editUndo) {
+            this.elements.editUndo.disabled = !this.trackEditor.canUndo();
+        }
+        if (this.elements.editRedo) {
+            this.elements.editRedo.disabled = !this.trackEditor.canRedo();
+        }
+    }
+
+    /**
+     * Export loaded tracks and icons as a GeoJSON FeatureCollection download
+     */
+    exportGeoJSON() {
+        if (this.tracks.length === 0 && this.icons.length === 0 && this.areas.length === 0) {
+            this.showMessage('Nothing to export', 'info');
+            return;
+        }
+        
+        const geojson = this.geoJSONParser.toGeoJSON(this.tracks, this.icons, this.areas);
+        this.downloadFile(JSON.stringify(geojson, null, 2), 'rally-tracks.geojson', 'application/geo+json');
+        console.log(`RallyTrackViewer: Exported ${geojson.features.length} GeoJSON features`);
+    }
+
+    /**
+     * Export loaded tracks, icons and zones with their folders and styles as a KML download
+     * Icons from a KMZ keep their path in the archive, so the KML works next to its unpacked images
+     */
+    exportKML() {
+        if (this.tracks.length === 0 && this.icons.length === 0 && this.areas.length === 0) {
+            this.showMessage('Nothing to export', 'info');
+            return;
+        }
+        
+        const kml = this.kmlSerializer.serialize({
+            tracks: this.tracks,
+            icons: this.icons,
+            areas: this.areas,
+            folders: this.folders
+        }, {
+            iconHrefs: this.kmlParser.getResourcePaths()
+        });
+        this.downloadFile(kml, 'rally-tracks.kml', 'application/vnd.google-earth.kml+xml');
+    }
+
+    /**
+     * Export the current view as a PNG download, transparent where the overlay is
+     */
+    async exportPNG() {
+        const button = this.elements.exportPNG;
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Rendering…';
+        }
+        
+        try {
+            const transparent = this.mapManager.getCurrentMapType() === 'none' || Boolean(this.elements.transparentBg?.checked);
+            const { blob, width, height, failedTiles, failedIcons } = await this.mapExporter.toPNG({ transparent });
+            this.downloadFile(blob, 'rally-map.png', 'image/png');
+            
+            if (failedTiles > 0 || failedIcons > 0) {
+                this.showMessage(`Exported ${width}×${height} PNG; ${failedTiles} tiles and ${failedIcons} icons could not be drawn`, 'error', 5000);
+            } else {
+                this.showMessage(`Exported ${width}×${height} PNG`, 'success');
+            }
+        } catch (error) {
+            console.error('RallyTrackViewer: PNG export failed:', error);
+            this.showMessage(`PNG export failed: ${error.message}`, 'error');
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Export PNG';
+            }
+        }
+    }
+
+    /**
+     * Export the tracks, zones and icons in the current view as an SVG download
+     */
+    async exportSVG() {
+        if (this.tracks.length === 0 && this.icons.length === 0 && this.areas.length === 0) {
+            this.showMessage('Nothing to export', 'info');
+            return;
+        }
+        
+        try {
+            const svg = await this.mapExporter.toSVG();
+            this.downloadFile(svg, 'rally-map.svg', 'image/svg+xml');
+        } catch (error) {
+            console.error('RallyTrackViewer: SVG export failed:', error);
+            this.showMessage(`SVG export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Offer content to the user as a file download
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
         
-        console.log(`RallyTrackViewer: Loaded ${this.tracks.length} tracks and ${this.icons.length} icons`);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
@@ -252,6 +2120,7 @@ class RallyTrackViewer {
      */
     changeMapType(type) {
         this.mapManager.setMapType(type);
+        this.updateOfflineEstimate();
         
         // Update transparent background checkbox if map type is 'none'
         if (type === 'none' && this.elements.transparentBg) {
@@ -286,6 +2155,16 @@ class RallyTrackViewer {
      * Initialize UI values from configuration
      */
     initializeUIValues() {
+        // Set track style mode from config
+        if (this.elements.trackStyleMode) {
+            this.elements.trackStyleMode.value = CONFIG.map.tracks.styleMode;
+        }
+        
+        // Set track renderer from config
+        if (this.elements.trackRenderer) {
+            this.elements.trackRenderer.value = CONFIG.map.tracks.renderer;
+        }
+        
         // Set track color from config
         if (this.elements.trackColor) {
             this.elements.trackColor.value = CONFIG.map.tracks.color;
@@ -311,6 +2190,14 @@ class RallyTrackViewer {
             this.elements.trackOpacityValue.textContent = CONFIG.map.tracks.opacity + '%';
         }
         
+        // Set kilometre post settings from config
+        if (this.elements.kmMarkers) {
+            this.elements.kmMarkers.checked = CONFIG.map.tracks.kmMarkers;
+        }
+        if (this.elements.kmMarkerInterval) {
+            this.elements.kmMarkerInterval.value = CONFIG.map.tracks.kmMarkerInterval;
+        }
+        
         // Set map opacity from config
         if (this.elements.mapOpacity) {
             this.elements.mapOpacity.value = CONFIG.map.opacity;
@@ -330,6 +2217,43 @@ class RallyTrackViewer {
         if (this.elements.iconSizeValue) {
             this.elements.iconSizeValue.textContent = CONFIG.kml.icons.scale + 'x';
         }
+        
+        // Set offline zoom range from config
+        if (this.elements.offlineMinZoom) {
+            this.elements.offlineMinZoom.value = CONFIG.offline.minZoom;
+        }
+        if (this.elements.offlineMaxZoom) {
+            this.elements.offlineMaxZoom.value = CONFIG.offline.maxZoom;
+        }
+        
+        // Set icon clustering from config
+        if (this.elements.clusterIcons) {
+            this.elements.clusterIcons.checked = CONFIG.kml.icons.cluster;
+        }
+        this.renderClusterCategories();
+        
+        // Set image export options from config
+        if (this.elements.exportScale) {
+            this.elements.exportScale.value = CONFIG.imageExport.scale;
+        }
+        if (this.elements.exportTiles) {
+            this.elements.exportTiles.checked = CONFIG.imageExport.tiles;
+        }
+        if (this.elements.exportAttribution) {
+            this.elements.exportAttribution.checked = CONFIG.imageExport.attribution;
+        }
+    }
+
+    /**
+     * Update track style mode
+     * @param {string} mode - 'kml' for per-placemark styles, 'global' for the menu style
+     */
+    updateTrackStyleMode(mode) {
+        updateTrackStyle({ styleMode: mode });
+        this.mapManager.restyleTracks();
+        this.refreshAreas();
+        console.log(`Track style mode updated to: ${mode}`);
+        this.emit('styleChanged', { target: 'tracks', changes: { styleMode: mode } });
     }
 
     /**
@@ -338,8 +2262,9 @@ class RallyTrackViewer {
      */
     updateTrackColor(color) {
         updateTrackStyle({ color: color });
-        this.refreshTracks();
+        this.mapManager.restyleTracks();
         console.log(`Track color updated to: ${color}`);
+        this.emit('styleChanged', { target: 'tracks', changes: { color } });
     }
 
     /**
@@ -348,8 +2273,9 @@ class RallyTrackViewer {
      */
     updateTrackWidth(width) {
         updateTrackStyle({ weight: width });
-        this.refreshTracks();
+        this.mapManager.restyleTracks();
         console.log(`Track width updated to: ${width}`);
+        this.emit('styleChanged', { target: 'tracks', changes: { weight: width } });
     }
 
     /**
@@ -358,8 +2284,42 @@ class RallyTrackViewer {
      */
     updateTrackOpacity(opacity) {
         updateTrackStyle({ opacity: opacity });
-        this.refreshTracks();
+        this.mapManager.restyleTracks();
         console.log(`Track opacity updated to: ${opacity}%`);
+        this.emit('styleChanged', { target: 'tracks', changes: { opacity } });
+    }
+
+    /**
+     * Update track renderer
+     * @param {string} renderer - 'svg' or 'canvas'
+     */
+    updateTrackRenderer(renderer) {
+        updateTrackStyle({ renderer: renderer });
+        this.refreshTracks();
+        console.log(`Track renderer updated to: ${renderer}`);
+        this.emit('styleChanged', { target: 'tracks', changes: { renderer } });
+    }
+
+    /**
+     * Show or hide kilometre posts
+     * @param {boolean} enabled - Whether kilometre posts should be drawn
+     */
+    updateKmMarkers(enabled) {
+        updateTrackStyle({ kmMarkers: enabled });
+        this.refreshTracks();
+        console.log(`Kilometre posts ${enabled ? 'enabled' : 'disabled'}`);
+        this.emit('styleChanged', { target: 'tracks', changes: { kmMarkers: enabled } });
+    }
+
+    /**
+     * Update kilometre post interval
+     * @param {number} interval - Distance between posts in km
+     */
+    updateKmMarkerInterval(interval) {
+        updateTrackStyle({ kmMarkerInterval: interval });
+        this.refreshTracks();
+        console.log(`Kilometre post interval updated to: ${interval} km`);
+        this.emit('styleChanged', { target: 'tracks', changes: { kmMarkerInterval: interval } });
     }
 
     /**
@@ -370,6 +2330,7 @@ class RallyTrackViewer {
         updateMapOpacity(opacity);
         this.mapManager.setMapOpacity(opacity);
         console.log(`Map opacity updated to: ${opacity}%`);
+        this.emit('styleChanged', { target: 'map', changes: { opacity } });
     }
 
     /**
@@ -380,6 +2341,80 @@ class RallyTrackViewer {
         updateIconScale(scale);
         this.refreshIcons();
         console.log(`Icon size updated to: ${scale}x`);
+        this.emit('styleChanged', { target: 'icons', changes: { scale } });
+    }
+
+    /**
+     * Turn icon clustering on or off
+     * @param {boolean} enabled - Whether nearby icons should be clustered
+     */
+    updateIconClustering(enabled) {
+        updateIconSettings({ cluster: enabled });
+        this.refreshIcons();
+        this.renderClusterCategories();
+        console.log(`Icon clustering ${enabled ? 'enabled' : 'disabled'}`);
+        this.emit('styleChanged', { target: 'icons', changes: { cluster: enabled } });
+    }
+
+    /**
+     * Include or exclude an icon category from clustering
+     * @param {string} category - Category from MapManager.getIconCategory()
+     * @param {boolean} clustered - Whether icons of this category may be clustered
+     */
+    setIconCategoryClustered(category, clustered) {
+        const excluded = CONFIG.kml.icons.clusterExclude.filter(item => item !== category);
+        if (!clustered) {
+            excluded.push(category);
+        }
+        
+        updateIconSettings({ clusterExclude: excluded });
+        this.refreshIcons();
+        console.log(`Icon category ${category} ${clustered ? 'clustered' : 'never clustered'}`);
+        this.emit('styleChanged', { target: 'icons', changes: { clusterExclude: excluded } });
+    }
+
+    /**
+     * List the loaded icon categories with a checkbox to keep each out of clusters
+     */
+    renderClusterCategories() {
+        const container = this.elements.clusterCategories;
+        if (!container) {
+            return;
+        }
+        
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !CONFIG.kml.icons.cluster || this.icons.length === 0);
+        
+        // Group icons by category, keeping the first icon image as a preview
+        const categories = new Map();
+        this.icons.forEach(icon => {
+            const category = this.mapManager.getIconCategory(icon);
+            const entry = categories.get(category) || { count: 0, iconUrl: icon.iconUrl };
+            entry.count++;
+            categories.set(category, entry);
+        });
+        
+        categories.forEach(({ count, iconUrl }, category) => {
+            const label = document.createElement('label');
+            label.className = 'cluster-category';
+            label.title = 'Uncheck to never cluster these icons';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !CONFIG.kml.icons.clusterExclude.includes(category);
+            checkbox.addEventListener('change', () => this.setIconCategoryClustered(category, checkbox.checked));
+            label.appendChild(checkbox);
+            
+            if (iconUrl) {
+                const image = document.createElement('img');
+                image.src = iconUrl;
+                image.alt = '';
+                label.appendChild(image);
+            }
+            
+            label.appendChild(document.createTextNode(`${category} (${count})`));
+            container.appendChild(label);
+        });
     }
 
     /**
@@ -391,6 +2426,15 @@ class RallyTrackViewer {
         }
     }
 
+    /**
+     * Refresh area display with current styling
+     */
+    refreshAreas() {
+        if (this.areas.length > 0) {
+            this.mapManager.displayAreas(this.areas);
+        }
+    }
+
     /**
      * Refresh icon display with current styling
      */
@@ -410,6 +2454,36 @@ class RallyTrackViewer {
         if (this.elements.iconCount) {
             this.elements.iconCount.textContent = this.icons.length;
         }
+        if (this.elements.zoneCount) {
+            this.elements.zoneCount.textContent = this.areas.length;
+        }
+        this.updateTrackLengths();
+    }
+
+    /**
+     * List the length of each track in the info panel
+     */
+    updateTrackLengths() {
+        if (!this.elements.trackLengths) {
+            return;
+        }
+        
+        this.elements.trackLengths.innerHTML = '';
+        
+        this.tracks.forEach((track, index) => {
+            const row = document.createElement('div');
+            row.textContent = `${track.name || `Track ${index + 1}`}: ${formatDistance(pathLength(track.points))}`;
+            this.elements.trackLengths.appendChild(row);
+        });
+    }
+
+    /**
+     * Update live car count in UI
+     */
+    updateCarCount() {
+        if (this.elements.carCount) {
+            this.elements.carCount.textContent = this.mapManager.getCarCount();
+        }
     }
 
     /**
@@ -459,6 +2533,39 @@ class RallyTrackViewer {
         this.mapManager.setTracksVisible(visible);
     }
 
+    /**
+     * Toggle area (zone) visibility
+     * @param {boolean} visible - Whether zones should be visible
+     */
+    toggleZones(visible) {
+        this.mapManager.setAreasVisible(visible);
+    }
+
+    /**
+     * Show or hide a placemark the file hides by default
+     * The choice replaces the file's visibility, including in exports
+     * @param {Object} feature - Track, icon or area from the layer tree
+     * @param {boolean} visible - Whether the placemark should be visible
+     */
+    toggleFeature(feature, visible) {
+        this.mapManager.setFeatureVisible(feature, visible);
+        this.refreshAreas();
+        this.refreshTracks();
+        this.refreshIcons();
+    }
+
+    /**
+     * Toggle visibility of a KML folder and everything in it
+     * @param {string} folderId - Folder id from the layer tree
+     * @param {boolean} visible - Whether the folder should be visible
+     */
+    toggleFolder(folderId, visible) {
+        this.mapManager.setFolderVisible(folderId, visible);
+        this.refreshAreas();
+        this.refreshTracks();
+        this.refreshIcons();
+    }
+
     /**
      * Toggle icon visibility (works for both 2D and 3D)
      * @param {boolean} visible - Whether icons should be visible
@@ -467,6 +2574,71 @@ class RallyTrackViewer {
         this.mapManager.setIconsVisible(visible);
     }
 
+    /**
+     * Toggle live car visibility
+     * @param {boolean} visible - Whether cars should be visible
+     */
+    toggleCars(visible) {
+        this.mapManager.setCarsVisible(visible);
+    }
+
+    /**
+     * Install a plugin
+     * A plugin is a function, or an object with a name and an install method, called with an API:
+     * {app, map, mapManager, config, on, getData, addMenuSection}. Listeners added through the
+     * API's on() are the app's own, so plugins see the events listed in APP_EVENTS.
+     * @param {Function|Object} plugin - (api) => void, or {name, install(api)}
+     * @returns {*} Whatever the plugin's install returns
+     * @throws {Error} If the plugin is not installable or its name is already taken
+     */
+    registerPlugin(plugin) {
+        const install = typeof plugin === 'function' ? plugin : plugin?.install;
+        if (typeof install !== 'function') {
+            throw new Error('A plugin must be a function or have an install method');
+        }
+        
+        const name = plugin.name || `plugin-${this.plugins.length + 1}`;
+        if (this.plugins.includes(name)) {
+            throw new Error(`Plugin ${name} is already registered`);
+        }
+        
+        const api = {
+            app: this,
+            map: this.mapManager.getMap(),
+            mapManager: this.mapManager,
+            config: CONFIG,
+            on: (event, listener) => this.on(event, listener),
+            getData: () => ({ tracks: this.tracks, icons: this.icons, areas: this.areas, folders: this.folders }),
+            addMenuSection: (title) => this.addMenuSection(title)
+        };
+        
+        const result = install.call(plugin, api);
+        this.plugins.push(name);
+        console.log(`RallyTrackViewer: Plugin ${name} registered`);
+        return result;
+    }
+
+    /**
+     * Add a section to the end of the options menu
+     * @param {string} title - Section heading
+     * @returns {HTMLElement|null} Section element to fill with menu items, or null without a menu
+     */
+    addMenuSection(title) {
+        if (!this.elements.optionsMenu) {
+            return null;
+        }
+        
+        const section = document.createElement('div');
+        section.className = 'menu-section';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+        
+        this.elements.optionsMenu.appendChild(section);
+        return section;
+    }
+
     /**
      * Get current application state
      * @returns {Object} Current application state
@@ -476,10 +2648,16 @@ class RallyTrackViewer {
             isInitialized: this.isInitialized,
             tracksLoaded: this.tracks.length,
             iconsLoaded: this.icons.length,
+            areasLoaded: this.areas.length,
             mapType: this.elements.mapType?.value || 'osm',
             transparentBackground: this.elements.transparentBg?.checked || false,
-            showTracks: this.elements.showTracks?.checked || true,
-            showIcons: this.elements.showIcons?.checked || true,
+            showTracks: this.mapManager.areTracksVisible(),
+            showIcons: this.mapManager.areIconsVisible(),
+            showZones: this.mapManager.areAreasVisible(),
+            liveStatus: this.telemetryClient.getStatus(),
+            carsLive: this.mapManager.getCarCount(),
+            replayLoaded: this.telemetryReplay.isLoaded(),
+            replayPlaying: this.telemetryReplay.isPlaying(),
         };
     }
 }
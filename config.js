@@ -28,34 +28,73 @@ export const CONFIG = {
         // Map opacity (0-100)
         opacity: 100,
         
-        // Available map types
+        // Available map types; set prefetch: true only on sources that allow bulk downloads
+        // (your own tile server), as the offline cache downloads whole areas
         mapTypes: {
             osm: {
                 name: 'OpenStreetMap',
                 url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
                 attribution: '© OpenStreetMap contributors',
-                maxZoom: 19
+                maxZoom: 19,
+                prefetch: false                 // OSM tile usage policy forbids bulk and offline downloads
             },
             satellite: {
                 name: 'Satellite',
                 url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
                 attribution: '© Esri, Maxar, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community',
-                maxZoom: 18
+                maxZoom: 18,
+                prefetch: false                 // Not licensed for offline storage
             },
             terrain: {
                 name: 'Terrain',
                 url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
                 attribution: '© OpenTopoMap (CC-BY-SA)',
-                maxZoom: 17
+                maxZoom: 17,
+                prefetch: false                 // Volunteer-run servers; no bulk downloads
+            },
+            local: {
+                name: 'Local Tiles',
+                url: 'tiles/{z}/{x}/{y}.png',   // Tile directory next to index.html
+                attribution: 'Local tiles',
+                maxZoom: 18,
+                local: true                     // Served without internet; never pre-fetched
+            },
+            mbtiles: {
+                name: 'MBTiles',
+                url: 'http://localhost:8766/{z}/{x}/{y}',  // tools/mbtiles-server.mjs
+                attribution: 'Local MBTiles',
+                maxZoom: 18,
+                local: true
             }
         },
         
+        // User-defined base maps and overlays, managed from the Map Layers menu section:
+        // {id, name, kind: 'base'|'overlay', type: 'xyz'|'wms', url, attribution, minZoom, maxZoom,
+        //  subdomains, wmsLayers, wmsFormat, enabled, opacity, prefetch}; enabled and opacity apply to
+        //  overlays, prefetch (offline caching allowed by the server) to XYZ base maps
+        customLayers: [],
+        
         // Track visualization settings
         tracks: {
             color: '#e20074',       // Magenta color for tracks
             weight: 10,             // Line thickness
             opacity: 100,           // Line opacity (0-100)
-            smoothFactor: 1         // Line smoothing
+            smoothFactor: 1,        // Line smoothing
+            simplifyTolerance: 1,   // Deviation allowed when simplifying tracks per zoom level (px)
+            renderer: 'svg',        // 'svg' or 'canvas'; canvas is faster for dense traces
+            styleMode: 'kml',       // 'kml' uses per-placemark LineStyle, 'global' uses the values above
+            kmMarkers: false,       // Show kilometre posts along each track
+            kmMarkerInterval: 1,    // Distance between kilometre posts (km)
+            distanceOnHover: true   // Show along-track distance when hovering a track
+        },
+        
+        // Area (zone) visualization settings, used when the KML has no PolyStyle
+        areas: {
+            color: '#ffa500',       // Outline color
+            weight: 2,              // Outline thickness
+            opacity: 100,           // Outline opacity (0-100)
+            fillColor: '#ffa500',   // Fill color
+            fillOpacity: 25         // Fill opacity (0-100)
         },
         
     },
@@ -71,10 +110,81 @@ export const CONFIG = {
             defaultAnchor: [16, 16],    // Default anchor point
             scale: 2.0,                 // Icon scale multiplier (0.5 - 3.0)
             showPopups: true,           // Show popups on click
-            cluster: false              // Cluster nearby icons
+            cluster: false,             // Cluster nearby icons
+            clusterRadius: 60,          // Maximum distance between clustered icons (px)
+            clusterExclude: []          // Icon categories (style ids) that never cluster, e.g. start and finish
         }
     },
 
+    // Live Telemetry Settings
+    live: {
+        // Connect to the telemetry stream on startup
+        enabled: false,
+        
+        // WebSocket URL of the telemetry stream
+        url: 'ws://localhost:8765',
+        
+        // Reconnect backoff settings
+        reconnect: {
+            initialDelay: 1000,     // First retry delay (ms)
+            maxDelay: 30000,        // Upper bound for retry delay (ms)
+            factor: 2               // Delay multiplier per failed attempt
+        },
+        
+        staleAfter: 10000,          // Mark a car stale after this long without updates (ms)
+        staleCheckInterval: 1000,   // How often to check for stale cars (ms)
+        animationDuration: 1000,    // Marker movement animation length (ms)
+        showLabels: true            // Show car id labels next to markers
+    },
+
+    // Remote Control Settings
+    remote: {
+        enabled: true,                  // Accept commands from controller.html
+        channel: 'rally-track-viewer',  // BroadcastChannel name for windows on the same machine
+        url: '',                        // Optional WebSocket relay for other machines (tools/remote-relay.mjs)
+        reconnectDelay: 3000            // Delay before reconnecting to the relay (ms)
+    },
+
+    // Image Export Settings
+    imageExport: {
+        scale: 2,                   // PNG resolution as a multiple of the viewport size (1, 2 or 4)
+        tiles: true,                // Draw base map and overlay tiles in PNG exports
+        attribution: true           // Draw the map attribution in PNG exports
+    },
+
+    // Editing Settings
+    edit: {
+        historySize: 100,           // Undo steps kept
+        maxVertexHandles: 500       // Vertex handles are shown only when this few vertices are in view
+    },
+
+    // Offline Tile Cache Settings
+    offline: {
+        serviceWorker: true,        // Register the service worker that serves cached tiles
+        minZoom: 10,                // Lowest zoom level to pre-fetch
+        maxZoom: 16,                // Highest zoom level to pre-fetch
+        padding: 0.1,               // Extra area around the tracks, as a fraction of their extent
+        maxTiles: 20000,            // Refuse larger pre-fetches; tile servers limit bulk downloads
+        averageTileSize: 20,        // Tile size used for the download estimate (KB)
+        concurrency: 4,             // Parallel tile downloads
+        stallTimeout: 60            // Report a prefetch as interrupted after this long without progress (s)
+    },
+
+    // Split Timing Settings
+    timing: {
+        splits: [],                 // Split distances from the start (km); empty uses splitInterval
+        splitInterval: 2,           // Distance between automatic splits (km)
+        maxOffset: 100,             // Ignore positions further than this from the stage line (m)
+        lineTolerance: 15,          // Distance from the start/finish line that counts as on the line (m)
+        maxJump: 2000               // Furthest a car is expected to advance between two positions (m)
+    },
+
+    // Telemetry Replay Settings
+    replay: {
+        speed: 1,                   // Initial playback speed multiplier (1-32)
+        loop: false                 // Restart from the beginning when the recording ends
+    },
+
     // UI Settings
     ui: {
         // Options menu settings
@@ -88,6 +198,17 @@ export const CONFIG = {
         info: {
             position: 'bottom-left',    // Position of info panel
             showCounts: true            // Show track/icon counts
+        },
+        
+        // Elevation profile panel settings
+        profile: {
+            visible: false,             // Show the elevation profile panel
+            gradientWindow: 50          // Minimum distance for gradient samples (m)
+        },
+        
+        // Leaderboard panel settings
+        leaderboard: {
+            visible: false              // Show the split timing leaderboard
         }
     },
 
@@ -97,17 +218,68 @@ export const CONFIG = {
         enableLogging: true,
         
         // Log levels: 'error', 'warn', 'info', 'debug'
-        logLevel: 'info'
+        logLevel: 'info',
+        
+        // Show frame rate and drawn track points on the map
+        showStats: false
     }
 };
 
+// Values overridden for this page load only (e.g. from URL parameters),
+// keyed by dotted path, holding the value that should be persisted instead
+const sessionOverrides = new Map();
+
+/**
+ * Flatten nested updates into leaf paths
+ * @param {Object} updates - Nested configuration updates
+ * @param {Array} prefix - Path of the current object
+ * @returns {Array} Array of {path, value} with path as array of keys
+ */
+function flattenUpdates(updates, prefix = []) {
+    const leaves = [];
+    for (const key in updates) {
+        const value = updates[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            leaves.push(...flattenUpdates(value, [...prefix, key]));
+        } else {
+            leaves.push({ path: [...prefix, key], value });
+        }
+    }
+    return leaves;
+}
+
+/**
+ * Set a value at a key path, creating objects on the way
+ * @param {Object} target - Object to modify
+ * @param {Array} path - Array of keys
+ * @param {*} value - Value to set; undefined deletes the key
+ */
+function setValueAtPath(target, path, value) {
+    let node = target;
+    for (const key of path.slice(0, -1)) {
+        if (!node[key] || typeof node[key] !== 'object') {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    
+    const last = path[path.length - 1];
+    if (value === undefined) {
+        delete node[last];
+    } else {
+        node[last] = value;
+    }
+}
+
 /**
  * Get map type configuration
- * @param {string} mapType - Map type key
+ * @param {string} mapType - Map type key, built-in or the id of a custom base map
  * @returns {Object|null} Map type configuration or null if not found
  */
 export function getMapTypeConfig(mapType) {
-    return CONFIG.map.mapTypes[mapType] || null;
+    return CONFIG.map.mapTypes[mapType]
+        || CONFIG.map.customLayers.find(layer => layer.kind === 'base' && layer.id === mapType)
+        || null;
 }
 
 /**
@@ -127,9 +299,34 @@ export function updateConfig(updates) {
     }
     
     deepMerge(CONFIG, updates);
+    
+    // An explicit update replaces any session override, so it is persisted again
+    flattenUpdates(updates).forEach(({ path }) => sessionOverrides.delete(path.join('.')));
+    
     console.log('Configuration updated:', updates);
 }
 
+/**
+ * Apply configuration overrides for this page load only
+ * Overridden values are left out of saveConfigToStorage, which keeps the stored values instead
+ * @param {Object} updates - Configuration updates (nested object)
+ */
+export function applySessionOverrides(updates) {
+    flattenUpdates(updates).forEach(({ path, value }) => {
+        const key = path.join('.');
+        
+        // Remember the value to persist, unless this path is already overridden
+        if (!sessionOverrides.has(key)) {
+            const persisted = path.reduce((node, part) => (node ? node[part] : undefined), CONFIG);
+            sessionOverrides.set(key, persisted);
+        }
+        
+        setValueAtPath(CONFIG, path, value);
+    });
+    
+    console.log('Session configuration overrides applied:', updates);
+}
+
 /**
  * Load configuration from localStorage
  */
@@ -162,7 +359,13 @@ export function loadConfigFromStorage() {
 export function saveConfigToStorage() {
     try {
         // Ensure version is included when saving
-        const configToSave = { ...CONFIG, version: CONFIG.version };
+        const configToSave = JSON.parse(JSON.stringify({ ...CONFIG, version: CONFIG.version }));
+        
+        // Session overrides are not persisted; store the underlying values instead
+        sessionOverrides.forEach((value, key) => {
+            setValueAtPath(configToSave, key.split('.'), value);
+        });
+        
         localStorage.setItem('rallyTrackViewerConfig', JSON.stringify(configToSave));
         console.log('Configuration saved to localStorage');
     } catch (error) {
@@ -182,7 +385,7 @@ export function resetConfig() {
 
 /**
  * Update track styling configuration
- * @param {Object} trackStyle - Track style updates {color, weight, opacity, smoothFactor}
+ * @param {Object} trackStyle - Track style updates {color, weight, opacity, smoothFactor, renderer}
  */
 export function updateTrackStyle(trackStyle) {
     const updates = {
@@ -208,6 +411,86 @@ export function updateMapOpacity(opacity) {
     saveConfigToStorage();
 }
 
+/**
+ * Update elevation profile configuration
+ * @param {Object} profileSettings - Profile setting updates {visible, gradientWindow}
+ */
+export function updateProfileSettings(profileSettings) {
+    const updates = {
+        ui: {
+            profile: profileSettings
+        }
+    };
+    updateConfig(updates);
+    saveConfigToStorage();
+}
+
+/**
+ * Update leaderboard configuration
+ * @param {Object} leaderboardSettings - Leaderboard setting updates {visible}
+ */
+export function updateLeaderboardSettings(leaderboardSettings) {
+    const updates = {
+        ui: {
+            leaderboard: leaderboardSettings
+        }
+    };
+    updateConfig(updates);
+    saveConfigToStorage();
+}
+
+/**
+ * Update icon settings
+ * @param {Object} iconSettings - Icon setting updates {cluster, clusterRadius, clusterExclude}
+ */
+export function updateIconSettings(iconSettings) {
+    const updates = {
+        kml: {
+            icons: iconSettings
+        }
+    };
+    updateConfig(updates);
+    saveConfigToStorage();
+}
+
+/**
+ * Replace the user-defined base maps and overlays
+ * @param {Array} customLayers - Layer definitions, see CONFIG.map.customLayers
+ */
+export function updateCustomLayers(customLayers) {
+    const updates = {
+        map: {
+            customLayers: customLayers
+        }
+    };
+    updateConfig(updates);
+    saveConfigToStorage();
+}
+
+/**
+ * Update offline tile cache settings
+ * @param {Object} offlineSettings - Offline setting updates {minZoom, maxZoom}
+ */
+export function updateOfflineSettings(offlineSettings) {
+    const updates = {
+        offline: offlineSettings
+    };
+    updateConfig(updates);
+    saveConfigToStorage();
+}
+
+/**
+ * Update image export settings
+ * @param {Object} imageExportSettings - Image export setting updates {scale, tiles, attribution}
+ */
+export function updateImageExportSettings(imageExportSettings) {
+    const updates = {
+        imageExport: imageExportSettings
+    };
+    updateConfig(updates);
+    saveConfigToStorage();
+}
+
 /**
  * Update icon scale configuration
  * @param {number} scale - Icon scale multiplier (0.5-3.0)
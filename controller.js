@@ -0,0 +1,224 @@
+/**
+ * Rally Track Viewer Controller - Drives an overlay from another window or machine
+ * Mirrors the overlay's options menu and sends commands through RemoteChannel;
+ * the overlay answers with its state, which keeps these controls in sync.
+ */
+
+import { CONFIG } from './config.js';
+import { RemoteChannel } from './modules/RemoteChannel.js';
+
+class RemoteController {
+    constructor() {
+        // ?remote=ws://host:8767 overrides the configured relay
+        const params = new URLSearchParams(window.location.search);
+        this.relayURL = params.get('remote') ?? CONFIG.remote.url;
+
+        this.channel = new RemoteChannel({ url: this.relayURL });
+        this.nextCommandId = 1;
+        this.state = null;
+
+        // Overlay counts as gone when no state arrives for this long after a command
+        this.responseTimeout = 2000;
+        this.responseTimer = null;
+
+        this.elements = {};
+    }
+
+    /**
+     * Find controls, wire them up and ask the overlay for its state
+     */
+    init() {
+        [
+            'relayUrl', 'relayConnect', 'status', 'controls', 'mapType', 'transparentBg',
+            'viewLat', 'viewLon', 'viewZoom', 'viewGo', 'fitAll', 'showTracks', 'showIcons',
+            'showZones', 'showCars', 'showProfile', 'showLeaderboard', 'stageSelect', 'presetSelect'
+        ].forEach(id => {
+            this.elements[id] = document.getElementById(id);
+        });
+
+        this.elements.relayUrl.value = this.relayURL;
+
+        this.setupEventListeners();
+
+        this.channel.onMessage = (message) => this.handleMessage(message);
+        this.channel.onStatusChange = (status) => {
+            this.updateStatus();
+            if (status === 'connected') {
+                this.send('getState');
+            }
+        };
+        this.channel.open();
+
+        this.send('getState');
+    }
+
+    /**
+     * Send commands when controls change
+     */
+    setupEventListeners() {
+        const { elements } = this;
+
+        elements.relayConnect.addEventListener('click', () => {
+            this.relayURL = elements.relayUrl.value.trim();
+            this.channel.setURL(this.relayURL);
+            this.send('getState');
+        });
+
+        elements.mapType.addEventListener('change', () => {
+            this.send('setMapType', { mapType: elements.mapType.value });
+        });
+
+        elements.transparentBg.addEventListener('change', () => {
+            this.send('setTransparent', { enabled: elements.transparentBg.checked });
+        });
+
+        [elements.showTracks, elements.showIcons, elements.showZones, elements.showCars].forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.send('setLayer', { layer: checkbox.dataset.layer, visible: checkbox.checked });
+            });
+        });
+
+        elements.showProfile.addEventListener('change', () => {
+            this.send('setProfile', { visible: elements.showProfile.checked });
+        });
+
+        elements.showLeaderboard.addEventListener('change', () => {
+            this.send('setLeaderboard', { visible: elements.showLeaderboard.checked });
+        });
+
+        elements.stageSelect.addEventListener('change', () => {
+            if (elements.stageSelect.value) {
+                this.send('selectStage', { stage: elements.stageSelect.value });
+            }
+        });
+
+        elements.viewGo.addEventListener('click', () => {
+            const lat = parseFloat(elements.viewLat.value);
+            const lon = parseFloat(elements.viewLon.value);
+            const zoom = parseInt(elements.viewZoom.value);
+            if (isNaN(lat) || isNaN(lon)) {
+                this.setStatus('Enter a latitude and longitude', true);
+                return;
+            }
+            this.send('setView', { lat, lon, zoom: isNaN(zoom) ? undefined : zoom });
+        });
+
+        elements.fitAll.addEventListener('click', () => this.send('fitToContent'));
+
+        elements.presetSelect.addEventListener('change', () => {
+            if (elements.presetSelect.value) {
+                this.send('applyPreset', { name: elements.presetSelect.value });
+            }
+        });
+    }
+
+    /**
+     * Send a command to the overlay
+     * @param {string} command - Command name
+     * @param {Object} args - Command arguments
+     */
+    send(command, args = {}) {
+        this.channel.send({
+            type: 'command',
+            // Unique across controllers so the overlay can drop duplicates from the other transport
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${this.nextCommandId++}`,
+            command,
+            args
+        });
+
+        // The overlay always replies with its state; silence means it is not running
+        clearTimeout(this.responseTimer);
+        this.responseTimer = setTimeout(() => {
+            this.state = null;
+            this.elements.controls.classList.add('disabled');
+            this.updateStatus();
+        }, this.responseTimeout);
+    }
+
+    /**
+     * Handle a message from the overlay
+     * @param {Object} message - {type: 'result'|'state', ...}
+     */
+    handleMessage(message) {
+        if (message.type === 'result' && !message.ok) {
+            this.setStatus(message.error || 'Command failed', true);
+        } else if (message.type === 'state' && message.state) {
+            clearTimeout(this.responseTimer);
+            this.state = message.state;
+            this.elements.controls.classList.remove('disabled');
+            this.render(message.state);
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * Show the overlay state in the controls
+     * @param {Object} state - Overlay state from RallyTrackViewer.publishRemoteState
+     */
+    render(state) {
+        const { elements } = this;
+
+        this.fillSelect(elements.mapType, state.mapTypes || [], state.mapType);
+        elements.transparentBg.checked = state.transparent;
+
+        elements.showTracks.checked = state.layers.tracks;
+        elements.showIcons.checked = state.layers.icons;
+        elements.showZones.checked = state.layers.zones;
+        elements.showCars.checked = state.layers.cars;
+        elements.showProfile.checked = state.profile;
+        elements.showLeaderboard.checked = state.leaderboard;
+
+        const stages = (state.stages || []).map((name, index) => [String(index + 1), `${index + 1}. ${name}`]);
+        this.fillSelect(elements.stageSelect, [['', 'Select stage…'], ...stages], state.stage ? String(state.stage) : '');
+
+        const presets = (state.presets || []).map(name => [name, name]);
+        this.fillSelect(elements.presetSelect, [['', 'Apply preset…'], ...presets], '');
+
+        // Do not overwrite coordinates the producer is typing
+        if (state.center && document.activeElement !== elements.viewLat && document.activeElement !== elements.viewLon) {
+            elements.viewLat.value = state.center.lat.toFixed(5);
+            elements.viewLon.value = state.center.lon.toFixed(5);
+        }
+        if (document.activeElement !== elements.viewZoom) {
+            elements.viewZoom.value = state.zoom;
+        }
+    }
+
+    /**
+     * Replace the options of a select
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array} options - [value, label] pairs
+     * @param {string} selected - Value to select
+     */
+    fillSelect(select, options, selected) {
+        select.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Show the connection state
+     */
+    updateStatus() {
+        const relay = this.relayURL ? ` · relay ${this.channel.getStatus()}` : '';
+        this.setStatus(this.state ? `Connected to overlay${relay}` : `Waiting for overlay…${relay}`);
+    }
+
+    /**
+     * Show a status line
+     * @param {string} text - Status text
+     * @param {boolean} isError - Highlight as an error
+     */
+    setStatus(text, isError = false) {
+        this.elements.status.textContent = text;
+        this.elements.status.classList.toggle('error', isError);
+    }
+}
+
+const controller = new RemoteController();
+controller.init();
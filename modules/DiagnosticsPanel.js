@@ -0,0 +1,98 @@
+/**
+ * DiagnosticsPanel - Lists the problems found while loading a track file
+ * Each entry names the placemark and, for files parsed in the worker, the source line;
+ * entries with a location can be zoomed to
+ */
+
+export class DiagnosticsPanel {
+    constructor(containerElement) {
+        this.container = containerElement;
+        this.warnings = [];
+
+        // Callbacks
+        this.onZoom = null;     // (warning) => void
+        this.onClose = null;    // () => void
+    }
+
+    /**
+     * Draw the list of warnings
+     * @param {Array} warnings - Array of {type, message, placemark, line, bounds}
+     */
+    render(warnings = []) {
+        this.warnings = warnings;
+
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'diagnostics-header';
+
+        const title = document.createElement('span');
+        title.textContent = warnings.length === 0
+            ? 'No problems found'
+            : `${warnings.length} problem${warnings.length === 1 ? '' : 's'} found`;
+        header.appendChild(title);
+
+        const close = document.createElement('button');
+        close.className = 'diagnostics-close';
+        close.textContent = '✕';
+        close.title = 'Close';
+        close.addEventListener('click', () => {
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+        header.appendChild(close);
+
+        this.container.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-list';
+        warnings.forEach(warning => list.appendChild(this.createEntry(warning)));
+        this.container.appendChild(list);
+    }
+
+    /**
+     * Create the list item for one warning
+     * @param {Object} warning - Warning object
+     * @returns {HTMLElement} List item
+     */
+    createEntry(warning) {
+        const item = document.createElement('li');
+        item.className = `diagnostics-entry diagnostics-${warning.type}`;
+
+        const message = document.createElement('div');
+        message.className = 'diagnostics-message';
+        message.textContent = warning.message;
+        item.appendChild(message);
+
+        const where = [warning.placemark, warning.line ? `line ${warning.line}` : null].filter(Boolean);
+        if (where.length > 0 || warning.bounds) {
+            const location = document.createElement('div');
+            location.className = 'diagnostics-location';
+
+            const text = document.createElement('span');
+            text.textContent = where.join(' · ');
+            location.appendChild(text);
+
+            if (warning.bounds) {
+                const zoom = document.createElement('button');
+                zoom.className = 'diagnostics-zoom';
+                zoom.textContent = 'Zoom';
+                zoom.addEventListener('click', () => {
+                    if (this.onZoom) {
+                        this.onZoom(warning);
+                    }
+                });
+                location.appendChild(zoom);
+            }
+
+            item.appendChild(location);
+        }
+
+        return item;
+    }
+}
@@ -0,0 +1,332 @@
+/**
+ * ElevationProfile - Draws altitude against distance for a selected track
+ * Renders to SVG so it stays sharp on air; hover positions are reported via callbacks
+ */
+
+import { CONFIG } from '../config.js';
+import { cumulativeDistances, pointAtDistance, elevationStats, formatDistance } from './GeoUtils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart area inside the SVG viewBox
+const WIDTH = 400;
+const HEIGHT = 120;
+const PADDING = { top: 8, right: 8, bottom: 18, left: 40 };
+
+export class ElevationProfile {
+    constructor(containerElement) {
+        this.container = containerElement;
+        this.tracks = [];
+        this.track = null;
+        this.cumulative = [];
+        this.stats = null;
+
+        // UI parts, created in build()
+        this.select = null;
+        this.svg = null;
+        this.cursor = null;
+        this.statsElement = null;
+
+        // Callbacks
+        this.onHover = null;        // (point {lat, lon, alt, distance}) => void
+        this.onHoverEnd = null;     // () => void
+
+        this.build();
+    }
+
+    /**
+     * Create the panel's DOM structure
+     */
+    build() {
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = '';
+
+        this.select = document.createElement('select');
+        this.select.className = 'profile-track-select';
+        this.select.addEventListener('change', () => {
+            this.selectTrack(this.tracks[parseInt(this.select.value)] || null);
+        });
+        this.container.appendChild(this.select);
+
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+        this.svg.classList.add('profile-chart');
+        this.svg.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.svg.addEventListener('mouseleave', () => {
+            this.clearHighlight();
+            if (this.onHoverEnd) {
+                this.onHoverEnd();
+            }
+        });
+        this.container.appendChild(this.svg);
+
+        this.statsElement = document.createElement('div');
+        this.statsElement.className = 'profile-stats';
+        this.container.appendChild(this.statsElement);
+    }
+
+    /**
+     * Set the tracks available for selection
+     * @param {Array} tracks - Array of track objects
+     */
+    setTracks(tracks) {
+        this.tracks = tracks || [];
+
+        if (this.select) {
+            this.select.innerHTML = '';
+            this.tracks.forEach((track, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = track.name || `Track ${index + 1}`;
+                this.select.appendChild(option);
+            });
+        }
+
+        // Prefer the first track that actually has altitude data
+        const withAltitude = this.tracks.find(track => track.points.some(point => point.alt));
+        this.selectTrack(withAltitude || this.tracks[0] || null);
+    }
+
+    /**
+     * Select the track to profile
+     * @param {Object|null} track - Track object
+     */
+    selectTrack(track) {
+        this.track = track;
+        this.cumulative = track ? cumulativeDistances(track.points) : [];
+        this.stats = track ? elevationStats(track.points, this.cumulative, CONFIG.ui.profile.gradientWindow) : null;
+
+        if (this.select && track) {
+            this.select.value = this.tracks.indexOf(track);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Get the currently selected track
+     * @returns {Object|null} Track object
+     */
+    getSelectedTrack() {
+        return this.track;
+    }
+
+    /**
+     * Draw the profile and statistics for the selected track
+     */
+    render() {
+        if (!this.svg) {
+            return;
+        }
+
+        while (this.svg.firstChild) {
+            this.svg.removeChild(this.svg.firstChild);
+        }
+
+        if (!this.track || !this.stats) {
+            this.statsElement.textContent = this.track ? 'No altitude data' : 'No track selected';
+            this.cursor = null;
+            return;
+        }
+
+        const { minAltitude, maxAltitude } = this.stats;
+        const length = this.cumulative[this.cumulative.length - 1];
+
+        // Pad the altitude range so flat stages don't draw as a line on the axis
+        const range = Math.max(maxAltitude - minAltitude, 10);
+        this.scale = {
+            minAltitude: minAltitude - range * 0.05,
+            maxAltitude: maxAltitude + range * 0.05,
+            length: length
+        };
+
+        this.svg.appendChild(this.createProfilePath());
+        this.appendAxisLabels();
+        this.cursor = this.createCursor();
+
+        const gradient = this.stats.maxGradient;
+        this.statsElement.textContent = [
+            `↑ ${Math.round(this.stats.climb)} m`,
+            `↓ ${Math.round(this.stats.descent)} m`,
+            `min ${Math.round(minAltitude)} m`,
+            `max ${Math.round(maxAltitude)} m`,
+            `max gradient ${gradient > 0 ? '+' : ''}${gradient.toFixed(1)}%`
+        ].join(' · ');
+    }
+
+    /**
+     * Create the filled profile path
+     * Points are thinned to one per horizontal pixel so dense traces stay cheap
+     * @returns {SVGPathElement} Path element
+     */
+    createProfilePath() {
+        const points = this.track.points;
+        const bottom = HEIGHT - PADDING.bottom;
+        let path = `M ${this.toX(0)} ${bottom}`;
+        let lastX = -1;
+
+        for (let i = 0; i < points.length; i++) {
+            const x = this.toX(this.cumulative[i]);
+            if (Math.round(x) === lastX && i !== points.length - 1) {
+                continue;
+            }
+            lastX = Math.round(x);
+            path += ` L ${x.toFixed(1)} ${this.toY(points[i].alt).toFixed(1)}`;
+        }
+
+        path += ` L ${this.toX(this.scale.length)} ${bottom} Z`;
+
+        const element = document.createElementNS(SVG_NS, 'path');
+        element.setAttribute('d', path);
+        element.classList.add('profile-area');
+        return element;
+    }
+
+    /**
+     * Add min/max altitude and distance labels
+     */
+    appendAxisLabels() {
+        const labels = [
+            { x: PADDING.left - 4, y: this.toY(this.stats.maxAltitude) + 4, anchor: 'end', text: `${Math.round(this.stats.maxAltitude)} m` },
+            { x: PADDING.left - 4, y: this.toY(this.stats.minAltitude), anchor: 'end', text: `${Math.round(this.stats.minAltitude)} m` },
+            { x: PADDING.left, y: HEIGHT - 4, anchor: 'start', text: '0' },
+            { x: WIDTH - PADDING.right, y: HEIGHT - 4, anchor: 'end', text: formatDistance(this.scale.length) }
+        ];
+
+        labels.forEach(label => {
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('x', label.x);
+            text.setAttribute('y', label.y);
+            text.setAttribute('text-anchor', label.anchor);
+            text.classList.add('profile-label');
+            text.textContent = label.text;
+            this.svg.appendChild(text);
+        });
+    }
+
+    /**
+     * Create the hover cursor (vertical line, dot and label), hidden initially
+     * @returns {SVGGElement} Cursor group
+     */
+    createCursor() {
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.classList.add('profile-cursor');
+        group.style.display = 'none';
+
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('y1', PADDING.top);
+        line.setAttribute('y2', HEIGHT - PADDING.bottom);
+        group.appendChild(line);
+
+        const dot = document.createElementNS(SVG_NS, 'circle');
+        dot.setAttribute('r', 3);
+        group.appendChild(dot);
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('y', PADDING.top + 8);
+        label.classList.add('profile-label');
+        group.appendChild(label);
+
+        this.svg.appendChild(group);
+        return group;
+    }
+
+    /**
+     * Handle mouse movement over the chart
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleMouseMove(e) {
+        if (!this.track || !this.stats) {
+            return;
+        }
+
+        // Convert from screen pixels to viewBox units
+        const rect = this.svg.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width * WIDTH;
+        const distance = this.fromX(x);
+
+        const point = this.highlightDistance(distance);
+        if (point && this.onHover) {
+            this.onHover(point);
+        }
+    }
+
+    /**
+     * Move the profile cursor to a distance along the selected track
+     * @param {number} distance - Distance from start in metres
+     * @returns {Object|null} {lat, lon, alt, distance} at the cursor, or null if out of range
+     */
+    highlightDistance(distance) {
+        if (!this.cursor || !this.track) {
+            return null;
+        }
+
+        const clamped = Math.max(0, Math.min(this.scale.length, distance));
+        const point = pointAtDistance(this.track.points, this.cumulative, clamped);
+        if (!point || point.alt === null) {
+            return null;
+        }
+
+        const x = this.toX(clamped);
+        const y = this.toY(point.alt);
+
+        const [line, dot, label] = this.cursor.children;
+        line.setAttribute('x1', x);
+        line.setAttribute('x2', x);
+        dot.setAttribute('cx', x);
+        dot.setAttribute('cy', y);
+
+        // Keep the label inside the chart on the right-hand side
+        const flip = x > WIDTH * 0.7;
+        label.setAttribute('x', flip ? x - 4 : x + 4);
+        label.setAttribute('text-anchor', flip ? 'end' : 'start');
+        label.textContent = `${formatDistance(clamped)} · ${Math.round(point.alt)} m`;
+
+        this.cursor.style.display = '';
+
+        return { ...point, distance: clamped };
+    }
+
+    /**
+     * Hide the profile cursor
+     */
+    clearHighlight() {
+        if (this.cursor) {
+            this.cursor.style.display = 'none';
+        }
+    }
+
+    /**
+     * Map a distance to an x coordinate in the chart
+     * @param {number} distance - Distance in metres
+     * @returns {number} X coordinate
+     */
+    toX(distance) {
+        const width = WIDTH - PADDING.left - PADDING.right;
+        return PADDING.left + (this.scale.length > 0 ? distance / this.scale.length : 0) * width;
+    }
+
+    /**
+     * Map an x coordinate in the chart to a distance
+     * @param {number} x - X coordinate
+     * @returns {number} Distance in metres
+     */
+    fromX(x) {
+        const width = WIDTH - PADDING.left - PADDING.right;
+        return (x - PADDING.left) / width * this.scale.length;
+    }
+
+    /**
+     * Map an altitude to a y coordinate in the chart
+     * @param {number} altitude - Altitude in metres
+     * @returns {number} Y coordinate
+     */
+    toY(altitude) {
+        const height = HEIGHT - PADDING.top - PADDING.bottom;
+        const { minAltitude, maxAltitude } = this.scale;
+        return PADDING.top + (1 - (altitude - minAltitude) / (maxAltitude - minAltitude)) * height;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * EventEmitter - Named events for scripts and plugins that build on the viewer
+ * Each emitter declares the events it fires, so a misspelt name fails at on()
+ * instead of silently never firing
+ */
+
+export class EventEmitter {
+    /**
+     * @param {Array} eventNames - Events this emitter fires
+     */
+    constructor(eventNames) {
+        // Event name -> Set of listeners
+        this.listeners = new Map(eventNames.map(name => [name, new Set()]));
+    }
+
+    /**
+     * Get the listeners of an event
+     * @param {string} event - Event name
+     * @returns {Set} Listeners
+     * @throws {Error} If the emitter does not fire the event
+     */
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown event "${event}", expected one of: ${Array.from(this.listeners.keys()).join(', ')}`);
+        }
+        return listeners;
+    }
+
+    /**
+     * Add a listener
+     * @param {string} event - Event name
+     * @param {Function} listener - (detail) => void
+     * @returns {Function} Call to remove the listener again
+     */
+    on(event, listener) {
+        this.getListeners(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Add a listener that is removed after its first call
+     * @param {string} event - Event name
+     * @param {Function} listener - (detail) => void
+     * @returns {Function} Call to remove the listener before it fires
+     */
+    once(event, listener) {
+        const wrapper = (detail) => {
+            this.off(event, wrapper);
+            listener(detail);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Remove a listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        this.getListeners(event).delete(listener);
+    }
+
+    /**
+     * Call the listeners of an event
+     * A failing listener is logged and does not stop the others or the caller
+     * @param {string} event - Event name
+     * @param {Object} detail - Event data
+     */
+    emit(event, detail = {}) {
+        // Copy so listeners may remove themselves while being called
+        Array.from(this.getListeners(event)).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`EventEmitter: ${event} listener failed:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * GPXParser - Handles parsing of GPX files from GPS units
+ * Produces the same track and icon objects as KMLParser
+ */
+export class GPXParser {
+    constructor() {
+        this.tracks = [];
+        this.icons = [];
+    }
+
+    /**
+     * Parse GPX document and extract track data and waypoints
+     * @param {Document} gpxDoc - Parsed GPX document
+     * @returns {Object} Object containing tracks and icons arrays
+     */
+    parseGPX(gpxDoc) {
+        this.tracks = [];
+        this.icons = [];
+
+        // Parse recorded tracks (trk/trkseg/trkpt)
+        this.parseTracks(gpxDoc);
+
+        // Parse planned routes (rte/rtept) as tracks too
+        this.parseRoutes(gpxDoc);
+
+        // Parse waypoints (wpt) as icons
+        this.parseWaypoints(gpxDoc);
+
+        console.log(`GPXParser: Loaded ${this.tracks.length} tracks and ${this.icons.length} icons`);
+        return {
+            tracks: this.tracks,
+            icons: this.icons
+        };
+    }
+
+    /**
+     * Parse trk elements, one track per trkseg
+     * @param {Document} gpxDoc - Parsed GPX document
+     */
+    parseTracks(gpxDoc) {
+        const trks = gpxDoc.getElementsByTagName('trk');
+
+        for (let i = 0; i < trks.length; i++) {
+            const trk = trks[i];
+            const info = this.extractInfo(trk);
+            const segments = trk.getElementsByTagName('trkseg');
+
+            for (let s = 0; s < segments.length; s++) {
+                const points = this.parsePointList(segments[s].getElementsByTagName('trkpt'));
+
+                if (points.length > 0) {
+                    const baseName = info.name || `Track ${i + 1}`;
+
+                    this.tracks.push({
+                        name: segments.length > 1 ? `${baseName} (${s + 1})` : baseName,
+                        description: info.description,
+                        points: points,
+                        originalIndex: this.tracks.length,
+                        style: null
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse rte elements as tracks
+     * @param {Document} gpxDoc - Parsed GPX document
+     */
+    parseRoutes(gpxDoc) {
+        const routes = gpxDoc.getElementsByTagName('rte');
+
+        for (let i = 0; i < routes.length; i++) {
+            const route = routes[i];
+            const info = this.extractInfo(route);
+            const points = this.parsePointList(route.getElementsByTagName('rtept'));
+
+            if (points.length > 0) {
+                this.tracks.push({
+                    name: info.name || `Route ${i + 1}`,
+                    description: info.description,
+                    points: points,
+                    originalIndex: this.tracks.length,
+                    style: null
+                });
+            }
+        }
+    }
+
+    /**
+     * Parse wpt elements as icons
+     * @param {Document} gpxDoc - Parsed GPX document
+     */
+    parseWaypoints(gpxDoc) {
+        const waypoints = gpxDoc.getElementsByTagName('wpt');
+
+        for (let i = 0; i < waypoints.length; i++) {
+            const waypoint = waypoints[i];
+            const position = this.parsePoint(waypoint);
+
+            if (position) {
+                const info = this.extractInfo(waypoint);
+
+                this.icons.push({
+                    name: info.name || `Point ${i + 1}`,
+                    description: info.description,
+                    position: position,
+                    originalIndex: i,
+                    iconUrl: null,
+                    iconSize: null,
+                    iconAnchor: null,
+                    style: null
+                });
+            }
+        }
+    }
+
+    /**
+     * Parse a list of trkpt/rtept elements
+     * @param {HTMLCollection} elements - Point elements
+     * @returns {Array} Array of {lat, lon, alt, time} points
+     */
+    parsePointList(elements) {
+        const points = [];
+
+        for (let i = 0; i < elements.length; i++) {
+            const point = this.parsePoint(elements[i]);
+            if (point) {
+                points.push(point);
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Parse a single GPX point element (trkpt, rtept or wpt)
+     * @param {Element} element - Point element with lat/lon attributes
+     * @returns {Object|null} {lat, lon, alt, time} where alt comes from <ele>, or null if invalid
+     */
+    parsePoint(element) {
+        const lat = parseFloat(element.getAttribute('lat'));
+        const lon = parseFloat(element.getAttribute('lon'));
+
+        if (isNaN(lat) || isNaN(lon)) {
+            return null;
+        }
+
+        const eleText = this.getChildText(element, 'ele');
+        const ele = eleText !== null ? parseFloat(eleText) : NaN;
+
+        const timeText = this.getChildText(element, 'time');
+        const time = timeText !== null ? Date.parse(timeText) : NaN;
+
+        return {
+            lat,
+            lon,
+            alt: isNaN(ele) ? 0 : ele, // Default altitude to 0 if not present, same as KML
+            time: isNaN(time) ? null : time
+        };
+    }
+
+    /**
+     * Extract name and description from a trk, rte or wpt element
+     * @param {Element} element - GPX element
+     * @returns {Object} {name, description}
+     */
+    extractInfo(element) {
+        return {
+            name: this.getChildText(element, 'name'),
+            description: this.getChildText(element, 'desc') || this.getChildText(element, 'cmt')
+        };
+    }
+
+    /**
+     * Get trimmed text of a direct child element
+     * Direct children only, so a track's name is not taken from one of its points
+     * @param {Element} element - Parent element
+     * @param {string} tagName - Child tag name
+     * @returns {string|null} Text content or null if not found
+     */
+    getChildText(element, tagName) {
+        for (const child of element.children) {
+            if (child.localName === tagName) {
+                return child.textContent.trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse GPX source text
+     * @param {string} text - GPX source
+     * @returns {Object} Object containing tracks and icons arrays
+     */
+    parseGPXText(text) {
+        const parser = new DOMParser();
+        const gpxDoc = parser.parseFromString(text, 'text/xml');
+
+        // Check for parsing errors
+        const parseError = gpxDoc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+            throw new Error('Invalid GPX file format');
+        }
+
+        return this.parseGPX(gpxDoc);
+    }
+
+    /**
+     * Load and parse GPX file
+     * @param {File} file - GPX file object
+     * @returns {Promise<Object>} Promise resolving to {tracks, icons}
+     */
+    async loadGPXFile(file) {
+        try {
+            const text = await file.text();
+            return this.parseGPXText(text);
+        } catch (error) {
+            console.error('GPXParser: Error loading GPX file:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load GPX from URL
+     * @param {string} url - URL to GPX file
+     * @returns {Promise<Object>} Promise resolving to {tracks, icons}
+     */
+    async loadGPXFromURL(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const text = await response.text();
+            return this.parseGPXText(text);
+        } catch (error) {
+            console.error('GPXParser: Error loading GPX from URL:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all parsed tracks
+     * @returns {Array} Array of track objects
+     */
+    getTracks() {
+        return this.tracks;
+    }
+
+    /**
+     * Get all parsed icons
+     * @returns {Array} Array of icon objects
+     */
+    getIcons() {
+        return this.icons;
+    }
+
+    /**
+     * Clear all parsed data
+     */
+    clear() {
+        this.tracks = [];
+        this.icons = [];
+    }
+}
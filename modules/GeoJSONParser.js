@@ -0,0 +1,418 @@
+/**
+ * GeoJSONParser - Reads GeoJSON into track/icon objects and writes them back out
+ * Lines become tracks, points become icons and polygons become areas, matching KMLParser output
+ */
+export class GeoJSONParser {
+    constructor() {
+        this.tracks = [];
+        this.icons = [];
+        this.areas = [];
+    }
+
+    /**
+     * Parse a GeoJSON object and extract tracks, icons and areas
+     * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+     * @returns {Object} Object containing tracks, icons and areas arrays
+     */
+    parseGeoJSON(geojson) {
+        this.tracks = [];
+        this.icons = [];
+        this.areas = [];
+
+        if (!geojson || typeof geojson.type !== 'string') {
+            throw new Error('Invalid GeoJSON: missing type');
+        }
+
+        if (geojson.type === 'FeatureCollection') {
+            (geojson.features || []).forEach(feature => this.parseFeature(feature));
+        } else if (geojson.type === 'Feature') {
+            this.parseFeature(geojson);
+        } else {
+            this.parseGeometry(geojson, {});
+        }
+
+        console.log(`GeoJSONParser: Loaded ${this.tracks.length} tracks, ${this.icons.length} icons and ${this.areas.length} areas`);
+        return {
+            tracks: this.tracks,
+            icons: this.icons,
+            areas: this.areas
+        };
+    }
+
+    /**
+     * Parse a single Feature
+     * @param {Object} feature - GeoJSON Feature
+     */
+    parseFeature(feature) {
+        if (!feature || !feature.geometry) {
+            return;
+        }
+
+        this.parseGeometry(feature.geometry, feature.properties || {});
+    }
+
+    /**
+     * Parse a geometry into tracks or icons
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Object} properties - Properties of the owning feature
+     */
+    parseGeometry(geometry, properties) {
+        switch (geometry.type) {
+            case 'LineString':
+                this.addTrack(geometry.coordinates, properties, properties.coordTimes);
+                break;
+            case 'MultiLineString':
+                (geometry.coordinates || []).forEach((line, i) => {
+                    const times = Array.isArray(properties.coordTimes) ? properties.coordTimes[i] : null;
+                    this.addTrack(line, properties, times);
+                });
+                break;
+            case 'Point':
+                this.addIcon(geometry.coordinates, properties);
+                break;
+            case 'MultiPoint':
+                (geometry.coordinates || []).forEach(coordinate => this.addIcon(coordinate, properties));
+                break;
+            case 'Polygon':
+                this.addArea(geometry.coordinates, properties);
+                break;
+            case 'MultiPolygon':
+                (geometry.coordinates || []).forEach(rings => this.addArea(rings, properties));
+                break;
+            case 'GeometryCollection':
+                (geometry.geometries || []).forEach(part => this.parseGeometry(part, properties));
+                break;
+            default:
+                console.warn(`GeoJSONParser: Skipping unsupported geometry type ${geometry.type}`);
+        }
+    }
+
+    /**
+     * Add a track from a LineString coordinate array
+     * @param {Array} coordinates - Array of [lon, lat, alt?] positions
+     * @param {Object} properties - Feature properties
+     * @param {Array|null} times - Optional per-point times (ms or ISO strings)
+     */
+    addTrack(coordinates, properties, times) {
+        const points = [];
+
+        (coordinates || []).forEach((coordinate, i) => {
+            const point = this.parsePosition(coordinate);
+            if (point) {
+                if (Array.isArray(times) && times[i] !== undefined && times[i] !== null) {
+                    const time = typeof times[i] === 'string' ? Date.parse(times[i]) : Number(times[i]);
+                    point.time = isNaN(time) ? null : time;
+                }
+                points.push(point);
+            }
+        });
+
+        if (points.length === 0) {
+            return;
+        }
+
+        const index = this.tracks.length;
+        this.tracks.push({
+            name: properties.name || `Track ${index + 1}`,
+            description: properties.description || null,
+            points: points,
+            originalIndex: index,
+            style: properties.style || null,
+            lineStyle: {
+                normal: this.parseStrokeProperties(properties),
+                highlight: null
+            }
+        });
+    }
+
+    /**
+     * Read simplestyle stroke properties into a line style
+     * @param {Object} properties - Feature properties
+     * @returns {Object|null} {color, opacity, weight} or null if none are set
+     */
+    parseStrokeProperties(properties) {
+        const style = {};
+
+        if (typeof properties.stroke === 'string') {
+            style.color = properties.stroke;
+        }
+        if (typeof properties['stroke-width'] === 'number') {
+            style.weight = properties['stroke-width'];
+        }
+        if (typeof properties['stroke-opacity'] === 'number') {
+            style.opacity = Math.round(properties['stroke-opacity'] * 100);
+        }
+
+        return Object.keys(style).length > 0 ? style : null;
+    }
+
+    /**
+     * Add an area from Polygon rings
+     * @param {Array} rings - Outer ring followed by optional holes
+     * @param {Object} properties - Feature properties
+     */
+    addArea(rings, properties) {
+        if (!Array.isArray(rings) || rings.length === 0) {
+            return;
+        }
+
+        const [outer, ...inner] = rings.map(ring =>
+            (ring || []).map(coordinate => this.parsePosition(coordinate)).filter(point => point)
+        );
+
+        if (outer.length < 3) {
+            return;
+        }
+
+        const index = this.areas.length;
+        const strokeStyle = this.parseStrokeProperties(properties) || {};
+
+        if (typeof properties.fill === 'string') {
+            strokeStyle.fillColor = properties.fill;
+        }
+        if (typeof properties['fill-opacity'] === 'number') {
+            strokeStyle.fillOpacity = Math.round(properties['fill-opacity'] * 100);
+        }
+
+        this.areas.push({
+            name: properties.name || `Area ${index + 1}`,
+            description: properties.description || null,
+            outer: outer,
+            inner: inner.filter(ring => ring.length >= 3),
+            originalIndex: index,
+            style: properties.style || null,
+            areaStyle: {
+                normal: Object.keys(strokeStyle).length > 0 ? strokeStyle : null,
+                highlight: null
+            }
+        });
+    }
+
+    /**
+     * Add an icon from a Point position
+     * @param {Array} coordinate - [lon, lat, alt?] position
+     * @param {Object} properties - Feature properties
+     */
+    addIcon(coordinate, properties) {
+        const position = this.parsePosition(coordinate);
+        if (!position) {
+            return;
+        }
+
+        const index = this.icons.length;
+        const iconSize = Array.isArray(properties.iconSize) ? properties.iconSize : null;
+
+        this.icons.push({
+            name: properties.name || `Point ${index + 1}`,
+            description: properties.description || null,
+            position: position,
+            originalIndex: index,
+            iconUrl: properties.iconUrl || null,
+            iconSize: iconSize,
+            iconAnchor: iconSize ? [iconSize[0] / 2, iconSize[1] / 2] : null,
+            style: properties.style || null
+        });
+    }
+
+    /**
+     * Convert a GeoJSON position to a point
+     * @param {Array} coordinate - [lon, lat, alt?]
+     * @returns {Object|null} {lat, lon, alt} or null if invalid
+     */
+    parsePosition(coordinate) {
+        if (!Array.isArray(coordinate) || coordinate.length < 2) {
+            return null;
+        }
+
+        const lon = Number(coordinate[0]);
+        const lat = Number(coordinate[1]);
+        const alt = coordinate.length > 2 ? Number(coordinate[2]) : 0;
+
+        if (isNaN(lon) || isNaN(lat) || isNaN(alt)) {
+            return null;
+        }
+
+        return { lat, lon, alt };
+    }
+
+    /**
+     * Convert tracks, icons and areas to a GeoJSON FeatureCollection
+     * @param {Array} tracks - Array of track objects
+     * @param {Array} icons - Array of icon objects
+     * @param {Array} areas - Array of area objects
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    toGeoJSON(tracks = [], icons = [], areas = []) {
+        const features = [];
+
+        tracks.forEach(track => {
+            if (!track.points || track.points.length === 0) {
+                return;
+            }
+
+            const properties = this.buildProperties(track);
+
+            // Resolved KML line style as simplestyle properties
+            const lineStyle = track.lineStyle ? track.lineStyle.normal : null;
+            if (lineStyle) {
+                if (lineStyle.color) {
+                    properties.stroke = lineStyle.color;
+                }
+                if (typeof lineStyle.weight === 'number') {
+                    properties['stroke-width'] = lineStyle.weight;
+                }
+                if (typeof lineStyle.opacity === 'number') {
+                    properties['stroke-opacity'] = lineStyle.opacity / 100;
+                }
+            }
+
+            // Keep GPX timestamps in the common coordTimes convention
+            if (track.points.some(point => typeof point.time === 'number')) {
+                properties.coordTimes = track.points.map(point =>
+                    typeof point.time === 'number' ? new Date(point.time).toISOString() : null
+                );
+            }
+
+            features.push({
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: track.points.map(point => this.toPosition(point))
+                }
+            });
+        });
+
+        icons.forEach(icon => {
+            if (!icon.position) {
+                return;
+            }
+
+            const properties = this.buildProperties(icon);
+
+            // Blob URLs from KMZ archives are meaningless outside this page
+            if (icon.iconUrl && !icon.iconUrl.startsWith('blob:')) {
+                properties.iconUrl = icon.iconUrl;
+            }
+            if (icon.iconSize) {
+                properties.iconSize = icon.iconSize;
+            }
+
+            features.push({
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'Point',
+                    coordinates: this.toPosition(icon.position)
+                }
+            });
+        });
+
+        areas.forEach(area => {
+            if (!area.outer || area.outer.length < 3) {
+                return;
+            }
+
+            const properties = this.buildProperties(area);
+            const areaStyle = area.areaStyle ? area.areaStyle.normal : null;
+            if (areaStyle) {
+                if (areaStyle.color) {
+                    properties.stroke = areaStyle.color;
+                }
+                if (typeof areaStyle.weight === 'number') {
+                    properties['stroke-width'] = areaStyle.weight;
+                }
+                if (typeof areaStyle.opacity === 'number') {
+                    properties['stroke-opacity'] = areaStyle.opacity / 100;
+                }
+                if (areaStyle.fillColor) {
+                    properties.fill = areaStyle.fillColor;
+                }
+                if (typeof areaStyle.fillOpacity === 'number') {
+                    properties['fill-opacity'] = areaStyle.fillOpacity / 100;
+                }
+            }
+
+            // GeoJSON rings are closed: first and last positions are equal
+            const rings = [area.outer, ...(area.inner || [])].map(ring => {
+                const positions = ring.map(point => this.toPosition(point));
+                const first = positions[0];
+                const last = positions[positions.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    positions.push([...first]);
+                }
+                return positions;
+            });
+
+            features.push({
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: rings
+                }
+            });
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    /**
+     * Build the shared feature properties
+     * @param {Object} item - Track or icon object
+     * @returns {Object} Properties with name, description and style
+     */
+    buildProperties(item) {
+        return {
+            name: item.name || null,
+            description: item.description || null,
+            style: item.style || null
+        };
+    }
+
+    /**
+     * Convert a point to a GeoJSON position
+     * @param {Object} point - {lat, lon, alt}
+     * @returns {Array} [lon, lat, alt]
+     */
+    toPosition(point) {
+        return [point.lon, point.lat, typeof point.alt === 'number' ? point.alt : 0];
+    }
+
+    /**
+     * Load and parse GeoJSON file
+     * @param {File} file - GeoJSON file object
+     * @returns {Promise<Object>} Promise resolving to {tracks, icons}
+     */
+    async loadGeoJSONFile(file) {
+        try {
+            const text = await file.text();
+            return this.parseGeoJSON(JSON.parse(text));
+        } catch (error) {
+            console.error('GeoJSONParser: Error loading GeoJSON file:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load GeoJSON from URL
+     * @param {string} url - URL to GeoJSON file
+     * @returns {Promise<Object>} Promise resolving to {tracks, icons}
+     */
+    async loadGeoJSONFromURL(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return this.parseGeoJSON(await response.json());
+        } catch (error) {
+            console.error('GeoJSONParser: Error loading GeoJSON from URL:', error);
+            throw error;
+        }
+    }
+}
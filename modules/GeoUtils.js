@@ -0,0 +1,240 @@
+/**
+ * GeoUtils - Distance and projection helpers for track geometry
+ * Works on {lat, lon} points as produced by the parsers; no DOM or Leaflet needed
+ */
+
+// Mean Earth radius in metres (IUGG)
+const EARTH_RADIUS = 6371008.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} a - {lat, lon}
+ * @param {Object} b - {lat, lon}
+ * @returns {number} Distance in metres
+ */
+export function haversineDistance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Initial great-circle bearing from one point to another
+ * @param {Object} a - {lat, lon}
+ * @param {Object} b - {lat, lon}
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function bearing(a, b) {
+    const lat1 = toRadians(a.lat);
+    const lat2 = toRadians(b.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Cumulative distance from the start of a path to each of its points
+ * @param {Array} points - Array of {lat, lon}
+ * @returns {Array} Distances in metres, same length as points (first is 0)
+ */
+export function cumulativeDistances(points) {
+    const distances = new Array(points.length);
+    let total = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        if (i > 0) {
+            total += haversineDistance(points[i - 1], points[i]);
+        }
+        distances[i] = total;
+    }
+
+    return distances;
+}
+
+/**
+ * Total length of a path
+ * @param {Array} points - Array of {lat, lon}
+ * @returns {number} Length in metres
+ */
+export function pathLength(points) {
+    let total = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        total += haversineDistance(points[i - 1], points[i]);
+    }
+
+    return total;
+}
+
+/**
+ * Find the position at a given distance along a path
+ * @param {Array} points - Array of {lat, lon, alt?}
+ * @param {Array} cumulative - Result of cumulativeDistances(points)
+ * @param {number} distance - Distance from start in metres
+ * @returns {Object|null} {lat, lon, alt, index} where index is the segment start, or null if out of range
+ */
+export function pointAtDistance(points, cumulative, distance) {
+    if (points.length === 0 || distance < 0 || distance > cumulative[cumulative.length - 1]) {
+        return null;
+    }
+
+    // Binary search for the segment containing the distance
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] <= distance) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const segmentLength = cumulative[high] - cumulative[low];
+    const t = segmentLength > 0 ? (distance - cumulative[low]) / segmentLength : 0;
+
+    const a = points[low];
+    const b = points[high];
+    const hasAltitude = typeof a.alt === 'number' && typeof b.alt === 'number';
+
+    return {
+        lat: a.lat + (b.lat - a.lat) * t,
+        lon: a.lon + (b.lon - a.lon) * t,
+        alt: hasAltitude ? a.alt + (b.alt - a.alt) * t : null,
+        index: low
+    };
+}
+
+/**
+ * Project a position onto the nearest point of a path
+ * Uses a local equirectangular approximation per segment, accurate at stage scale
+ * @param {Array} points - Array of {lat, lon}
+ * @param {Array} cumulative - Result of cumulativeDistances(points)
+ * @param {Object} target - {lat, lon} to project
+ * @param {number} fromIndex - First segment to consider (lets callers skip already covered track)
+ * @param {number} toIndex - Last segment to consider
+ * @returns {Object|null} {distance, offset, lat, lon, index} or null for paths under two points
+ */
+export function projectOnPath(points, cumulative, target, fromIndex = 0, toIndex = points.length - 2) {
+    if (points.length < 2) {
+        return null;
+    }
+
+    const cosLat = Math.cos(toRadians(target.lat));
+    const start = Math.max(0, fromIndex);
+    const end = Math.min(points.length - 2, toIndex);
+    let best = null;
+
+    for (let i = start; i <= end; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+
+        // Segment in local metres-ish coordinates relative to point a
+        const bx = (b.lon - a.lon) * cosLat;
+        const by = b.lat - a.lat;
+        const px = (target.lon - a.lon) * cosLat;
+        const py = target.lat - a.lat;
+
+        const lengthSquared = bx * bx + by * by;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared)) : 0;
+
+        const dx = px - bx * t;
+        const dy = py - by * t;
+        const squaredOffset = dx * dx + dy * dy;
+
+        if (!best || squaredOffset < best.squaredOffset) {
+            best = { index: i, t, squaredOffset };
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    const a = points[best.index];
+    const b = points[best.index + 1];
+    const projected = {
+        lat: a.lat + (b.lat - a.lat) * best.t,
+        lon: a.lon + (b.lon - a.lon) * best.t
+    };
+
+    return {
+        distance: cumulative[best.index] + (cumulative[best.index + 1] - cumulative[best.index]) * best.t,
+        offset: haversineDistance(projected, target),
+        lat: projected.lat,
+        lon: projected.lon,
+        index: best.index
+    };
+}
+
+/**
+ * Compute climb, descent, altitude range and steepest gradient of a path
+ * Gradients are measured over at least `window` metres so GPS jitter between
+ * closely spaced points does not produce absurd values
+ * @param {Array} points - Array of {lat, lon, alt}
+ * @param {Array} cumulative - Result of cumulativeDistances(points)
+ * @param {number} window - Minimum horizontal distance for a gradient sample in metres
+ * @returns {Object|null} {climb, descent, minAltitude, maxAltitude, maxGradient} or null without altitude data
+ */
+export function elevationStats(points, cumulative, window = 50) {
+    if (points.length === 0 || !points.some(point => typeof point.alt === 'number' && point.alt !== 0)) {
+        return null;
+    }
+
+    let climb = 0;
+    let descent = 0;
+    let minAltitude = Infinity;
+    let maxAltitude = -Infinity;
+    let maxGradient = 0;
+    let windowEnd = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        const alt = points[i].alt;
+        minAltitude = Math.min(minAltitude, alt);
+        maxAltitude = Math.max(maxAltitude, alt);
+
+        if (i > 0) {
+            const delta = alt - points[i - 1].alt;
+            if (delta > 0) {
+                climb += delta;
+            } else {
+                descent -= delta;
+            }
+        }
+
+        // Advance the window end until it spans the minimum distance
+        windowEnd = Math.max(windowEnd, i + 1);
+        while (windowEnd < points.length && cumulative[windowEnd] - cumulative[i] < window) {
+            windowEnd++;
+        }
+
+        const run = windowEnd < points.length ? cumulative[windowEnd] - cumulative[i] : 0;
+        if (run > 0) {
+            const gradient = (points[windowEnd].alt - alt) / run * 100;
+            if (Math.abs(gradient) > Math.abs(maxGradient)) {
+                maxGradient = gradient;
+            }
+        }
+    }
+
+    return { climb, descent, minAltitude, maxAltitude, maxGradient };
+}
+
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in metres
+ * @returns {string} e.g. '850 m' or '12.34 km'
+ */
+export function formatDistance(meters) {
+    if (meters < 1000) {
+        return `${Math.round(meters)} m`;
+    }
+    return `${(meters / 1000).toFixed(2)} km`;
+}
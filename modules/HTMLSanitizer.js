@@ -0,0 +1,201 @@
+/**
+ * HTMLSanitizer - Makes KML descriptions and BalloonStyle templates safe to show in popups
+ * Descriptions come from whoever made the file, so everything is parsed in an inert
+ * document and rebuilt from an allowlist: formatting, links, images and the tables
+ * Google Earth descriptions are built from. Scripts, event handlers and
+ * javascript: URLs never reach the page.
+ */
+
+// Elements kept, with the attributes each may keep on top of GLOBAL_ATTRIBUTES
+const ALLOWED_TAGS = {
+    a: ['href', 'target'],
+    b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], small: [], big: [], sub: [], sup: [],
+    br: [], hr: ['width', 'size', 'noshade'], p: [], div: [], span: [], center: [], blockquote: [], pre: [], code: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start', 'type'], li: [], dl: [], dt: [], dd: [],
+    font: ['color', 'size', 'face'],
+    img: ['src', 'alt', 'width', 'height', 'border', 'hspace', 'vspace'],
+    table: ['border', 'cellpadding', 'cellspacing', 'width', 'bgcolor'],
+    caption: [], thead: [], tbody: [], tfoot: [], colgroup: ['span', 'width'], col: ['span', 'width'],
+    tr: ['valign', 'bgcolor'],
+    td: ['colspan', 'rowspan', 'width', 'height', 'valign', 'bgcolor', 'nowrap'],
+    th: ['colspan', 'rowspan', 'width', 'height', 'valign', 'bgcolor', 'nowrap']
+};
+
+const GLOBAL_ATTRIBUTES = ['title', 'align', 'dir', 'lang', 'style'];
+
+// Elements removed with their content; any other unknown element is unwrapped
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+    'template', 'svg', 'math', 'head', 'title', 'link', 'meta', 'base', 'input',
+    'button', 'select', 'textarea'
+]);
+
+const LINK_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+const IMAGE_SCHEMES = new Set(['http', 'https', 'blob']);
+
+// Inline CSS is limited to text, box and table formatting; nothing that positions or loads
+const ALLOWED_STYLE = /^(color|background-color|font(-family|-size|-style|-weight)?|text-(align|decoration|indent)|vertical-align|white-space|line-height|(max-|min-)?(width|height)|(margin|padding)(-(top|right|bottom|left))?|border(-[a-z-]+)?)$/;
+const UNSAFE_STYLE_VALUE = /url\s*\(|expression|javascript:|@import|[<>\\]/i;
+
+/**
+ * Escape text for safe use inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check a link or image URL
+ * Relative URLs are allowed; absolute ones need a listed scheme
+ * @param {string} url - Attribute value
+ * @param {Set} schemes - Allowed schemes
+ * @param {boolean} allowImageData - Also allow data: URLs of raster images
+ * @returns {boolean} True if the URL is safe to keep
+ */
+function isSafeURL(url, schemes, allowImageData = false) {
+    // Browsers ignore whitespace and control characters inside a scheme ('java\tscript:')
+    const value = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (!scheme) {
+        return true;
+    }
+    if (schemes.has(scheme[1])) {
+        return true;
+    }
+    return allowImageData && /^data:image\/(png|gif|jpe?g|webp|bmp);/.test(value);
+}
+
+/**
+ * Keep only the allowed declarations of an inline style
+ * @param {string} style - style attribute value
+ * @returns {string} Filtered declarations
+ */
+function sanitizeStyle(style) {
+    return style.split(';')
+        .map(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon < 0) {
+                return null;
+            }
+            const property = declaration.substring(0, colon).trim().toLowerCase();
+            const value = declaration.substring(colon + 1).trim();
+            return ALLOWED_STYLE.test(property) && value && !UNSAFE_STYLE_VALUE.test(value)
+                ? `${property}: ${value}`
+                : null;
+        })
+        .filter(Boolean)
+        .join('; ');
+}
+
+/**
+ * Strip the attributes an element may not keep
+ * @param {Element} element - Allowed element
+ */
+function sanitizeAttributes(element) {
+    const tag = element.localName;
+    const allowed = ALLOWED_TAGS[tag];
+
+    [...element.attributes].forEach(({ name, value }) => {
+        let keep = allowed.includes(name) || GLOBAL_ATTRIBUTES.includes(name);
+
+        if (keep && name === 'href') {
+            keep = isSafeURL(value, LINK_SCHEMES);
+        } else if (keep && name === 'src') {
+            keep = isSafeURL(value, IMAGE_SCHEMES, true);
+        } else if (keep && name === 'style') {
+            const style = sanitizeStyle(value);
+            keep = style !== '';
+            if (keep) {
+                element.setAttribute('style', style);
+            }
+        }
+
+        if (!keep) {
+            element.removeAttribute(name);
+        }
+    });
+
+    // Links must not replace the overlay page
+    if (tag === 'a' && element.hasAttribute('href')) {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+/**
+ * Clean the children of a node in place
+ * @param {Node} node - Parent node
+ */
+function sanitizeChildren(node) {
+    [...node.childNodes].forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+
+        // Comments, processing instructions and CDATA leftovers
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            child.remove();
+            return;
+        }
+
+        const tag = child.localName;
+        if (DROPPED_TAGS.has(tag)) {
+            child.remove();
+            return;
+        }
+
+        sanitizeChildren(child);
+
+        if (Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+            sanitizeAttributes(child);
+        } else {
+            child.replaceWith(...child.childNodes);
+        }
+    });
+}
+
+/**
+ * Sanitize HTML from a KML description for use in a popup
+ * Parsed with DOMParser, whose documents never run scripts or load images
+ * @param {string} html - Untrusted HTML (plain text passes through escaped)
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHTML(html) {
+    if (!html) {
+        return '';
+    }
+
+    const doc = new DOMParser().parseFromString(String(html), 'text/html');
+    sanitizeChildren(doc.body);
+    return doc.body.innerHTML;
+}
+
+/**
+ * Fill a KML BalloonStyle text template and sanitize the result
+ * $[name] is inserted as text and $[description] as HTML; other entities
+ * (e.g. $[geDirections] or ExtendedData fields) are left empty
+ * @param {string} template - BalloonStyle text
+ * @param {Object} feature - {name, description}
+ * @returns {string} Safe HTML
+ */
+export function renderBalloon(template, { name, description }) {
+    const filled = String(template).replace(/\$\[([^\]]+)\]/g, (match, entity) => {
+        if (entity === 'name') {
+            return escapeHTML(name || '');
+        }
+        if (entity === 'description') {
+            return description || '';
+        }
+        return '';
+    });
+
+    return sanitizeHTML(filled);
+}
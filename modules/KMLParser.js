@@ -1,21 +1,68 @@
 /**
  * KMLParser - Handles parsing of KML files and coordinate conversion
  * Enhanced to extract both tracks and icons/placemarks
+ * Files are parsed in a Web Worker (KMLParserWorker.js) when available so large
+ * documents do not block the page; parseKML works on DOM and XMLStream trees alike
  */
+
+import { KMZArchive } from './KMZArchive.js';
+import { pathLength } from './GeoUtils.js';
+
+// Longest coordinate tuple quoted in a warning
+const MAX_EXAMPLE_LENGTH = 40;
+
 export class KMLParser {
     constructor() {
         this.tracks = [];
         this.icons = [];
+        this.areas = [];
+        
+        // Folder/Document tree and lookup from container element to folder node
+        this.folders = [];
+        this.folderElements = new Map();
+        
+        // Document being parsed, used to resolve styleUrl references
+        this.currentDocument = null;
+        
+        // Problems found while parsing: {type, message, placemark, line, bounds}
+        this.warnings = [];
+        
+        // Placemark element -> bounds of its parsed geometries, for placemark-level warnings
+        this.placemarkBounds = new Map();
+        
+        // KMZ state of the loaded file: path of the KML inside the archive and blob URLs for its packed images
+        this.kmlPath = null;
+        this.resourceURLs = new Map();
+        
+        // KMZ state of the file being parsed, used to resolve icon hrefs: {kmlPath, resourceURLs} or null
+        this.archiveResources = null;
+        
+        // Worker parse in progress: {worker, reject}
+        this.pendingParse = null;
+        this.parseId = 0;
+        
+        // Callback: ({phase, loaded, total}) => void, phase is 'unpacking', 'parsing' or 'extracting'
+        this.onProgress = null;
     }
 
     /**
-     * Parse KML document and extract track data and icons
+     * Parse KML document and extract track data, icons and areas
+     * Parts of a MultiGeometry become separate features sharing the placemark's info
      * @param {Document} kmlDoc - Parsed KML document
-     * @returns {Object} Object containing tracks and icons arrays
+     * @returns {Object} Object containing tracks, icons, areas and folders arrays
      */
     parseKML(kmlDoc) {
         this.tracks = [];
         this.icons = [];
+        this.areas = [];
+        this.warnings = [];
+        this.placemarkBounds = new Map();
+        this.currentDocument = kmlDoc;
+        
+        // Build the Folder/Document tree first so features can reference it
+        this.folders = [];
+        this.folderElements = new Map();
+        this.parseFolders(kmlDoc.documentElement, null);
         
         // Parse tracks (LineString elements)
         this.parseLineStrings(kmlDoc);
@@ -23,13 +70,193 @@ export class KMLParser {
         // Parse icons/placemarks (Point elements)
         this.parsePoints(kmlDoc);
         
-        console.log(`KMLParser: Loaded ${this.tracks.length} tracks and ${this.icons.length} icons`);
+        // Parse areas/zones (Polygon elements)
+        this.parsePolygons(kmlDoc);
+        
+        this.checkPlacemarks(kmlDoc);
+        
+        // Keyed by element; holding on to it would keep the whole document alive
+        this.placemarkBounds = new Map();
+        
+        console.log(`KMLParser: Loaded ${this.tracks.length} tracks, ${this.icons.length} icons and ${this.areas.length} areas with ${this.warnings.length} warnings`);
         return {
             tracks: this.tracks,
-            icons: this.icons
+            icons: this.icons,
+            areas: this.areas,
+            folders: this.folders,
+            warnings: this.warnings
         };
     }
 
+    /**
+     * Record a problem with the file
+     * @param {string} type - 'droppedCoordinates', 'outOfRange', 'emptyGeometry', 'zeroLengthTrack',
+     *                        'duplicateName' or 'unresolvedStyle'
+     * @param {string} message - Description for the diagnostics panel
+     * @param {Element} element - Element the problem is in
+     * @param {Array|null} bounds - Area to zoom to, from getBounds()
+     */
+    addWarning(type, message, element, bounds = null) {
+        const placemark = element ? element.closest('Placemark') : null;
+        
+        this.warnings.push({
+            type,
+            message,
+            placemark: placemark ? this.describePlacemark(placemark) : null,
+            // Only XMLStream trees know their lines; DOM elements leave this undefined
+            line: element && element.lineNumber ? element.lineNumber : null,
+            bounds
+        });
+    }
+
+    /**
+     * Describe a placemark by its folder path and name
+     * @param {Element} placemark - Placemark element
+     * @returns {string} e.g. 'Stages / SS2'
+     */
+    describePlacemark(placemark) {
+        const name = this.getChildElement(placemark, 'name');
+        const path = this.getFolderChain(placemark).map(folder => folder.name);
+        path.push(name && name.textContent.trim() ? name.textContent.trim() : '(unnamed placemark)');
+        return path.join(' / ');
+    }
+
+    /**
+     * Get the bounding box of points
+     * @param {Array} points - Array of {lat, lon}
+     * @returns {Array|null} [[south, west], [north, east]] or null without points
+     */
+    getBounds(points) {
+        if (points.length === 0) {
+            return null;
+        }
+        
+        // One pass; spreading large tracks into Math.min/max overflows the call stack
+        let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+        for (const point of points) {
+            south = Math.min(south, point.lat);
+            north = Math.max(north, point.lat);
+            west = Math.min(west, point.lon);
+            east = Math.max(east, point.lon);
+        }
+        return [[south, west], [north, east]];
+    }
+
+    /**
+     * Grow a placemark's recorded bounds by the points of one of its geometries
+     * Lets placemark-level warnings zoom without parsing the coordinates again
+     * @param {Element|null} placemark - Placemark element
+     * @param {Array} points - Array of {lat, lon}
+     */
+    addPlacemarkBounds(placemark, points) {
+        const bounds = this.getBounds(points);
+        if (!placemark || !bounds) {
+            return;
+        }
+        
+        const known = this.placemarkBounds.get(placemark);
+        this.placemarkBounds.set(placemark, known ? [
+            [Math.min(known[0][0], bounds[0][0]), Math.min(known[0][1], bounds[0][1])],
+            [Math.max(known[1][0], bounds[1][0]), Math.max(known[1][1], bounds[1][1])]
+        ] : bounds);
+    }
+
+    /**
+     * Report unresolved styleUrls and features of one type sharing a name
+     * Names are how stages are picked (fit=, the leaderboard) and radio or marshal points
+     * looked up, so a repeated name is ambiguous
+     * @param {Document} kmlDoc - Parsed KML document
+     */
+    checkPlacemarks(kmlDoc) {
+        const placemarks = kmlDoc.getElementsByTagName('Placemark');
+        const featureTypes = [
+            { tag: 'LineString', label: 'Track', noun: 'track', names: new Set() },
+            { tag: 'Point', label: 'Icon', noun: 'icon', names: new Set() },
+            { tag: 'Polygon', label: 'Area', noun: 'area', names: new Set() }
+        ];
+        
+        for (let i = 0; i < placemarks.length; i++) {
+            const placemark = placemarks[i];
+            
+            const styleUrl = this.getChildElement(placemark, 'styleUrl');
+            const url = styleUrl ? styleUrl.textContent.trim() : '';
+            const hashIndex = url.indexOf('#');
+            if (url && (hashIndex < 0 || !this.currentDocument.getElementById(url.substring(hashIndex + 1)))) {
+                const where = hashIndex > 0 ? 'is not in this file (styles from other files are not loaded)' : 'is not defined in this file';
+                this.addWarning('unresolvedStyle', `Style ${url} ${where}; default styling is used`, styleUrl, this.placemarkBounds.get(placemark) || null);
+            }
+            
+            const nameElement = this.getChildElement(placemark, 'name');
+            const name = nameElement ? nameElement.textContent.trim() : '';
+            if (!name) {
+                continue;
+            }
+            
+            // A MultiGeometry placemark counts once for each type it contains
+            featureTypes.forEach(({ tag, label, noun, names }) => {
+                if (placemark.getElementsByTagName(tag).length === 0) {
+                    return;
+                }
+                if (names.has(name)) {
+                    this.addWarning('duplicateName', `${label} name "${name}" is already used by an earlier ${noun}`, placemark, this.placemarkBounds.get(placemark) || null);
+                }
+                names.add(name);
+            });
+        }
+    }
+
+    /**
+     * Recursively parse Document and Folder containers into a tree
+     * @param {Element} element - Element whose children are scanned
+     * @param {Object|null} parent - Parent folder node, null at the root
+     */
+    parseFolders(element, parent) {
+        for (const child of element.children) {
+            if (child.localName !== 'Document' && child.localName !== 'Folder') {
+                continue;
+            }
+            
+            const name = this.getChildElement(child, 'name');
+            const visibility = this.getChildElement(child, 'visibility');
+            const open = this.getChildElement(child, 'open');
+            
+            const folder = {
+                id: `folder-${this.folderElements.size + 1}`,
+                name: name ? name.textContent.trim() : (child.localName === 'Document' ? 'Document' : 'Folder'),
+                type: child.localName,
+                visible: !visibility || visibility.textContent.trim() !== '0',
+                open: open ? open.textContent.trim() === '1' : false,
+                parentId: parent ? parent.id : null,
+                children: []
+            };
+            
+            this.folderElements.set(child, folder);
+            (parent ? parent.children : this.folders).push(folder);
+            
+            this.parseFolders(child, folder);
+        }
+    }
+
+    /**
+     * Get the chain of folders containing a placemark, outermost first
+     * @param {Element} placemark - Placemark element
+     * @returns {Array} Array of folder nodes
+     */
+    getFolderChain(placemark) {
+        const chain = [];
+        let element = placemark ? placemark.parentElement : null;
+        
+        while (element) {
+            const folder = this.folderElements.get(element);
+            if (folder) {
+                chain.unshift(folder);
+            }
+            element = element.parentElement;
+        }
+        
+        return chain;
+    }
+
     /**
      * Parse LineString elements for tracks
      * @param {Document} kmlDoc - Parsed KML document
@@ -43,21 +270,38 @@ export class KMLParser {
             
             if (coordinatesElement && coordinatesElement.textContent.trim()) {
                 const coordinatesText = coordinatesElement.textContent.trim();
-                const points = this.parseCoordinates(coordinatesText);
+                const points = this.parseCoordinates(coordinatesText, lineString);
+                
+                if (points.length === 1) {
+                    this.addWarning('zeroLengthTrack', 'Track has a single point and cannot be drawn', lineString, this.getBounds(points));
+                } else if (points.length > 1 && pathLength(points) === 0) {
+                    this.addWarning('zeroLengthTrack', `Track has zero length (all ${points.length} points are the same)`, lineString, this.getBounds(points));
+                }
                 
                 if (points.length > 0) {
                     // Get track info from parent Placemark
                     const placemark = lineString.closest('Placemark');
                     const trackInfo = this.extractPlacemarkInfo(placemark, i);
+                    this.addPlacemarkBounds(placemark, points);
                     
                     this.tracks.push({
                         name: trackInfo.name || `Track ${i + 1}`,
                         description: trackInfo.description,
                         points: points,
                         originalIndex: i,
-                        style: trackInfo.style
+                        style: trackInfo.style,
+                        balloonText: trackInfo.balloonText,
+                        lineStyle: this.extractGeometryStyles(placemark),
+                        visible: trackInfo.visible,
+                        folderId: trackInfo.folderId,
+                        folderIds: trackInfo.folderIds,
+                        folderPath: trackInfo.folderPath
                     });
+                } else {
+                    this.addWarning('emptyGeometry', 'Track has no valid coordinates and was skipped', lineString);
                 }
+            } else {
+                this.addWarning('emptyGeometry', 'Track has no coordinates and was skipped', lineString);
             }
         }
     }
@@ -75,12 +319,13 @@ export class KMLParser {
             
             if (coordinatesElement && coordinatesElement.textContent.trim()) {
                 const coordinatesText = coordinatesElement.textContent.trim();
-                const coords = this.parseCoordinates(coordinatesText);
+                const coords = this.parseCoordinates(coordinatesText, point);
                 
                 if (coords.length > 0) {
                     // Get icon info from parent Placemark
                     const placemark = point.closest('Placemark');
                     const iconInfo = this.extractPlacemarkInfo(placemark, i);
+                    this.addPlacemarkBounds(placemark, coords);
                     
                     // Extract icon style information
                     const iconStyle = this.extractIconStyle(placemark);
@@ -93,15 +338,24 @@ export class KMLParser {
                         iconUrl: iconStyle.iconUrl,
                         iconSize: iconStyle.iconSize,
                         iconAnchor: iconStyle.iconAnchor,
-                        style: iconInfo.style
+                        style: iconInfo.style,
+                        balloonText: iconInfo.balloonText,
+                        visible: iconInfo.visible,
+                        folderId: iconInfo.folderId,
+                        folderIds: iconInfo.folderIds,
+                        folderPath: iconInfo.folderPath
                     });
+                } else {
+                    this.addWarning('emptyGeometry', 'Point has no valid coordinates and was skipped', point);
                 }
+            } else {
+                this.addWarning('emptyGeometry', 'Point has no coordinates and was skipped', point);
             }
         }
     }
 
     /**
-     * Extract placemark information (name, description, style)
+     * Extract placemark information (name, description, style, visibility, folders)
      * @param {Element} placemark - Placemark element
      * @param {number} index - Default index for naming
      * @returns {Object} Placemark information
@@ -110,10 +364,27 @@ export class KMLParser {
         const info = {
             name: null,
             description: null,
-            style: null
+            style: null,
+            balloonText: null,
+            visible: true,
+            folderId: null,
+            folderIds: [],
+            folderPath: []
         };
         
         if (placemark) {
+            // Extract default visibility
+            const visibility = this.getChildElement(placemark, 'visibility');
+            if (visibility) {
+                info.visible = visibility.textContent.trim() !== '0';
+            }
+            
+            // Extract containing folders
+            const folders = this.getFolderChain(placemark);
+            info.folderIds = folders.map(folder => folder.id);
+            info.folderPath = folders.map(folder => folder.name);
+            info.folderId = folders.length > 0 ? folders[folders.length - 1].id : null;
+            
             // Extract name
             const nameElement = placemark.getElementsByTagName('name')[0];
             if (nameElement) {
@@ -131,11 +402,38 @@ export class KMLParser {
             if (styleUrlElement) {
                 info.style = styleUrlElement.textContent.trim();
             }
+            
+            info.balloonText = this.extractBalloonText(placemark);
         }
         
         return info;
     }
 
+    /**
+     * Extract the BalloonStyle text template for a placemark
+     * An inline Style wins over the shared one, as in Google Earth
+     * @param {Element} placemark - Placemark element
+     * @returns {string|null} Template with $[name]/$[description] entities, or null
+     */
+    extractBalloonText(placemark) {
+        const styleUrl = this.getChildElement(placemark, 'styleUrl');
+        const inlineSelector = this.getChildElement(placemark, 'Style') || this.getChildElement(placemark, 'StyleMap');
+        const candidates = [
+            inlineSelector ? this.resolveStyleSelector(inlineSelector) : null,
+            styleUrl ? this.resolveStyleUrl(styleUrl.textContent.trim()) : null
+        ];
+        
+        for (const style of candidates) {
+            const balloonStyle = style ? this.getChildElement(style, 'BalloonStyle') : null;
+            const text = balloonStyle ? this.getChildElement(balloonStyle, 'text') : null;
+            if (text && text.textContent.trim()) {
+                return text.textContent.trim();
+            }
+        }
+        
+        return null;
+    }
+
     /**
      * Extract icon style information from placemark
      * @param {Element} placemark - Placemark element
@@ -162,7 +460,7 @@ export class KMLParser {
                 if (icon) {
                     const href = icon.getElementsByTagName('href')[0];
                     if (href) {
-                        style.iconUrl = href.textContent.trim();
+                        style.iconUrl = this.resolveHref(href.textContent.trim());
                     }
                 }
                 
@@ -193,7 +491,7 @@ export class KMLParser {
                         if (icon) {
                             const href = icon.getElementsByTagName('href')[0];
                             if (href) {
-                                style.iconUrl = href.textContent.trim();
+                                style.iconUrl = this.resolveHref(href.textContent.trim());
                             }
                         }
                         
@@ -214,83 +512,563 @@ export class KMLParser {
         return style;
     }
 
+    /**
+     * Parse Polygon elements for areas (spectator zones, restricted areas)
+     * @param {Document} kmlDoc - Parsed KML document
+     */
+    parsePolygons(kmlDoc) {
+        const polygons = kmlDoc.getElementsByTagName('Polygon');
+        
+        for (let i = 0; i < polygons.length; i++) {
+            const polygon = polygons[i];
+            
+            const outerBoundary = this.getChildElement(polygon, 'outerBoundaryIs');
+            const outer = outerBoundary ? this.parseLinearRing(outerBoundary) : [];
+            
+            // A ring needs at least three distinct corners
+            if (outer.length < 3) {
+                this.addWarning('emptyGeometry', `Zone outline has ${outer.length} valid point${outer.length === 1 ? '' : 's'} (at least 3 needed) and was skipped`, polygon, this.getBounds(outer));
+                continue;
+            }
+            
+            const inner = [];
+            for (const child of polygon.children) {
+                if (child.localName === 'innerBoundaryIs') {
+                    const ring = this.parseLinearRing(child);
+                    if (ring.length >= 3) {
+                        inner.push(this.closeRing(ring));
+                    } else {
+                        this.addWarning('emptyGeometry', 'Zone hole has fewer than 3 valid points and was skipped', child, this.getBounds(ring));
+                    }
+                }
+            }
+            
+            // Get area info from parent Placemark
+            const placemark = polygon.closest('Placemark');
+            const areaInfo = this.extractPlacemarkInfo(placemark, i);
+            this.addPlacemarkBounds(placemark, outer);
+            
+            this.areas.push({
+                name: areaInfo.name || `Area ${i + 1}`,
+                description: areaInfo.description,
+                outer: this.closeRing(outer),
+                inner: inner,
+                originalIndex: i,
+                style: areaInfo.style,
+                balloonText: areaInfo.balloonText,
+                areaStyle: this.extractGeometryStyles(placemark),
+                visible: areaInfo.visible,
+                folderId: areaInfo.folderId,
+                folderIds: areaInfo.folderIds,
+                folderPath: areaInfo.folderPath
+            });
+        }
+    }
+
+    /**
+     * Parse the LinearRing inside an outerBoundaryIs/innerBoundaryIs element
+     * @param {Element} boundary - Boundary element
+     * @returns {Array} Array of {lat, lon, alt} points
+     */
+    parseLinearRing(boundary) {
+        const ring = boundary.getElementsByTagName('LinearRing')[0];
+        const coordinatesElement = ring ? ring.getElementsByTagName('coordinates')[0] : null;
+        
+        if (!coordinatesElement || !coordinatesElement.textContent.trim()) {
+            return [];
+        }
+        
+        return this.parseCoordinates(coordinatesElement.textContent.trim(), ring);
+    }
+
+    /**
+     * Close a ring that does not end on its first point
+     * KML rings should be closed but often are not; the serializer always closes them,
+     * so areas read back unchanged after an export
+     * @param {Array} ring - Array of {lat, lon, alt} points
+     * @returns {Array} Ring whose last point repeats the first
+     */
+    closeRing(ring) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return first.lat === last.lat && first.lon === last.lon ? ring : [...ring, { ...first }];
+    }
+
+    /**
+     * Extract normal and highlight line and polygon styles for a placemark
+     * Resolves inline Style, styleUrl and StyleMap; inline values override shared ones
+     * @param {Element} placemark - Placemark element
+     * @returns {Object} {normal, highlight} each {color, opacity, weight, fillColor, fillOpacity, fill, outline} or null
+     */
+    extractGeometryStyles(placemark) {
+        const styles = {
+            normal: null,
+            highlight: null
+        };
+        
+        if (!placemark) {
+            return styles;
+        }
+        
+        const styleUrl = this.getChildElement(placemark, 'styleUrl');
+        const inlineSelector = this.getChildElement(placemark, 'Style') || this.getChildElement(placemark, 'StyleMap');
+        
+        for (const key of ['normal', 'highlight']) {
+            const shared = styleUrl ? this.resolveStyleUrl(styleUrl.textContent.trim(), key) : null;
+            const inline = inlineSelector ? this.resolveStyleSelector(inlineSelector, key) : null;
+            
+            const merged = {
+                ...this.parseStyleElement(shared),
+                ...this.parseStyleElement(inline)
+            };
+            
+            styles[key] = Object.keys(merged).length > 0 ? merged : null;
+        }
+        
+        // Without a StyleMap both keys resolve to the same Style; only keep a real highlight
+        if (JSON.stringify(styles.normal) === JSON.stringify(styles.highlight)) {
+            styles.highlight = null;
+        }
+        
+        return styles;
+    }
+
+    /**
+     * Resolve a styleUrl reference to a Style element
+     * @param {string} styleUrl - Style reference such as '#stage'
+     * @param {string} key - StyleMap key ('normal' or 'highlight')
+     * @param {number} depth - Recursion guard for chained StyleMaps
+     * @returns {Element|null} Style element or null if not found
+     */
+    resolveStyleUrl(styleUrl, key = 'normal', depth = 0) {
+        // Only document-local references can be resolved
+        const hashIndex = styleUrl.indexOf('#');
+        if (hashIndex < 0 || depth > 5 || !this.currentDocument) {
+            return null;
+        }
+        
+        const styleId = styleUrl.substring(hashIndex + 1);
+        const selector = this.currentDocument.getElementById(styleId);
+        
+        return selector ? this.resolveStyleSelector(selector, key, depth) : null;
+    }
+
+    /**
+     * Resolve a Style or StyleMap element to a Style element
+     * @param {Element} selector - Style or StyleMap element
+     * @param {string} key - StyleMap key ('normal' or 'highlight')
+     * @param {number} depth - Recursion guard for chained StyleMaps
+     * @returns {Element|null} Style element or null
+     */
+    resolveStyleSelector(selector, key = 'normal', depth = 0) {
+        if (selector.localName === 'Style') {
+            return selector;
+        }
+        
+        if (selector.localName !== 'StyleMap') {
+            return null;
+        }
+        
+        const pairs = selector.getElementsByTagName('Pair');
+        for (let i = 0; i < pairs.length; i++) {
+            const pairKey = this.getChildElement(pairs[i], 'key');
+            if (!pairKey || pairKey.textContent.trim() !== key) {
+                continue;
+            }
+            
+            const inlineStyle = this.getChildElement(pairs[i], 'Style');
+            if (inlineStyle) {
+                return inlineStyle;
+            }
+            
+            const pairStyleUrl = this.getChildElement(pairs[i], 'styleUrl');
+            if (pairStyleUrl) {
+                return this.resolveStyleUrl(pairStyleUrl.textContent.trim(), key, depth + 1);
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Read LineStyle and PolyStyle values from a Style element
+     * Only values present in the KML are returned, so results can be merged
+     * @param {Element|null} styleElement - Style element
+     * @returns {Object} Partial style {color, opacity, weight, fillColor, fillOpacity, fill, outline}
+     */
+    parseStyleElement(styleElement) {
+        const style = {};
+        
+        if (!styleElement) {
+            return style;
+        }
+        
+        const lineStyle = this.getChildElement(styleElement, 'LineStyle');
+        if (lineStyle) {
+            const color = this.getChildElement(lineStyle, 'color');
+            const parsedColor = color ? this.parseKMLColor(color.textContent) : null;
+            if (parsedColor) {
+                style.color = parsedColor.color;
+                style.opacity = parsedColor.opacity;
+            }
+            
+            const width = this.getChildElement(lineStyle, 'width');
+            const widthValue = width ? parseFloat(width.textContent) : NaN;
+            if (!isNaN(widthValue)) {
+                style.weight = widthValue;
+            }
+        }
+        
+        const polyStyle = this.getChildElement(styleElement, 'PolyStyle');
+        if (polyStyle) {
+            const color = this.getChildElement(polyStyle, 'color');
+            const parsedColor = color ? this.parseKMLColor(color.textContent) : null;
+            if (parsedColor) {
+                style.fillColor = parsedColor.color;
+                style.fillOpacity = parsedColor.opacity;
+            }
+            
+            const fill = this.getChildElement(polyStyle, 'fill');
+            if (fill) {
+                style.fill = fill.textContent.trim() !== '0';
+            }
+            
+            const outline = this.getChildElement(polyStyle, 'outline');
+            if (outline) {
+                style.outline = outline.textContent.trim() !== '0';
+            }
+        }
+        
+        return style;
+    }
+
+    /**
+     * Convert a KML colour (aabbggrr hex) to CSS colour and opacity
+     * @param {string} text - KML colour string
+     * @returns {Object|null} {color: '#rrggbb', opacity: 0-100} or null if invalid
+     */
+    parseKMLColor(text) {
+        const hex = text.trim().replace(/^#/, '');
+        if (!/^[0-9a-fA-F]{8}$/.test(hex)) {
+            return null;
+        }
+        
+        const alpha = parseInt(hex.substring(0, 2), 16);
+        const blue = hex.substring(2, 4);
+        const green = hex.substring(4, 6);
+        const red = hex.substring(6, 8);
+        
+        return {
+            color: `#${red}${green}${blue}`.toLowerCase(),
+            opacity: Math.round(alpha / 255 * 100)
+        };
+    }
+
+    /**
+     * Get the first direct child element with a given name
+     * @param {Element} element - Parent element
+     * @param {string} tagName - Child tag name
+     * @returns {Element|null} Child element or null if not found
+     */
+    getChildElement(element, tagName) {
+        for (const child of element.children) {
+            if (child.localName === tagName) {
+                return child;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve an icon href, mapping paths inside a KMZ archive to blob URLs
+     * @param {string} href - Href as written in the KML
+     * @returns {string} URL usable by the browser
+     */
+    resolveHref(href) {
+        const archive = this.archiveResources;
+        
+        // Absolute URLs, data URIs and root-relative paths are used as-is
+        if (!archive || archive.resourceURLs.size === 0 || /^([a-z][a-z0-9+.-]*:|\/)/i.test(href)) {
+            return href;
+        }
+        
+        const path = KMZArchive.resolvePath(archive.kmlPath, href);
+        return archive.resourceURLs.get(path) || href;
+    }
+
     /**
      * Parse coordinate string into lat/lng points
+     * Malformed tuples and positions outside ±90° latitude / ±180° longitude are dropped,
+     * and reported as warnings when the geometry element is given
      * @param {string} coordinatesText - Raw coordinates from KML
+     * @param {Element|null} element - Geometry element the coordinates belong to
      * @returns {Array} Array of [lat, lng] points
      */
-    parseCoordinates(coordinatesText) {
+    parseCoordinates(coordinatesText, element = null) {
         const points = [];
+        const malformed = [];
+        const outOfRange = [];
         const coords = coordinatesText.split(/\s+/);
         
         for (const coord of coords) {
             if (coord.trim()) {
                 const parts = coord.split(',');
-                if (parts.length >= 2) {
-                    const lon = parseFloat(parts[0]);
-                    const lat = parseFloat(parts[1]);
-                    const alt = parts.length > 2 ? parseFloat(parts[2]) : 0; // Default altitude to 0 if not present
-                    
-                    // Validate that all parts of the coordinate are valid numbers
-                    if (!isNaN(lon) && !isNaN(lat) && !isNaN(alt)) {
-                        points.push({ lat, lon, alt });
-                    }
+                const lon = parseFloat(parts[0]);
+                const lat = parts.length >= 2 ? parseFloat(parts[1]) : NaN;
+                const alt = parts.length > 2 ? parseFloat(parts[2]) : 0; // Default altitude to 0 if not present
+                
+                // Validate that all parts of the coordinate are valid numbers
+                if (isNaN(lon) || isNaN(lat) || isNaN(alt)) {
+                    malformed.push(coord);
+                } else if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                    outOfRange.push({ coord, lat, lon });
+                } else {
+                    points.push({ lat, lon, alt });
                 }
             }
         }
         
+        if (element && malformed.length > 0) {
+            const example = malformed[0].substring(0, MAX_EXAMPLE_LENGTH);
+            this.addWarning('droppedCoordinates', `${malformed.length} malformed coordinate${malformed.length === 1 ? '' : 's'} dropped, e.g. "${example}"`, element, this.getBounds(points));
+        }
+        
+        if (element && outOfRange.length > 0) {
+            const [{ coord, lat, lon }] = outOfRange;
+            // KML is lon,lat; a latitude beyond 90° with a longitude that would be a valid latitude suggests lat,lon
+            const hint = Math.abs(lat) > 90 && Math.abs(lon) <= 90 ? ' (latitude and longitude look swapped)' : '';
+            this.addWarning('outOfRange', `${outOfRange.length} coordinate${outOfRange.length === 1 ? '' : 's'} outside ±90° latitude / ±180° longitude dropped, e.g. "${coord.substring(0, MAX_EXAMPLE_LENGTH)}"${hint}`, element, this.getBounds(points));
+        }
+        
         return points;
     }
 
     /**
-     * Load and parse KML file
-     * @param {File} file - KML file object
+     * Parse raw KML or KMZ file contents
+     * Starting a new parse cancels one still in progress, whose promise rejects with an AbortError
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Promise<Object>} Promise resolving to {tracks, icons, areas, folders}
+     */
+    async parseKMLData(buffer) {
+        this.cancel();
+        const parseId = this.parseId;
+        
+        // The loaded file's blob URLs stay valid until this one has parsed: a failed or
+        // cancelled load leaves the previous file on screen, and exports still use them
+        let data = new Uint8Array(buffer);
+        const archiveResources = { kmlPath: null, resourceURLs: new Map() };
+        let result;
+        
+        try {
+            if (KMZArchive.isArchive(buffer)) {
+                this.reportProgress('unpacking', 0, buffer.byteLength);
+                const archive = new KMZArchive(buffer);
+                archiveResources.kmlPath = archive.kmlPath;
+                data = await archive.getKMLData();
+                archiveResources.resourceURLs = await archive.createResourceURLs();
+                
+                // Another file was chosen while unpacking
+                if (parseId !== this.parseId) {
+                    throw this.createAbortError();
+                }
+            }
+            
+            this.archiveResources = archiveResources;
+            result = typeof Worker !== 'undefined'
+                ? await this.parseInWorker(data)
+                : this.parseOnMainThread(data);
+        } catch (error) {
+            archiveResources.resourceURLs.forEach(url => URL.revokeObjectURL(url));
+            throw error;
+        } finally {
+            // A newer parse may already have set its own
+            if (this.archiveResources === archiveResources) {
+                this.archiveResources = null;
+            }
+        }
+        
+        this.releaseResources();
+        this.kmlPath = archiveResources.kmlPath;
+        this.resourceURLs = archiveResources.resourceURLs;
+        
+        this.tracks = result.tracks;
+        this.icons = result.icons;
+        this.areas = result.areas;
+        this.folders = result.folders;
+        this.warnings = result.warnings || [];
+        
+        return result;
+    }
+
+    /**
+     * Parse KML bytes in a Web Worker
+     * Falls back to the main thread if the worker script cannot be started
+     * @param {Uint8Array} data - KML document bytes
+     * @returns {Promise<Object>} Promise resolving to {tracks, icons, areas, folders}
+     */
+    parseInWorker(data) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('./KMLParserWorker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                console.warn('KMLParser: Web Worker unavailable, parsing on main thread:', error);
+                resolve(this.parseOnMainThread(data));
+                return;
+            }
+            
+            const finish = () => {
+                worker.terminate();
+                if (this.pendingParse && this.pendingParse.worker === worker) {
+                    this.pendingParse = null;
+                }
+            };
+            
+            this.pendingParse = { worker, reject };
+            
+            worker.addEventListener('message', (event) => {
+                const message = event.data;
+                
+                if (message.type === 'progress') {
+                    this.reportProgress(message.phase, message.loaded, message.total);
+                } else if (message.type === 'result') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            });
+            
+            // Script load failures (e.g. no module worker support) end up here
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                finish();
+                console.warn('KMLParser: Worker failed, parsing on main thread:', event.message);
+                try {
+                    resolve(this.parseOnMainThread(data));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            
+            // Copy into a buffer of its own so it can be transferred, not cloned
+            const copy = data.slice();
+            worker.postMessage({
+                type: 'parse',
+                buffer: copy.buffer,
+                kmlPath: this.archiveResources ? this.archiveResources.kmlPath : null,
+                resources: this.archiveResources ? Object.fromEntries(this.archiveResources.resourceURLs) : {}
+            }, [copy.buffer]);
+        });
+    }
+
+    /**
+     * Parse KML bytes on the main thread with DOMParser
+     * @param {Uint8Array} data - KML document bytes
+     * @returns {Object} Object containing tracks, icons, areas and folders arrays
+     */
+    parseOnMainThread(data) {
+        const text = new TextDecoder().decode(data);
+        const parser = new DOMParser();
+        const kmlDoc = parser.parseFromString(text, 'text/xml');
+        
+        // Check for parsing errors
+        const parseError = kmlDoc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+            // Browsers wrap the message in markup that differs per engine; the first line is the useful part
+            const detail = (parseError.querySelector('div') || parseError).textContent.trim().split('\n')[0];
+            throw new Error(detail ? `Invalid KML file format: ${detail}` : 'Invalid KML file format');
+        }
+        
+        return this.parseKML(kmlDoc);
+    }
+
+    /**
+     * Cancel a parse in progress
+     * Its promise rejects with an AbortError
+     */
+    cancel() {
+        this.parseId++;
+        
+        if (this.pendingParse) {
+            const { worker, reject } = this.pendingParse;
+            this.pendingParse = null;
+            worker.terminate();
+            reject(this.createAbortError());
+            console.log('KMLParser: Parse cancelled');
+        }
+    }
+
+    /**
+     * Create the error used to reject cancelled parses
+     * @returns {Error} Error with name 'AbortError'
+     */
+    createAbortError() {
+        const error = new Error('KML parsing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Notify the progress listener
+     * @param {string} phase - 'unpacking', 'parsing' or 'extracting'
+     * @param {number} loaded - Bytes processed
+     * @param {number} total - Total bytes
+     */
+    reportProgress(phase, loaded, total) {
+        if (this.onProgress) {
+            this.onProgress({ phase, loaded, total });
+        }
+    }
+
+    /**
+     * Load and parse KML or KMZ file
+     * @param {File} file - KML or KMZ file object
      * @returns {Promise<Object>} Promise resolving to {tracks, icons}
      */
     async loadKMLFile(file) {
         try {
-            const text = await file.text();
-            const parser = new DOMParser();
-            const kmlDoc = parser.parseFromString(text, 'text/xml');
+            this.cancel();
+            const parseId = this.parseId;
             
-            // Check for parsing errors
-            const parseError = kmlDoc.getElementsByTagName('parsererror')[0];
-            if (parseError) {
-                throw new Error('Invalid KML file format');
+            const buffer = await file.arrayBuffer();
+            if (parseId !== this.parseId) {
+                throw this.createAbortError();
             }
-            
-            return this.parseKML(kmlDoc);
+            return await this.parseKMLData(buffer);
         } catch (error) {
-            console.error('KMLParser: Error loading KML file:', error);
+            if (error.name !== 'AbortError') {
+                console.error('KMLParser: Error loading KML file:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Load KML from URL
-     * @param {string} url - URL to KML file
+     * Load KML or KMZ from URL
+     * @param {string} url - URL to KML or KMZ file
      * @returns {Promise<Object>} Promise resolving to {tracks, icons}
      */
     async loadKMLFromURL(url) {
         try {
+            this.cancel();
+            const parseId = this.parseId;
+            
             const response = await fetch(url);
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
             
-            const text = await response.text();
-            const parser = new DOMParser();
-            const kmlDoc = parser.parseFromString(text, 'text/xml');
-            
-            // Check for parsing errors
-            const parseError = kmlDoc.getElementsByTagName('parsererror')[0];
-            if (parseError) {
-                throw new Error('Invalid KML file format');
+            const buffer = await response.arrayBuffer();
+            if (parseId !== this.parseId) {
+                throw this.createAbortError();
             }
-            
-            return this.parseKML(kmlDoc);
+            return await this.parseKMLData(buffer);
         } catch (error) {
-            console.error('KMLParser: Error loading KML from URL:', error);
+            if (error.name !== 'AbortError') {
+                console.error('KMLParser: Error loading KML from URL:', error);
+            }
             throw error;
         }
     }
@@ -311,6 +1089,22 @@ export class KMLParser {
         return this.icons;
     }
 
+    /**
+     * Get the parsed Folder/Document tree
+     * @returns {Array} Array of root folder nodes
+     */
+    getFolders() {
+        return this.folders;
+    }
+
+    /**
+     * Get all parsed areas
+     * @returns {Array} Array of area objects
+     */
+    getAreas() {
+        return this.areas;
+    }
+
     /**
      * Get track by index
      * @param {number} index - Track index
@@ -347,11 +1141,42 @@ export class KMLParser {
         return this.icons.find(icon => icon.name === name) || null;
     }
 
+    /**
+     * Get the archive paths of the images unpacked from a KMZ
+     * @returns {Map} Blob URL -> path inside the archive
+     */
+    getResourcePaths() {
+        return new Map(Array.from(this.resourceURLs, ([path, url]) => [url, path]));
+    }
+
+    /**
+     * Get the problems found while loading the last file
+     * @returns {Array} Warnings {type, message, placemark, line, bounds}
+     */
+    getWarnings() {
+        return this.warnings;
+    }
+
+    /**
+     * Revoke blob URLs created for a KMZ archive
+     */
+    releaseResources() {
+        this.resourceURLs.forEach(url => URL.revokeObjectURL(url));
+        this.resourceURLs = new Map();
+        this.kmlPath = null;
+    }
+
     /**
      * Clear all parsed data
      */
     clear() {
         this.tracks = [];
         this.icons = [];
+        this.areas = [];
+        this.folders = [];
+        this.folderElements = new Map();
+        this.warnings = [];
+        this.currentDocument = null;
+        this.releaseResources();
     }
 }
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * KMLParserWorker - Parses KML off the main thread
+ * Receives {type: 'parse', buffer, kmlPath, resources} and posts 'progress' messages
+ * followed by a single 'result' or 'error' message. Started as a module worker by KMLParser
+ */
+
+import { KMLParser } from './KMLParser.js';
+import { XMLTreeBuilder } from './XMLStream.js';
+
+// Bytes decoded and tokenized per step; progress is reported after each
+const CHUNK_SIZE = 1024 * 1024;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.type !== 'parse') {
+        return;
+    }
+
+    try {
+        self.postMessage({ type: 'result', result: parse(message) });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
+
+/**
+ * Tokenize the KML in chunks, then extract features from the tree
+ * @param {Object} message - {buffer, kmlPath, resources}
+ * @returns {Object} {tracks, icons, areas, folders}
+ */
+function parse({ buffer, kmlPath, resources }) {
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+    const builder = new XMLTreeBuilder();
+
+    let kmlDoc;
+    try {
+        for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+            const end = Math.min(offset + CHUNK_SIZE, bytes.length);
+            builder.write(decoder.decode(bytes.subarray(offset, end), { stream: true }));
+            self.postMessage({ type: 'progress', phase: 'parsing', loaded: end, total: bytes.length });
+        }
+        builder.write(decoder.decode());
+        kmlDoc = builder.end();
+    } catch (error) {
+        throw new Error(`Invalid KML file format: ${error.message}`);
+    }
+
+    self.postMessage({ type: 'progress', phase: 'extracting', loaded: bytes.length, total: bytes.length });
+
+    const parser = new KMLParser();
+    parser.archiveResources = { kmlPath, resourceURLs: new Map(Object.entries(resources || {})) };
+
+    return parser.parseKML(kmlDoc);
+}
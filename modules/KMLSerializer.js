@@ -0,0 +1,565 @@
+/**
+ * KMLSerializer - Writes tracks, icons and areas back out as a KML document
+ * Keeps folder structure, names, descriptions, styleUrls, balloon templates and altitudes so that
+ * KMLParser reads the output back as the same features. Styles are written as a
+ * shared Style (or StyleMap) per styleUrl id holding what all its users have in
+ * common, plus an inline Style on features that differ from it.
+ */
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+const FEATURE_TYPES = ['tracks', 'icons', 'areas'];
+
+// KMLParser derives icon sizes from the IconStyle scale relative to this size
+const ICON_BASE_SIZE = 32;
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a CSS hex colour and opacity to a KML colour
+ * @param {string} color - '#rrggbb' or '#rgb'
+ * @param {number} opacity - Opacity 0-100
+ * @returns {string|null} KML colour (aabbggrr), or null for colours KML cannot express
+ */
+function toKMLColor(color, opacity = 100) {
+    let hex = String(color).trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+        hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) {
+        return null;
+    }
+
+    const alpha = Math.round(Math.max(0, Math.min(100, opacity)) / 100 * 255).toString(16).padStart(2, '0');
+    return `${alpha}${hex.substring(4, 6)}${hex.substring(2, 4)}${hex.substring(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Keep the style values every style in a list agrees on
+ * @param {Array} styles - Style objects
+ * @returns {Object} Shared values
+ */
+function commonValues(styles) {
+    if (styles.length === 0) {
+        return {};
+    }
+    return Object.fromEntries(Object.entries(styles[0])
+        .filter(([key, value]) => styles.every(style => style[key] === value)));
+}
+
+/**
+ * Compare two style objects
+ * @param {Object|null} a - Style
+ * @param {Object|null} b - Style
+ * @returns {boolean} True if both hold the same values
+ */
+function sameStyle(a, b) {
+    const keysA = Object.keys(a || {});
+    const keysB = Object.keys(b || {});
+    return keysA.length === keysB.length && keysA.every(key => a[key] === b[key]);
+}
+
+/**
+ * Get the id a styleUrl resolves to in the same document
+ * @param {string|null} styleUrl - Style reference such as '#stage'
+ * @returns {string|null} Style id, or null without a fragment
+ */
+function styleIdOf(styleUrl) {
+    const hashIndex = styleUrl ? styleUrl.indexOf('#') : -1;
+    return hashIndex >= 0 ? styleUrl.substring(hashIndex + 1) : null;
+}
+
+/**
+ * Get the id KMLParser looks up for an icon's styleUrl
+ * Icon styles are only resolved for plain '#id' references
+ * @param {string|null} styleUrl - Style reference
+ * @returns {string|null} Style id
+ */
+function iconStyleIdOf(styleUrl) {
+    return styleUrl && styleUrl.startsWith('#') ? styleUrl.substring(1) : null;
+}
+
+export class KMLSerializer {
+    constructor() {
+        // Per-document state, set up by serialize()
+        this.sharedStyles = new Map();
+        this.sharedIconStyles = new Map();
+        this.sharedBalloons = new Map();
+        this.iconHrefs = new Map();
+    }
+
+    /**
+     * Build a KML document from features and their folder tree
+     * A single top-level Document is written as is; anything else is wrapped in one
+     * @param {Object} data - {tracks, icons, areas, folders} as produced by the parsers
+     * @param {Object} options - {name: Document name when wrapping, iconHrefs: Map of icon URL -> href to write}
+     * @returns {string} KML text
+     */
+    serialize({ tracks = [], icons = [], areas = [], folders = [] }, options = {}) {
+        const features = {
+            tracks: tracks.filter(track => track.points && track.points.length > 0),
+            icons: icons.filter(icon => icon.position),
+            areas: areas.filter(area => area.outer && area.outer.length >= 3)
+        };
+
+        this.iconHrefs = options.iconHrefs || new Map();
+        this.collectSharedStyles(features);
+
+        // Features grouped by the folder that directly contains them, keeping their order per type
+        const folderIds = new Set();
+        const collectIds = (nodes) => nodes.forEach(folder => {
+            folderIds.add(folder.id);
+            collectIds(folder.children || []);
+        });
+        collectIds(folders);
+
+        const byFolder = new Map();
+        FEATURE_TYPES.forEach(type => {
+            features[type].forEach((feature, index) => {
+                const folderId = folderIds.has(feature.folderId) ? feature.folderId : null;
+                if (!byFolder.has(folderId)) {
+                    byFolder.set(folderId, { tracks: [], icons: [], areas: [] });
+                }
+                byFolder.get(folderId)[type].push({ feature, index });
+            });
+        });
+
+        const rootItems = this.orderItems(folders, byFolder.get(null), byFolder);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<kml xmlns="${KML_NAMESPACE}">`
+        ];
+
+        const [first] = rootItems;
+        if (rootItems.length === 1 && first.folder && first.folder.type === 'Document') {
+            this.writeContainer(lines, first.folder, byFolder, 1, true);
+        } else {
+            lines.push('  <Document>');
+            lines.push(`    <name>${escapeXML(options.name || 'Rally Track Viewer')}</name>`);
+            this.writeSharedStyles(lines, 2);
+            rootItems.forEach(item => this.writeItem(lines, item, byFolder, 2));
+            lines.push('  </Document>');
+        }
+
+        lines.push('</kml>');
+
+        console.log(`KMLSerializer: Wrote ${features.tracks.length} tracks, ${features.icons.length} icons and ${features.areas.length} areas`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Work out the shared style for each styleUrl id
+     * Line and polygon styles keep only values all users agree on, so every feature's
+     * own style is a superset and an inline Style restores it exactly. Icons only fall
+     * back to the shared IconStyle when they have no image of their own, so one is
+     * written only if every icon using the id has an image. A BalloonStyle is shared
+     * only if every feature using the id has the same template.
+     * @param {Object} features - {tracks, icons, areas}
+     */
+    collectSharedStyles(features) {
+        this.sharedStyles = new Map();
+        this.sharedIconStyles = new Map();
+        this.sharedBalloons = new Map();
+
+        const geometryGroups = new Map();
+        [
+            ...features.tracks.map(track => [track.style, track.lineStyle]),
+            ...features.areas.map(area => [area.style, area.areaStyle])
+        ].forEach(([styleUrl, styles]) => {
+            const id = styleIdOf(styleUrl);
+            if (id) {
+                if (!geometryGroups.has(id)) {
+                    geometryGroups.set(id, []);
+                }
+                geometryGroups.get(id).push(styles || { normal: null, highlight: null });
+            }
+        });
+
+        geometryGroups.forEach((group, id) => {
+            const normals = group.map(styles => styles.normal || {});
+            const highlights = group.map(styles => styles.highlight).filter(Boolean);
+
+            // A StyleMap only if every user has a highlight; otherwise both keys share one Style
+            const shared = highlights.length === group.length
+                ? { normal: commonValues(normals), highlight: commonValues(highlights) }
+                : { normal: commonValues([...normals, ...highlights]), highlight: null };
+
+            if (Object.keys(shared.normal).length > 0 || shared.highlight) {
+                this.sharedStyles.set(id, shared);
+            }
+        });
+
+        const iconGroups = new Map();
+        features.icons.forEach(icon => {
+            const id = iconStyleIdOf(icon.style);
+            if (id) {
+                if (!iconGroups.has(id)) {
+                    iconGroups.set(id, []);
+                }
+                iconGroups.get(id).push(icon);
+            }
+        });
+
+        iconGroups.forEach((group, id) => {
+            if (group.every(icon => this.getIconHref(icon.iconUrl))) {
+                const [first] = group;
+                this.sharedIconStyles.set(id, { iconUrl: first.iconUrl, href: this.getIconHref(first.iconUrl), iconSize: first.iconSize });
+            }
+        });
+
+        const balloonGroups = new Map();
+        FEATURE_TYPES.forEach(type => features[type].forEach(feature => {
+            const id = styleIdOf(feature.style);
+            if (id) {
+                if (!balloonGroups.has(id)) {
+                    balloonGroups.set(id, []);
+                }
+                balloonGroups.get(id).push(feature.balloonText || null);
+            }
+        }));
+
+        balloonGroups.forEach((texts, id) => {
+            if (texts[0] && texts.every(text => text === texts[0])) {
+                this.sharedBalloons.set(id, texts[0]);
+            }
+        });
+    }
+
+    /**
+     * Order the contents of a container: subfolders and features keep their own order,
+     * and are interleaved so each feature type reads back in its original order
+     * @param {Array} folders - Subfolders in document order
+     * @param {Object|undefined} direct - Features directly in the container {tracks, icons, areas}
+     * @param {Map} byFolder - Features by folder id
+     * @returns {Array} Items {folder} or {type, feature}
+     */
+    orderItems(folders, direct, byFolder) {
+        const lowestIndex = (folder) => {
+            const lowest = {};
+            const visit = (node) => {
+                const own = byFolder.get(node.id);
+                FEATURE_TYPES.forEach(type => {
+                    if (own && own[type].length > 0) {
+                        lowest[type] = Math.min(lowest[type] ?? Infinity, own[type][0].index);
+                    }
+                });
+                (node.children || []).forEach(visit);
+            };
+            visit(folder);
+            return lowest;
+        };
+
+        const queues = [
+            folders.map(folder => ({ folder, lowest: lowestIndex(folder) })),
+            ...FEATURE_TYPES.map(type => (direct ? direct[type] : []).map(({ feature, index }) => ({ type, feature, lowest: { [type]: index } })))
+        ];
+
+        const items = [];
+        while (queues.some(queue => queue.length > 0)) {
+            const heads = queues.filter(queue => queue.length > 0).map(queue => queue[0]);
+
+            // Take a head that no other head has to precede
+            const next = heads.find(item => !heads.some(other => other !== item
+                && FEATURE_TYPES.some(type => type in item.lowest && type in other.lowest && other.lowest[type] < item.lowest[type])))
+                || heads[0];
+
+            queues.find(queue => queue[0] === next).shift();
+            items.push(next);
+        }
+
+        return items;
+    }
+
+    /**
+     * Write a folder or feature
+     * @param {Array} lines - Output lines
+     * @param {Object} item - {folder} or {type, feature}
+     * @param {Map} byFolder - Features by folder id
+     * @param {number} depth - Indentation depth
+     */
+    writeItem(lines, item, byFolder, depth) {
+        if (item.folder) {
+            this.writeContainer(lines, item.folder, byFolder, depth, false);
+        } else {
+            this.writePlacemark(lines, item.type, item.feature, depth);
+        }
+    }
+
+    /**
+     * Write a Document or Folder with its contents
+     * @param {Array} lines - Output lines
+     * @param {Object} folder - Folder node {name, type, visible, open, children}
+     * @param {Map} byFolder - Features by folder id
+     * @param {number} depth - Indentation depth
+     * @param {boolean} withStyles - Write the shared styles at the top of this container
+     */
+    writeContainer(lines, folder, byFolder, depth, withStyles) {
+        const indent = '  '.repeat(depth);
+        const tag = folder.type === 'Document' ? 'Document' : 'Folder';
+
+        lines.push(`${indent}<${tag}>`);
+        lines.push(`${indent}  <name>${escapeXML(folder.name)}</name>`);
+        if (folder.visible === false) {
+            lines.push(`${indent}  <visibility>0</visibility>`);
+        }
+        if (folder.open) {
+            lines.push(`${indent}  <open>1</open>`);
+        }
+        if (withStyles) {
+            this.writeSharedStyles(lines, depth + 1);
+        }
+
+        this.orderItems(folder.children || [], byFolder.get(folder.id), byFolder)
+            .forEach(item => this.writeItem(lines, item, byFolder, depth + 1));
+
+        lines.push(`${indent}</${tag}>`);
+    }
+
+    /**
+     * Write the shared Style and StyleMap elements
+     * @param {Array} lines - Output lines
+     * @param {number} depth - Indentation depth
+     */
+    writeSharedStyles(lines, depth) {
+        const indent = '  '.repeat(depth);
+        const ids = new Set([...this.sharedStyles.keys(), ...this.sharedIconStyles.keys(), ...this.sharedBalloons.keys()]);
+
+        ids.forEach(id => {
+            const shared = this.sharedStyles.get(id) || { normal: {}, highlight: null };
+            const icon = this.sharedIconStyles.get(id) || null;
+            const balloonText = this.sharedBalloons.get(id) || null;
+
+            if (shared.highlight) {
+                // Icons read the first IconStyle in a StyleMap, so it goes in the normal Style
+                lines.push(`${indent}<StyleMap id="${escapeXML(id)}">`);
+                lines.push(`${indent}  <Pair>`);
+                lines.push(`${indent}    <key>normal</key>`);
+                this.writeStyle(lines, shared.normal, icon, depth + 2, null, balloonText);
+                lines.push(`${indent}  </Pair>`);
+                lines.push(`${indent}  <Pair>`);
+                lines.push(`${indent}    <key>highlight</key>`);
+                this.writeStyle(lines, shared.highlight, null, depth + 2);
+                lines.push(`${indent}  </Pair>`);
+                lines.push(`${indent}</StyleMap>`);
+            } else {
+                this.writeStyle(lines, shared.normal, icon, depth, id, balloonText);
+            }
+        });
+    }
+
+    /**
+     * Write a Style element
+     * @param {Array} lines - Output lines
+     * @param {Object} style - Line and polygon style {color, opacity, weight, fillColor, fillOpacity, fill, outline}
+     * @param {Object|null} icon - Icon style {href, iconSize}
+     * @param {number} depth - Indentation depth
+     * @param {string|null} id - Style id for shared styles
+     * @param {string|null} balloonText - BalloonStyle text template
+     */
+    writeStyle(lines, style, icon, depth, id = null, balloonText = null) {
+        const indent = '  '.repeat(depth);
+        lines.push(id ? `${indent}<Style id="${escapeXML(id)}">` : `${indent}<Style>`);
+
+        if (icon) {
+            lines.push(`${indent}  <IconStyle>`);
+            if (icon.iconSize) {
+                lines.push(`${indent}    <scale>${icon.iconSize[0] / ICON_BASE_SIZE}</scale>`);
+            }
+            if (icon.href) {
+                lines.push(`${indent}    <Icon><href>${escapeXML(icon.href)}</href></Icon>`);
+            }
+            lines.push(`${indent}  </IconStyle>`);
+        }
+
+        const lineColor = style.color ? toKMLColor(style.color, style.opacity) : null;
+        if (lineColor || typeof style.weight === 'number') {
+            lines.push(`${indent}  <LineStyle>`);
+            if (lineColor) {
+                lines.push(`${indent}    <color>${lineColor}</color>`);
+            }
+            if (typeof style.weight === 'number') {
+                lines.push(`${indent}    <width>${style.weight}</width>`);
+            }
+            lines.push(`${indent}  </LineStyle>`);
+        }
+
+        const fillColor = style.fillColor ? toKMLColor(style.fillColor, style.fillOpacity) : null;
+        if (fillColor || typeof style.fill === 'boolean' || typeof style.outline === 'boolean') {
+            lines.push(`${indent}  <PolyStyle>`);
+            if (fillColor) {
+                lines.push(`${indent}    <color>${fillColor}</color>`);
+            }
+            if (typeof style.fill === 'boolean') {
+                lines.push(`${indent}    <fill>${style.fill ? 1 : 0}</fill>`);
+            }
+            if (typeof style.outline === 'boolean') {
+                lines.push(`${indent}    <outline>${style.outline ? 1 : 0}</outline>`);
+            }
+            lines.push(`${indent}  </PolyStyle>`);
+        }
+
+        if (balloonText) {
+            lines.push(`${indent}  <BalloonStyle>`);
+            lines.push(`${indent}    <text>${escapeXML(balloonText)}</text>`);
+            lines.push(`${indent}  </BalloonStyle>`);
+        }
+
+        lines.push(`${indent}</Style>`);
+    }
+
+    /**
+     * Write a Placemark for a track, icon or area
+     * @param {Array} lines - Output lines
+     * @param {string} type - 'tracks', 'icons' or 'areas'
+     * @param {Object} feature - Feature object
+     * @param {number} depth - Indentation depth
+     */
+    writePlacemark(lines, type, feature, depth) {
+        const indent = '  '.repeat(depth);
+
+        lines.push(`${indent}<Placemark>`);
+        if (feature.name) {
+            lines.push(`${indent}  <name>${escapeXML(feature.name)}</name>`);
+        }
+        if (feature.visible === false) {
+            lines.push(`${indent}  <visibility>0</visibility>`);
+        }
+        if (feature.description !== null && feature.description !== undefined) {
+            lines.push(`${indent}  <description>${escapeXML(feature.description)}</description>`);
+        }
+        if (feature.style) {
+            lines.push(`${indent}  <styleUrl>${escapeXML(feature.style)}</styleUrl>`);
+        }
+
+        // Balloon templates the shared style does not already supply
+        const balloonText = feature.balloonText && this.sharedBalloons.get(styleIdOf(feature.style)) !== feature.balloonText
+            ? feature.balloonText
+            : null;
+
+        if (type === 'icons') {
+            this.writeIconStyle(lines, feature, depth + 1, balloonText);
+            lines.push(`${indent}  <Point>`);
+            lines.push(`${indent}    <coordinates>${this.formatCoordinates([feature.position])}</coordinates>`);
+            lines.push(`${indent}  </Point>`);
+        } else if (type === 'tracks') {
+            this.writeGeometryStyle(lines, feature.style, feature.lineStyle, depth + 1, balloonText);
+            lines.push(`${indent}  <LineString>`);
+            lines.push(`${indent}    <coordinates>${this.formatCoordinates(feature.points)}</coordinates>`);
+            lines.push(`${indent}  </LineString>`);
+        } else {
+            this.writeGeometryStyle(lines, feature.style, feature.areaStyle, depth + 1, balloonText);
+            lines.push(`${indent}  <Polygon>`);
+            [feature.outer, ...(feature.inner || [])].forEach((ring, index) => {
+                const boundary = index === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+                lines.push(`${indent}    <${boundary}><LinearRing><coordinates>${this.formatCoordinates(this.closeRing(ring))}</coordinates></LinearRing></${boundary}>`);
+            });
+            lines.push(`${indent}  </Polygon>`);
+        }
+
+        lines.push(`${indent}</Placemark>`);
+    }
+
+    /**
+     * Write the inline Style a track or area needs on top of its shared style
+     * @param {Array} lines - Output lines
+     * @param {string|null} styleUrl - The feature's styleUrl
+     * @param {Object|null} styles - Resolved styles {normal, highlight}
+     * @param {number} depth - Indentation depth
+     * @param {string|null} balloonText - BalloonStyle text to write inline
+     */
+    writeGeometryStyle(lines, styleUrl, styles, depth, balloonText = null) {
+        const normal = (styles && styles.normal) || {};
+        const highlight = (styles && styles.highlight) || null;
+        const shared = this.sharedStyles.get(styleIdOf(styleUrl)) || { normal: {}, highlight: null };
+
+        const matchesShared = sameStyle(normal, shared.normal)
+            && (highlight ? Boolean(shared.highlight) && sameStyle(highlight, shared.highlight) : !shared.highlight);
+        if (matchesShared && !balloonText) {
+            return;
+        }
+
+        if (!highlight) {
+            this.writeStyle(lines, normal, null, depth, null, balloonText);
+            return;
+        }
+
+        const indent = '  '.repeat(depth);
+        lines.push(`${indent}<StyleMap>`);
+        ['normal', 'highlight'].forEach(key => {
+            lines.push(`${indent}  <Pair>`);
+            lines.push(`${indent}    <key>${key}</key>`);
+            this.writeStyle(lines, key === 'normal' ? normal : highlight, null, depth + 2, null, key === 'normal' ? balloonText : null);
+            lines.push(`${indent}  </Pair>`);
+        });
+        lines.push(`${indent}</StyleMap>`);
+    }
+
+    /**
+     * Write the inline IconStyle of an icon unless its shared style matches it
+     * @param {Array} lines - Output lines
+     * @param {Object} icon - Icon object
+     * @param {number} depth - Indentation depth
+     * @param {string|null} balloonText - BalloonStyle text to write inline
+     */
+    writeIconStyle(lines, icon, depth, balloonText = null) {
+        const shared = this.sharedIconStyles.get(iconStyleIdOf(icon.style));
+        const matchesShared = shared && shared.iconUrl === icon.iconUrl && JSON.stringify(shared.iconSize) === JSON.stringify(icon.iconSize);
+        const href = matchesShared ? null : this.getIconHref(icon.iconUrl);
+        const iconSize = matchesShared ? null : icon.iconSize;
+
+        if (href || iconSize || balloonText) {
+            this.writeStyle(lines, {}, href || iconSize ? { href, iconSize } : null, depth, null, balloonText);
+        }
+    }
+
+    /**
+     * Get the href to write for an icon URL
+     * Images unpacked from a KMZ are written as their path in the archive
+     * @param {string|null} iconUrl - Icon URL
+     * @returns {string|null} Href, or null for URLs that only exist in this page
+     */
+    getIconHref(iconUrl) {
+        if (!iconUrl) {
+            return null;
+        }
+        if (this.iconHrefs.has(iconUrl)) {
+            return this.iconHrefs.get(iconUrl);
+        }
+        return iconUrl.startsWith('blob:') ? null : iconUrl;
+    }
+
+    /**
+     * Close a polygon ring as KML requires
+     * @param {Array} ring - Array of {lat, lon, alt} points
+     * @returns {Array} Ring whose last point repeats the first
+     */
+    closeRing(ring) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return first.lat === last.lat && first.lon === last.lon ? ring : [...ring, first];
+    }
+
+    /**
+     * Format points as KML coordinates
+     * Altitudes are written only if the feature has any, so 2D input stays 2D
+     * @param {Array} points - Array of {lat, lon, alt}
+     * @returns {string} Coordinate tuples 'lon,lat[,alt]' separated by spaces
+     */
+    formatCoordinates(points) {
+        const withAltitude = points.some(point => typeof point.alt === 'number' && point.alt !== 0);
+        return points
+            .map(point => (withAltitude ? `${point.lon},${point.lat},${point.alt || 0}` : `${point.lon},${point.lat}`))
+            .join(' ');
+    }
+}
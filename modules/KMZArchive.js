@@ -0,0 +1,227 @@
+/**
+ * KMZArchive - Minimal ZIP reader for KMZ files
+ * Extracts the main KML document and exposes packed images as blob URLs
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml',
+    webp: 'image/webp',
+    bmp: 'image/bmp'
+};
+
+export class KMZArchive {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.entries = new Map();
+        this.kmlPath = null;
+
+        this.readCentralDirectory();
+    }
+
+    /**
+     * Check whether a buffer starts with a ZIP local file header
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {boolean} True if the buffer looks like a ZIP/KMZ archive
+     */
+    static isArchive(buffer) {
+        return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+    }
+
+    /**
+     * Read the central directory and index all file entries
+     */
+    readCentralDirectory() {
+        const endOffset = this.findEndOfCentralDirectory();
+        if (endOffset < 0) {
+            throw new Error('Invalid KMZ archive: end of central directory not found');
+        }
+
+        const entryCount = this.view.getUint16(endOffset + 10, true);
+        let offset = this.view.getUint32(endOffset + 16, true);
+
+        if (offset === 0xffffffff) {
+            throw new Error('ZIP64 KMZ archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (this.view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('Invalid KMZ archive: corrupt central directory');
+            }
+
+            const method = this.view.getUint16(offset + 10, true);
+            const compressedSize = this.view.getUint32(offset + 20, true);
+            const uncompressedSize = this.view.getUint32(offset + 24, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const localHeaderOffset = this.view.getUint32(offset + 42, true);
+
+            const rawName = decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength));
+            const name = KMZArchive.normalizePath(rawName);
+
+            // Skip directory entries
+            if (!rawName.endsWith('/')) {
+                this.entries.set(name, {
+                    name,
+                    method,
+                    compressedSize,
+                    uncompressedSize,
+                    localHeaderOffset
+                });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        // The main document is doc.kml by convention, otherwise the first KML in the archive
+        const names = Array.from(this.entries.keys());
+        this.kmlPath = names.find(name => name.toLowerCase() === 'doc.kml')
+            || names.find(name => name.toLowerCase().endsWith('.kml'))
+            || null;
+    }
+
+    /**
+     * Locate the end of central directory record by scanning backwards
+     * @returns {number} Byte offset or -1 if not found
+     */
+    findEndOfCentralDirectory() {
+        // The record is 22 bytes plus a comment of up to 65535 bytes
+        const minOffset = Math.max(0, this.buffer.byteLength - 22 - 65535);
+
+        for (let offset = this.buffer.byteLength - 22; offset >= minOffset; offset--) {
+            if (this.view.getUint32(offset, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+                return offset;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Decompress a single entry
+     * @param {Object} entry - Entry from the central directory
+     * @returns {Promise<Uint8Array>} Uncompressed data
+     */
+    async readEntry(entry) {
+        const headerOffset = entry.localHeaderOffset;
+        if (this.view.getUint32(headerOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Invalid KMZ archive: corrupt entry ${entry.name}`);
+        }
+
+        const nameLength = this.view.getUint16(headerOffset + 26, true);
+        const extraLength = this.view.getUint16(headerOffset + 28, true);
+        const dataOffset = headerOffset + 30 + nameLength + extraLength;
+        const data = new Uint8Array(this.buffer, dataOffset, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data;
+        }
+
+        if (entry.method !== 8) {
+            throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Get the main KML document as raw bytes
+     * @returns {Promise<Uint8Array>} KML source bytes
+     */
+    async getKMLData() {
+        if (!this.kmlPath) {
+            throw new Error('KMZ archive does not contain a KML document');
+        }
+
+        return this.readEntry(this.entries.get(this.kmlPath));
+    }
+
+    /**
+     * Get the main KML document text
+     * @returns {Promise<string>} KML source
+     */
+    async getKMLText() {
+        return new TextDecoder().decode(await this.getKMLData());
+    }
+
+    /**
+     * Create blob URLs for every non-KML file in the archive
+     * @returns {Promise<Map>} Map of archive path to blob URL
+     */
+    async createResourceURLs() {
+        const urls = new Map();
+
+        for (const entry of this.entries.values()) {
+            if (entry.name === this.kmlPath || entry.name.toLowerCase().endsWith('.kml')) {
+                continue;
+            }
+
+            const extension = entry.name.split('.').pop().toLowerCase();
+            const data = await this.readEntry(entry);
+            const blob = new Blob([data], { type: MIME_TYPES[extension] || 'application/octet-stream' });
+            urls.set(entry.name, URL.createObjectURL(blob));
+        }
+
+        console.log(`KMZArchive: Extracted ${urls.size} resources from ${this.entries.size} entries`);
+        return urls;
+    }
+
+    /**
+     * Resolve an href from the KML document to an archive path
+     * @param {string} href - Href as written in the KML
+     * @returns {string} Normalized archive path
+     */
+    resolvePath(href) {
+        return KMZArchive.resolvePath(this.kmlPath, href);
+    }
+
+    /**
+     * Resolve an href relative to a KML document path inside an archive
+     * Static so it can be used where only the path is known (e.g. in a Web Worker)
+     * @param {string|null} kmlPath - Archive path of the KML document
+     * @param {string} href - Href as written in the KML
+     * @returns {string} Normalized archive path
+     */
+    static resolvePath(kmlPath, href) {
+        const slash = kmlPath ? kmlPath.lastIndexOf('/') : -1;
+        const base = slash >= 0 ? kmlPath.substring(0, slash + 1) : '';
+        return KMZArchive.normalizePath(base + href);
+    }
+
+    /**
+     * Normalize an archive path (forward slashes, no '.' or '..' segments)
+     * @param {string} path - Raw path
+     * @returns {string} Normalized path
+     */
+    static normalizePath(path) {
+        let decoded = path;
+        try {
+            decoded = decodeURIComponent(path);
+        } catch (error) {
+            // Keep paths with stray '%' as they are
+        }
+
+        const segments = [];
+        decoded.replace(/\\/g, '/').split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+
+        return segments.join('/');
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * LayerTree - Renders the KML Folder/Document hierarchy as a collapsible tree
+ * Each folder gets a visibility checkbox; changes are reported via onFolderToggle.
+ * Placemarks the file hides (<visibility>0</visibility>) are listed in their folder
+ * with their own checkbox, reported via onFeatureToggle
+ */
+export class LayerTree {
+    constructor(containerElement) {
+        this.container = containerElement;
+        this.folders = [];
+        this.featureCounts = new Map();
+
+        // Folder id (null for the root) -> placemarks hidden in the file
+        this.hiddenFeatures = new Map();
+
+        // Callbacks
+        this.onFolderToggle = null;     // (folderId, visible) => void
+        this.onFeatureToggle = null;    // (feature, visible) => void
+    }
+
+    /**
+     * Render the tree for a set of folders
+     * @param {Array} folders - Root folder nodes from KMLParser
+     * @param {Array} features - Tracks and icons, used for per-folder counts
+     */
+    render(folders = [], features = []) {
+        this.folders = folders;
+        this.featureCounts = this.countFeatures(features);
+        this.hiddenFeatures = this.groupHiddenFeatures(features);
+
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = '';
+
+        const rootFeatures = this.hiddenFeatures.get(null) || [];
+        if (folders.length === 0 && rootFeatures.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'layer-tree-empty';
+            empty.textContent = 'No folders in file';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'layer-tree';
+        folders.forEach(folder => list.appendChild(this.createFolderNode(folder)));
+        rootFeatures.forEach(feature => list.appendChild(this.createFeatureNode(feature)));
+        this.container.appendChild(list);
+    }
+
+    /**
+     * Collect the placemarks that can only be shown from the tree, by their innermost folder
+     * Once toggled they stay listed so they can be hidden again
+     * @param {Array} features - Tracks, icons and areas
+     * @returns {Map} Folder id (null for the root) -> features
+     */
+    groupHiddenFeatures(features) {
+        const groups = new Map();
+
+        features.forEach(feature => {
+            if (feature.visible !== false && !feature.visibilityToggled) {
+                return;
+            }
+            const folderId = feature.folderId || null;
+            if (!groups.has(folderId)) {
+                groups.set(folderId, []);
+            }
+            groups.get(folderId).push(feature);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Count features in each folder, including nested folders
+     * @param {Array} features - Tracks and icons with folderIds
+     * @returns {Map} Map of folder id to feature count
+     */
+    countFeatures(features) {
+        const counts = new Map();
+
+        features.forEach(feature => {
+            (feature.folderIds || []).forEach(id => {
+                counts.set(id, (counts.get(id) || 0) + 1);
+            });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Create the list item for a folder and its children
+     * @param {Object} folder - Folder node
+     * @returns {HTMLLIElement} Tree node element
+     */
+    createFolderNode(folder) {
+        const item = document.createElement('li');
+        item.className = 'layer-tree-folder';
+        if (!folder.open) {
+            item.classList.add('collapsed');
+        }
+
+        const row = document.createElement('div');
+        row.className = 'layer-tree-row';
+
+        // Expand/collapse toggle, only useful when there are sub-folders or listed placemarks
+        const hiddenFeatures = this.hiddenFeatures.get(folder.id) || [];
+        const caret = document.createElement('span');
+        caret.className = 'layer-tree-caret';
+        if (folder.children.length > 0 || hiddenFeatures.length > 0) {
+            caret.textContent = '▾';
+            caret.addEventListener('click', () => {
+                item.classList.toggle('collapsed');
+                folder.open = !item.classList.contains('collapsed');
+            });
+        }
+        row.appendChild(caret);
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = folder.visible;
+        checkbox.addEventListener('change', () => {
+            folder.visible = checkbox.checked;
+            if (this.onFolderToggle) {
+                this.onFolderToggle(folder.id, folder.visible);
+            }
+        });
+
+        const label = document.createElement('label');
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${folder.name} (${this.featureCounts.get(folder.id) || 0})`));
+        row.appendChild(label);
+
+        item.appendChild(row);
+
+        if (folder.children.length > 0 || hiddenFeatures.length > 0) {
+            const children = document.createElement('ul');
+            folder.children.forEach(child => children.appendChild(this.createFolderNode(child)));
+            hiddenFeatures.forEach(feature => children.appendChild(this.createFeatureNode(feature)));
+            item.appendChild(children);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create the list item for a placemark hidden in the file
+     * @param {Object} feature - Track, icon or area
+     * @returns {HTMLLIElement} Tree node element
+     */
+    createFeatureNode(feature) {
+        const item = document.createElement('li');
+        item.className = 'layer-tree-feature';
+
+        const row = document.createElement('div');
+        row.className = 'layer-tree-row';
+        row.title = 'Hidden in the file';
+
+        // Keeps the checkbox in line with the folder checkboxes
+        const spacer = document.createElement('span');
+        spacer.className = 'layer-tree-caret';
+        row.appendChild(spacer);
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = feature.visible !== false;
+        checkbox.addEventListener('change', () => {
+            if (this.onFeatureToggle) {
+                this.onFeatureToggle(feature, checkbox.checked);
+            }
+        });
+
+        const label = document.createElement('label');
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${feature.name}`));
+        row.appendChild(label);
+
+        item.appendChild(row);
+        return item;
+    }
+
+    /**
+     * Get ids of all folders that are switched off
+     * @returns {Array} Array of folder ids
+     */
+    getHiddenFolderIds() {
+        const hidden = [];
+
+        const visit = (folder) => {
+            if (!folder.visible) {
+                hidden.push(folder.id);
+            }
+            folder.children.forEach(visit);
+        };
+        this.folders.forEach(visit);
+
+        return hidden;
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * LeaderboardPanel - Shows TimingEngine results: running order, gaps and fastest splits
+ * Only renders; timing itself lives in TimingEngine
+ */
+
+import { formatDistance } from './GeoUtils.js';
+
+/**
+ * Format a duration as m:ss.t
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted time
+ */
+function formatTime(ms) {
+    const tenths = Math.floor(ms / 100);
+    const minutes = Math.floor(tenths / 600);
+    const seconds = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Format a gap to the fastest time at a split
+ * @param {number} ms - Gap in milliseconds
+ * @returns {string} e.g. '+3.4'
+ */
+function formatGap(ms) {
+    return ms < 60000 ? `+${(ms / 1000).toFixed(1)}` : `+${formatTime(ms)}`;
+}
+
+export class LeaderboardPanel {
+    constructor(containerElement) {
+        this.container = containerElement;
+        this.tracks = [];
+        this.track = null;
+
+        // UI parts, created in build()
+        this.select = null;
+        this.table = null;
+        this.bestsElement = null;
+
+        // Callback: (track) => void, when the user picks another stage
+        this.onStageChange = null;
+
+        this.build();
+    }
+
+    /**
+     * Create the panel's DOM structure
+     */
+    build() {
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = '';
+
+        this.select = document.createElement('select');
+        this.select.className = 'leaderboard-stage-select';
+        this.select.addEventListener('change', () => {
+            this.track = this.tracks[parseInt(this.select.value)] || null;
+            if (this.onStageChange) {
+                this.onStageChange(this.track);
+            }
+        });
+        this.container.appendChild(this.select);
+
+        this.table = document.createElement('table');
+        this.table.className = 'leaderboard-table';
+        this.container.appendChild(this.table);
+
+        this.bestsElement = document.createElement('div');
+        this.bestsElement.className = 'leaderboard-bests';
+        this.container.appendChild(this.bestsElement);
+    }
+
+    /**
+     * Set the stages available for timing and select the first
+     * @param {Array} tracks - Array of track objects
+     */
+    setTracks(tracks) {
+        this.tracks = tracks || [];
+        this.track = this.tracks[0] || null;
+
+        if (this.select) {
+            this.select.innerHTML = '';
+            this.tracks.forEach((track, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = track.name || `Track ${index + 1}`;
+                this.select.appendChild(option);
+            });
+        }
+    }
+
+    /**
+     * Select the stage to time without notifying onStageChange
+     * @param {Object|null} track - Track object from the current list
+     */
+    selectTrack(track) {
+        this.track = track;
+        if (this.select && track) {
+            this.select.value = this.tracks.indexOf(track);
+        }
+    }
+
+    /**
+     * Get the stage currently selected for timing
+     * @returns {Object|null} Track object
+     */
+    getSelectedTrack() {
+        return this.track;
+    }
+
+    /**
+     * Draw the leaderboard
+     * @param {Array} entries - Result of TimingEngine.getLeaderboard()
+     * @param {Array} bests - Result of TimingEngine.getBestSplitTimes()
+     * @param {Array} splitDistances - Result of TimingEngine.getSplitDistances()
+     */
+    render(entries, bests, splitDistances) {
+        if (!this.table) {
+            return;
+        }
+
+        this.table.innerHTML = '';
+        const last = splitDistances.length - 1;
+        const splitName = (index) => (index === last ? 'FIN' : `S${index + 1}`);
+
+        if (entries.length === 0) {
+            const row = this.table.insertRow();
+            const cell = row.insertCell();
+            cell.className = 'leaderboard-empty';
+            cell.textContent = this.track ? 'No cars on this stage' : 'No stage loaded';
+        }
+
+        entries.forEach(entry => {
+            const row = this.table.insertRow();
+            row.className = `leaderboard-${entry.status}`;
+
+            let where = formatDistance(entry.distance);
+            if (entry.status === 'start') {
+                where = 'start';
+            } else if (entry.splitIndex >= 0) {
+                where = splitName(entry.splitIndex);
+            }
+
+            let time = '';
+            if (entry.splitTime !== null) {
+                time = formatTime(entry.splitTime);
+            } else if (entry.elapsed !== null) {
+                time = formatTime(entry.elapsed);
+            }
+
+            const cells = [
+                entry.rank,
+                entry.id,
+                where,
+                time,
+                entry.gap ? formatGap(entry.gap) : ''
+            ];
+            cells.forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            if (entry.fastest) {
+                row.cells[3].classList.add('leaderboard-fastest');
+            }
+        });
+
+        // Fastest car at each split, e.g. "S1 #7 1:02.3"
+        this.bestsElement.textContent = bests
+            .map((best, index) => (best ? `${splitName(index)} ${best.carId} ${formatTime(best.time)}` : null))
+            .filter(text => text)
+            .join(' · ');
+    }
+}
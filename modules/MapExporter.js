@@ -0,0 +1,365 @@
+/**
+ * MapExporter - Renders the current map view to PNG or SVG for graphics packages
+ * PNG exports redraw tiles and features onto a canvas at a multiple of the viewport
+ * size; SVG exports hold only the vector features so designers can restyle them.
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Load an image for drawing onto a canvas
+ * Images are requested with CORS so the canvas can still be saved; servers
+ * without CORS headers fail to load rather than taint the canvas
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement|null>} Loaded image, or null on failure
+ */
+function loadImage(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+export class MapExporter {
+    constructor(mapManager) {
+        this.mapManager = mapManager;
+    }
+
+    /**
+     * Render the current view to a PNG
+     * @param {Object} options - {scale, tiles, attribution, transparent}; defaults from CONFIG.imageExport
+     * @returns {Promise<Object>} {blob, width, height, failedTiles, failedIcons}
+     */
+    async toPNG(options = {}) {
+        const { scale, tiles, attribution, transparent } = { ...CONFIG.imageExport, transparent: false, ...options };
+        const map = this.mapManager.getMap();
+        const size = map.getSize();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(size.x * scale);
+        canvas.height = Math.round(size.y * scale);
+
+        // Draw in viewport pixels; the transform supplies the resolution
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+
+        const layers = this.mapManager.getExportLayers(map.getZoom() + Math.log2(scale));
+        const project = (lat, lon) => map.latLngToContainerPoint([lat, lon]);
+
+        // Transparent mode hides the tiles in the overlay, so the export leaves them out too
+        let failedTiles = 0;
+        if (tiles && !transparent) {
+            for (const tileLayer of layers.tiles) {
+                failedTiles += await this.drawTiles(context, tileLayer, scale);
+            }
+        }
+
+        layers.areas.forEach(area => this.drawArea(context, area, project));
+        layers.tracks.forEach(track => this.drawTrack(context, track, project));
+
+        let failedIcons = 0;
+        const images = await Promise.all(layers.icons.map(icon => (icon.iconUrl ? loadImage(icon.iconUrl) : null)));
+        layers.icons.forEach((icon, index) => {
+            if (icon.iconUrl && !images[index]) {
+                failedIcons++;
+                return;
+            }
+            this.drawIcon(context, icon, images[index], project);
+        });
+
+        if (attribution) {
+            this.drawAttribution(context, size);
+        }
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new Error('The browser could not create the image');
+        }
+
+        console.log(`MapExporter: Rendered ${canvas.width}x${canvas.height} PNG`);
+        return { blob, width: canvas.width, height: canvas.height, failedTiles, failedIcons };
+    }
+
+    /**
+     * Draw one tile layer, fetching tiles at the zoom level that matches the output resolution
+     * @param {CanvasRenderingContext2D} context - Canvas context in viewport pixels
+     * @param {Object} tileLayer - {mapConfig, layer, opacity} from MapManager.getExportLayers
+     * @param {number} scale - Output pixels per viewport pixel
+     * @returns {Promise<number>} Number of tiles that could not be loaded
+     */
+    async drawTiles(context, tileLayer, scale) {
+        const { mapConfig, layer, opacity } = tileLayer;
+        const map = this.mapManager.getMap();
+        const zoom = map.getZoom();
+        const tileSize = layer.getTileSize().x;
+
+        const tileZoom = Math.max(mapConfig.minZoom || 0, Math.min(mapConfig.maxZoom, Math.round(zoom + Math.log2(scale))));
+        const topLeft = map.project(map.containerPointToLatLng([0, 0]), tileZoom);
+        const bottomRight = map.project(map.containerPointToLatLng(map.getSize()), tileZoom);
+        const factor = Math.pow(2, zoom - tileZoom);
+        const tileCount = Math.pow(2, tileZoom);
+
+        const loads = [];
+        for (let x = Math.floor(topLeft.x / tileSize); x <= Math.floor(bottomRight.x / tileSize); x++) {
+            for (let y = Math.max(0, Math.floor(topLeft.y / tileSize)); y <= Math.min(tileCount - 1, Math.floor(bottomRight.y / tileSize)); y++) {
+                // Columns wrap around the antimeridian
+                const coords = { x: ((x % tileCount) + tileCount) % tileCount, y, z: tileZoom };
+                loads.push(loadImage(this.getTileURL(tileLayer, coords)).then(image => ({ image, x, y })));
+            }
+        }
+
+        const results = await Promise.all(loads);
+
+        context.globalAlpha = opacity;
+        results.forEach(({ image, x, y }) => {
+            if (image) {
+                context.drawImage(image,
+                    (x * tileSize - topLeft.x) * factor, (y * tileSize - topLeft.y) * factor,
+                    tileSize * factor, tileSize * factor);
+            }
+        });
+        context.globalAlpha = 1;
+
+        return results.filter(result => !result.image).length;
+    }
+
+    /**
+     * Build a tile URL for any zoom level
+     * Leaflet's getTileUrl uses the map's zoom for XYZ layers, so those are templated here
+     * @param {Object} tileLayer - {mapConfig, layer}
+     * @param {Object} coords - {x, y, z}
+     * @returns {string} Tile URL
+     */
+    getTileURL({ mapConfig, layer }, coords) {
+        if (mapConfig.type === 'wms') {
+            return layer.getTileUrl(coords);
+        }
+
+        // Same subdomain choice as Leaflet, so cached tiles are reused
+        const subdomains = mapConfig.subdomains || 'abc';
+        return L.Util.template(mapConfig.url, {
+            ...coords,
+            s: subdomains[Math.abs(coords.x + coords.y) % subdomains.length],
+            r: ''
+        });
+    }
+
+    /**
+     * Draw a zone
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {Object} area - {rings, style}
+     * @param {Function} project - (lat, lon) => container point
+     */
+    drawArea(context, { rings, style }, project) {
+        context.beginPath();
+        rings.forEach(ring => {
+            ring.forEach((point, index) => {
+                const { x, y } = project(point.lat, point.lon);
+                if (index === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            });
+            context.closePath();
+        });
+
+        if (style.fill) {
+            context.globalAlpha = style.fillOpacity;
+            context.fillStyle = style.fillColor;
+            context.fill('evenodd');
+        }
+        if (style.stroke) {
+            context.globalAlpha = style.opacity;
+            context.strokeStyle = style.color;
+            context.lineWidth = style.weight;
+            context.stroke();
+        }
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Draw a track
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {Object} track - {points, style}
+     * @param {Function} project - (lat, lon) => container point
+     */
+    drawTrack(context, { points, style }, project) {
+        context.beginPath();
+        points.forEach((point, index) => {
+            const { x, y } = project(point.lat, point.lon);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+
+        context.globalAlpha = style.opacity;
+        context.strokeStyle = style.color;
+        context.lineWidth = style.weight;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.stroke();
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Draw an icon, or the default dot for icons without an image
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {Object} icon - {lat, lon, size, anchor}
+     * @param {HTMLImageElement|null} image - Loaded icon image
+     * @param {Function} project - (lat, lon) => container point
+     */
+    drawIcon(context, icon, image, project) {
+        const { x, y } = project(icon.lat, icon.lon);
+
+        if (image) {
+            context.drawImage(image, x - icon.anchor[0], y - icon.anchor[1], icon.size[0], icon.size[1]);
+            return;
+        }
+
+        // Matches the default marker in MapManager.displayIcons
+        context.beginPath();
+        context.arc(x, y, 9, 0, Math.PI * 2);
+        context.fillStyle = '#ff1493';
+        context.fill();
+        context.lineWidth = 2;
+        context.strokeStyle = 'white';
+        context.stroke();
+    }
+
+    /**
+     * Draw the map attribution in the bottom right corner, like Leaflet's control
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {L.Point} size - Viewport size
+     */
+    drawAttribution(context, size) {
+        const map = this.mapManager.getMap();
+        const text = map.attributionControl ? map.attributionControl.getContainer().textContent.trim() : '';
+        if (!text) {
+            return;
+        }
+
+        context.font = '11px Arial, sans-serif';
+        const width = context.measureText(text).width + 10;
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        context.fillRect(size.x - width, size.y - 16, width, 16);
+        context.fillStyle = '#333';
+        context.textBaseline = 'middle';
+        context.fillText(text, size.x - width + 5, size.y - 8);
+    }
+
+    /**
+     * Render the tracks, zones and icons of the current view to SVG
+     * Coordinates are viewport pixels; icon images are embedded so the file stands alone
+     * @returns {Promise<string>} SVG document
+     */
+    async toSVG() {
+        const map = this.mapManager.getMap();
+        const size = map.getSize();
+        const layers = this.mapManager.getExportLayers();
+
+        const round = (value) => Math.round(value * 100) / 100;
+        const point = (lat, lon) => {
+            const { x, y } = map.latLngToContainerPoint([lat, lon]);
+            return `${round(x)},${round(y)}`;
+        };
+        const title = (name) => (name ? `<title>${escapeXML(name)}</title>` : '');
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${size.x}" height="${size.y}" viewBox="0 0 ${size.x} ${size.y}">`
+        ];
+
+        lines.push('  <g id="zones">');
+        layers.areas.forEach(({ name, rings, style }, index) => {
+            const d = rings.map(ring => `M${ring.map(p => point(p.lat, p.lon)).join(' L')} Z`).join(' ');
+            lines.push(`    <path id="zone-${index + 1}" d="${d}" fill-rule="evenodd"`
+                + ` fill="${style.fill ? escapeXML(style.fillColor) : 'none'}" fill-opacity="${style.fillOpacity}"`
+                + ` stroke="${style.stroke ? escapeXML(style.color) : 'none'}" stroke-width="${style.weight}" stroke-opacity="${style.opacity}">`
+                + `${title(name)}</path>`);
+        });
+        lines.push('  </g>');
+
+        lines.push('  <g id="tracks">');
+        layers.tracks.forEach(({ name, points, style }, index) => {
+            lines.push(`    <polyline id="track-${index + 1}" points="${points.map(p => point(p.lat, p.lon)).join(' ')}"`
+                + ` fill="none" stroke="${escapeXML(style.color)}" stroke-width="${style.weight}" stroke-opacity="${style.opacity}"`
+                + ` stroke-linecap="round" stroke-linejoin="round">${title(name)}</polyline>`);
+        });
+        lines.push('  </g>');
+
+        // Icons often share one image; embed each image once
+        const dataURLs = new Map();
+        for (const { iconUrl } of layers.icons) {
+            if (iconUrl && !dataURLs.has(iconUrl)) {
+                dataURLs.set(iconUrl, await this.toDataURL(iconUrl));
+            }
+        }
+
+        lines.push('  <g id="icons">');
+        layers.icons.forEach((icon, index) => {
+            const { x, y } = map.latLngToContainerPoint([icon.lat, icon.lon]);
+            if (icon.iconUrl) {
+                lines.push(`    <image id="icon-${index + 1}" href="${escapeXML(dataURLs.get(icon.iconUrl))}"`
+                    + ` x="${round(x - icon.anchor[0])}" y="${round(y - icon.anchor[1])}" width="${icon.size[0]}" height="${icon.size[1]}">`
+                    + `${title(icon.name)}</image>`);
+            } else {
+                lines.push(`    <circle id="icon-${index + 1}" cx="${round(x)}" cy="${round(y)}" r="9" fill="#ff1493" stroke="white" stroke-width="2">`
+                    + `${title(icon.name)}</circle>`);
+            }
+        });
+        lines.push('  </g>');
+
+        lines.push('</svg>');
+
+        console.log(`MapExporter: Rendered SVG with ${layers.tracks.length} tracks, ${layers.areas.length} zones and ${layers.icons.length} icons`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Read an image URL into a data URL
+     * @param {string} url - Image URL (blob URLs from KMZ files only live in this page)
+     * @returns {Promise<string>} Data URL, or the original URL if it cannot be read
+     */
+    async toDataURL(url) {
+        if (url.startsWith('data:')) {
+            return url;
+        }
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (error) {
+            console.warn(`MapExporter: Linking icon ${url} instead of embedding it:`, error.message);
+            return url;
+        }
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * MapLayerManager - Menu UI for user-defined base maps and overlay layers (XYZ or WMS)
+ * Lists the layers from CONFIG.map.customLayers with an add/edit form; changes are
+ * reported through callbacks and stored by the app
+ */
+
+const FORM_FIELDS = [
+    { key: 'name', label: 'Name', type: 'text', placeholder: 'Orthophoto 2023' },
+    { key: 'kind', label: 'Use as', type: 'select', options: { base: 'Base map', overlay: 'Overlay' } },
+    { key: 'type', label: 'Service', type: 'select', options: { xyz: 'XYZ tiles', wms: 'WMS' } },
+    { key: 'url', label: 'URL', type: 'text', placeholder: 'https://{s}.example.com/{z}/{x}/{y}.png' },
+    { key: 'attribution', label: 'Attribution', type: 'text', placeholder: '© Provider' },
+    { key: 'minZoom', label: 'Min Zoom', type: 'number' },
+    { key: 'maxZoom', label: 'Max Zoom', type: 'number' },
+    { key: 'subdomains', label: 'Subdomains', type: 'text', placeholder: 'abc', only: 'xyz' },
+    { key: 'wmsLayers', label: 'WMS Layers', type: 'text', placeholder: 'layer1,layer2', only: 'wms' },
+    { key: 'wmsFormat', label: 'WMS Format', type: 'text', placeholder: 'image/png', only: 'wms' },
+    { key: 'prefetch', label: 'Offline caching', type: 'select', options: { no: 'Not allowed', yes: 'Allowed by the tile server' }, only: 'xyz' }
+];
+
+/**
+ * Check a layer definition read from the form
+ * @param {Object} layer - Layer definition
+ * @returns {string|null} Error message, or null if the definition is usable
+ */
+function validateLayer(layer) {
+    if (!layer.name) {
+        return 'Name is required';
+    }
+    if (!layer.url) {
+        return 'URL is required';
+    }
+    if (layer.type === 'xyz' && !['{z}', '{x}', '{y}'].every(part => layer.url.includes(part))) {
+        return 'XYZ URL needs {z}, {x} and {y}';
+    }
+    if (layer.type === 'wms' && !layer.wmsLayers) {
+        return 'WMS layers are required';
+    }
+    if (layer.minZoom > layer.maxZoom) {
+        return 'Min zoom is above max zoom';
+    }
+    return null;
+}
+
+export class MapLayerManager {
+    constructor(containerElement) {
+        this.container = containerElement;
+        this.layers = [];
+
+        // Layer being edited, or null when adding
+        this.editing = null;
+
+        // UI parts, created in build()
+        this.list = null;
+        this.form = null;
+        this.inputs = {};
+        this.errorElement = null;
+
+        // Callbacks
+        this.onSave = null;         // (layer) => void, new or edited layer (same id when edited)
+        this.onRemove = null;       // (id) => void
+        this.onChange = null;       // (id, {enabled?, opacity?}) => void, overlay toggles and opacity
+
+        this.build();
+    }
+
+    /**
+     * Create the list, add button and hidden form
+     */
+    build() {
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = '';
+
+        this.list = document.createElement('div');
+        this.list.className = 'map-layer-list';
+        this.container.appendChild(this.list);
+
+        const addButton = document.createElement('button');
+        addButton.className = 'map-layer-add';
+        addButton.textContent = '+ Add Layer';
+        addButton.addEventListener('click', () => this.showForm(null));
+        this.container.appendChild(addButton);
+
+        this.form = document.createElement('form');
+        this.form.className = 'map-layer-form hidden';
+
+        FORM_FIELDS.forEach(field => {
+            const row = document.createElement('label');
+            row.className = 'map-layer-field';
+            row.dataset.only = field.only || '';
+            row.appendChild(document.createTextNode(field.label));
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                Object.entries(field.options).forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type;
+                input.placeholder = field.placeholder || '';
+                if (field.type === 'number') {
+                    input.min = 0;
+                    input.max = 22;
+                }
+            }
+
+            row.appendChild(input);
+            this.form.appendChild(row);
+            this.inputs[field.key] = input;
+        });
+
+        // Only show the fields for the chosen service type
+        this.inputs.type.addEventListener('change', () => this.updateFieldVisibility());
+
+        this.errorElement = document.createElement('div');
+        this.errorElement.className = 'map-layer-error';
+        this.form.appendChild(this.errorElement);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'map-layer-buttons';
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Save';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this.hideForm());
+        buttons.appendChild(saveButton);
+        buttons.appendChild(cancelButton);
+        this.form.appendChild(buttons);
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitForm();
+        });
+
+        this.container.appendChild(this.form);
+    }
+
+    /**
+     * Render the layer list
+     * @param {Array} layers - Custom layer definitions
+     */
+    render(layers) {
+        this.layers = layers || [];
+
+        if (!this.list) {
+            return;
+        }
+
+        this.list.innerHTML = '';
+
+        if (this.layers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'layer-tree-empty';
+            empty.textContent = 'No custom layers';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.layers.forEach(layer => this.list.appendChild(this.createRow(layer)));
+    }
+
+    /**
+     * Create the list row for a layer
+     * @param {Object} layer - Layer definition
+     * @returns {HTMLDivElement} Row element
+     */
+    createRow(layer) {
+        const row = document.createElement('div');
+        row.className = 'map-layer-row';
+
+        if (layer.kind === 'overlay') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = layer.enabled;
+            checkbox.title = 'Show overlay';
+            checkbox.addEventListener('change', () => this.notifyChange(layer.id, { enabled: checkbox.checked }));
+            row.appendChild(checkbox);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'map-layer-name';
+        name.textContent = layer.name;
+        name.title = `${layer.kind === 'overlay' ? 'Overlay' : 'Base map'} · ${layer.type.toUpperCase()} · ${layer.url}`;
+        row.appendChild(name);
+
+        if (layer.kind === 'overlay') {
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.min = 0;
+            opacity.max = 100;
+            opacity.value = layer.opacity;
+            opacity.title = 'Overlay opacity';
+            opacity.addEventListener('input', () => this.notifyChange(layer.id, { opacity: parseInt(opacity.value) }));
+            row.appendChild(opacity);
+        }
+
+        const editButton = document.createElement('button');
+        editButton.textContent = '✎';
+        editButton.title = 'Edit';
+        editButton.addEventListener('click', () => this.showForm(this.getLayer(layer.id)));
+        row.appendChild(editButton);
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove';
+        removeButton.addEventListener('click', () => {
+            if (window.confirm(`Remove ${layer.name}?`) && this.onRemove) {
+                this.onRemove(layer.id);
+            }
+        });
+        row.appendChild(removeButton);
+
+        return row;
+    }
+
+    /**
+     * Open the form to add a layer or edit an existing one
+     * @param {Object|null} layer - Layer to edit, or null to add
+     */
+    showForm(layer) {
+        if (!this.form) {
+            return;
+        }
+
+        this.editing = layer;
+        const values = layer || { kind: 'base', type: 'xyz', minZoom: 0, maxZoom: 19 };
+
+        FORM_FIELDS.forEach(({ key }) => {
+            this.inputs[key].value = values[key] ?? '';
+        });
+        this.inputs.prefetch.value = values.prefetch ? 'yes' : 'no';
+
+        this.errorElement.textContent = '';
+        this.updateFieldVisibility();
+        this.form.classList.remove('hidden');
+    }
+
+    /**
+     * Get the latest known definition of a listed layer
+     * @param {string} id - Layer id
+     * @returns {Object|null} Layer definition
+     */
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    /**
+     * Close the form without saving
+     */
+    hideForm() {
+        this.editing = null;
+        if (this.form) {
+            this.form.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show only the fields that apply to the selected service type
+     */
+    updateFieldVisibility() {
+        const type = this.inputs.type.value;
+        this.form.querySelectorAll('.map-layer-field').forEach(row => {
+            row.classList.toggle('hidden', row.dataset.only !== '' && row.dataset.only !== type);
+        });
+    }
+
+    /**
+     * Validate the form and report the layer
+     */
+    submitForm() {
+        const value = (key) => this.inputs[key].value.trim();
+        const zoom = (key, fallback) => (value(key) === '' ? fallback : parseInt(value(key)));
+
+        // The overlay may have been toggled or faded while the form was open
+        const current = this.editing ? this.getLayer(this.editing.id) : null;
+
+        const layer = {
+            id: current ? current.id : `custom-${Date.now().toString(36)}`,
+            name: value('name'),
+            kind: value('kind'),
+            type: value('type'),
+            url: value('url'),
+            attribution: value('attribution'),
+            minZoom: zoom('minZoom', 0),
+            maxZoom: zoom('maxZoom', 19),
+            subdomains: value('type') === 'xyz' ? value('subdomains') : '',
+            wmsLayers: value('type') === 'wms' ? value('wmsLayers') : '',
+            wmsFormat: value('type') === 'wms' ? value('wmsFormat') : '',
+            prefetch: value('type') === 'xyz' && value('prefetch') === 'yes',
+            enabled: current ? current.enabled !== false : true,
+            opacity: current && typeof current.opacity === 'number' ? current.opacity : 100
+        };
+
+        const error = validateLayer(layer);
+        if (error) {
+            this.errorElement.textContent = error;
+            return;
+        }
+
+        this.hideForm();
+        if (this.onSave) {
+            this.onSave(layer);
+        }
+    }
+
+    /**
+     * Report an overlay toggle or opacity change
+     * @param {string} id - Layer id
+     * @param {Object} changes - {enabled} or {opacity}
+     */
+    notifyChange(id, changes) {
+        // Rows are not redrawn for these changes, so keep the list the form reads from current
+        this.layers = this.layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer));
+
+        if (this.onChange) {
+            this.onChange(id, changes);
+        }
+    }
+}
@@ -4,21 +4,79 @@
  */
 
 import { CONFIG, getMapTypeConfig } from '../config.js';
+import { cumulativeDistances, pointAtDistance, projectOnPath, formatDistance } from './GeoUtils.js';
+import { TrackSimplifier } from './TrackSimplifier.js';
+import { escapeHTML, sanitizeHTML, renderBalloon } from './HTMLSanitizer.js';
+import { EventEmitter } from './EventEmitter.js';
 
-export class MapManager {
+/**
+ * Events fired by MapManager, with their detail:
+ * - mapTypeChanged: {mapType}
+ * - layerVisibilityChanged: {layer: 'tracks'|'icons'|'areas'|'cars'|'folder'|'feature', visible, folderId?, feature?}
+ * - featureClicked: {type: 'track'|'icon'|'area', feature, latlng}
+ * - viewChanged: {center: {lat, lon}, zoom}
+ */
+export const MAP_EVENTS = ['mapTypeChanged', 'layerVisibilityChanged', 'featureClicked', 'viewChanged'];
+
+export class MapManager extends EventEmitter {
     constructor(mapElementId = 'map') {
+        super(MAP_EVENTS);
+        
         this.map = null;
         this.currentTileLayer = null;
         this.currentMapType = 'osm';
         this.mapElementId = mapElementId;
         
+        // Overlay tile layers stacked on the base map, keyed by custom layer id
+        this.overlayLayers = new Map();
+        
         // Layer groups for organized display
         this.trackLayerGroup = null;
         this.iconLayerGroup = null;
+        this.areaLayerGroup = null;
+        this.carLayerGroup = null;
+        
+        // Cluster group inside iconLayerGroup while CONFIG.kml.icons.cluster is on
+        this.iconClusterGroup = null;
+        
+        // Shared canvas renderer for tracks when CONFIG.map.tracks.renderer is 'canvas'
+        this.canvasRenderer = null;
+        
+        // Drawn tracks: {track, polyline, simplifier, normalStyle, highlightStyle, drawnPoints}
+        this.trackLayers = [];
+        
+        // Per-track geometry that survives redraws: track -> {cumulative, simplifier}
+        this.trackGeometry = new WeakMap();
+        
+        // Live car markers keyed by car id
+        this.cars = new Map();
         
         // Visibility states
         this.tracksVisible = true;
         this.iconsVisible = true;
+        this.areasVisible = true;
+        this.carsVisible = true;
+        
+        // KML folders switched off in the layer tree
+        this.hiddenFolders = new Set();
+        
+        // Position cursor shown while hovering the elevation profile
+        this.cursorMarker = null;
+        
+        // Outline of the problem picked in the diagnostics panel
+        this.focusLayer = null;
+        
+        // Edit mode: draggable, unclustered icons and no popups
+        this.editMode = false;
+        
+        // Track interaction callbacks
+        this.onTrackClick = null;       // (track, latlng) => void
+        this.onTrackHover = null;       // (track, distance) => void
+        this.onTrackHoverEnd = null;    // (track) => void
+        
+        // Icon callbacks, only fired in edit mode
+        this.onIconClick = null;        // (icon) => void
+        this.onIconDragEnd = null;      // (icon, latlng) => void
     }
 
     /**
@@ -41,9 +99,30 @@ export class MapManager {
             minZoom: CONFIG.map.zoom.minZoom
         }).setView(defaultOptions.center, defaultOptions.zoom);
         
+        // Overlay tiles (hillshade, orthophotos) sit above the base map but below all features
+        this.map.createPane('tileOverlayPane');
+        this.map.getPane('tileOverlayPane').style.zIndex = 250;
+        
+        // Areas get their own pane so they always render below tracks
+        this.map.createPane('areaPane');
+        this.map.getPane('areaPane').style.zIndex = 350;
+        
         // Create layer groups
+        this.areaLayerGroup = L.layerGroup().addTo(this.map);
         this.trackLayerGroup = L.layerGroup().addTo(this.map);
         this.iconLayerGroup = L.layerGroup().addTo(this.map);
+        this.carLayerGroup = L.layerGroup().addTo(this.map);
+        
+        this.canvasRenderer = L.canvas({ padding: 0.5 });
+        
+        // Swap in the track detail level for the new zoom
+        this.map.on('zoomend', () => this.updateTrackDetail());
+        
+        // Pans and zooms both end in moveend
+        this.map.on('moveend', () => {
+            const center = this.map.getCenter();
+            this.emit('viewChanged', { center: { lat: center.lat, lon: center.lng }, zoom: this.map.getZoom() });
+        });
         
         // Set initial map type
         this.setMapType('osm');
@@ -68,6 +147,7 @@ export class MapManager {
         // Don't add any tiles for 'none' type (transparent mode)
         if (mapType === 'none') {
             this.currentMapType = 'none';
+            this.emit('mapTypeChanged', { mapType });
             return;
         }
         
@@ -79,9 +159,7 @@ export class MapManager {
         }
         
         // Create and add new tile layer
-        this.currentTileLayer = L.tileLayer(mapConfig.url, {
-            attribution: mapConfig.attribution,
-            maxZoom: mapConfig.maxZoom,
+        this.currentTileLayer = this.createTileLayer(mapConfig, {
             opacity: CONFIG.map.opacity / 100
         });
         
@@ -89,6 +167,71 @@ export class MapManager {
         this.currentMapType = mapType;
         
         console.log(`MapManager: Map type changed to ${mapType} with opacity ${CONFIG.map.opacity}%`);
+        this.emit('mapTypeChanged', { mapType });
+    }
+
+    /**
+     * Create a tile layer for a built-in or custom map definition
+     * @param {Object} mapConfig - {type?, url, attribution, minZoom?, maxZoom, subdomains?, wmsLayers?, wmsFormat?}
+     * @param {Object} options - Extra Leaflet options (opacity, pane)
+     * @returns {L.TileLayer} XYZ or WMS tile layer
+     */
+    createTileLayer(mapConfig, options = {}) {
+        const layerOptions = {
+            attribution: mapConfig.attribution || '',
+            maxZoom: mapConfig.maxZoom,
+            ...(typeof mapConfig.minZoom === 'number' ? { minZoom: mapConfig.minZoom } : {}),
+            ...(mapConfig.subdomains ? { subdomains: mapConfig.subdomains } : {}),
+            ...options
+        };
+        
+        if (mapConfig.type === 'wms') {
+            return L.tileLayer.wms(mapConfig.url, {
+                ...layerOptions,
+                layers: mapConfig.wmsLayers,
+                format: mapConfig.wmsFormat || 'image/png',
+                transparent: true
+            });
+        }
+        
+        return L.tileLayer(mapConfig.url, layerOptions);
+    }
+
+    /**
+     * Show the enabled overlay tile layers, each with its own opacity
+     * Layers are rebuilt only when their definition changed
+     * @param {Array} overlays - Custom layer definitions with kind 'overlay'
+     */
+    setOverlayLayers(overlays) {
+        const wanted = new Map(overlays.filter(overlay => overlay.enabled).map(overlay => [overlay.id, overlay]));
+        
+        // Remove overlays that were switched off, deleted or edited
+        this.overlayLayers.forEach(({ layer, definition }, id) => {
+            const next = wanted.get(id);
+            if (!next || JSON.stringify({ ...next, opacity: 0 }) !== JSON.stringify({ ...definition, opacity: 0 })) {
+                this.map.removeLayer(layer);
+                this.overlayLayers.delete(id);
+            }
+        });
+        
+        // Stack in list order: later overlays draw on top
+        Array.from(wanted.values()).forEach((overlay, index) => {
+            let entry = this.overlayLayers.get(overlay.id);
+            if (!entry) {
+                entry = {
+                    layer: this.createTileLayer(overlay, { pane: 'tileOverlayPane' }),
+                    definition: overlay
+                };
+                entry.layer.addTo(this.map);
+                this.overlayLayers.set(overlay.id, entry);
+            }
+            
+            entry.definition = overlay;
+            entry.layer.setOpacity(overlay.opacity / 100);
+            entry.layer.setZIndex(index + 1);
+        });
+        
+        console.log(`MapManager: ${this.overlayLayers.size} overlay layers shown`);
     }
 
     /**
@@ -98,43 +241,336 @@ export class MapManager {
     displayTracks(tracks) {
         // Clear existing tracks
         this.trackLayerGroup.clearLayers();
+        this.trackLayers = [];
         
         if (!tracks || tracks.length === 0) {
             return;
         }
         
+        const zoom = this.map.getZoom();
+        const useCanvas = CONFIG.map.tracks.renderer === 'canvas';
+        
         // Create polylines for each track
         tracks.forEach((track, index) => {
-            if (!track.points || track.points.length < 2) {
+            if (!track.points || track.points.length < 2 || !this.isFeatureVisible(track)) {
                 return;
             }
             
-            // Create polyline with configured style
-            const polyline = L.polyline(track.points, {
-                color: CONFIG.map.tracks.color,
-                weight: CONFIG.map.tracks.weight,
-                opacity: CONFIG.map.tracks.opacity / 100,
-                smoothFactor: CONFIG.map.tracks.smoothFactor
+            const { cumulative, simplifier } = this.getTrackGeometry(track);
+            const length = cumulative[cumulative.length - 1];
+            
+            // Create polyline with KML or global style, at the detail level for this zoom
+            const entry = {
+                track,
+                polyline: null,
+                simplifier,
+                normalStyle: this.getTrackStyle(track, 'normal'),
+                highlightStyle: this.getTrackStyle(track, 'highlight'),
+                drawnPoints: simplifier.getPoints(zoom)
+            };
+            const polyline = L.polyline(entry.drawnPoints, {
+                ...entry.normalStyle,
+                smoothFactor: CONFIG.map.tracks.smoothFactor,
+                ...(useCanvas ? { renderer: this.canvasRenderer } : {})
+            });
+            entry.polyline = polyline;
+            this.trackLayers.push(entry);
+            
+            // Switch to the KML highlight style on hover; styles are read from the entry
+            // so restyleTracks() can change them without rebuilding the polyline
+            polyline.on('mouseover', () => {
+                if (entry.highlightStyle) {
+                    polyline.setStyle(entry.highlightStyle);
+                }
+            });
+            polyline.on('mouseout', () => {
+                if (entry.highlightStyle) {
+                    polyline.setStyle(entry.normalStyle);
+                }
             });
             
-            // Add popup with track info
-            if (track.name || track.description) {
-                polyline.bindPopup(`
-                    <div>
-                        <strong>${track.name || `Track ${index + 1}`}</strong>
-                        ${track.description ? `<br>${track.description}` : ''}
-                        <br>Points: ${track.points.length}
-                    </div>
-                `);
+            // Add popup with track info, including where along the track it was opened
+            if (!this.editMode && (track.name || track.description || track.balloonText)) {
+                polyline.bindPopup(() => this.createTrackPopup(track, index, length));
+                polyline.on('click', (e) => {
+                    const projection = projectOnPath(track.points, cumulative, { lat: e.latlng.lat, lon: e.latlng.lng });
+                    polyline.setPopupContent(this.createTrackPopup(track, index, length, projection ? projection.distance : null));
+                });
+            }
+            
+            // Show along-track distance while hovering
+            if (CONFIG.map.tracks.distanceOnHover) {
+                polyline.bindTooltip(escapeHTML(track.name || `Track ${index + 1}`), {
+                    sticky: true,
+                    direction: 'top',
+                    className: 'track-distance-tooltip'
+                });
             }
             
+            polyline.on('mousemove', (e) => {
+                const projection = projectOnPath(track.points, cumulative, { lat: e.latlng.lat, lon: e.latlng.lng });
+                if (!projection) {
+                    return;
+                }
+                if (CONFIG.map.tracks.distanceOnHover) {
+                    polyline.setTooltipContent(`${formatDistance(projection.distance)} / ${formatDistance(length)}`);
+                }
+                if (this.onTrackHover) {
+                    this.onTrackHover(track, projection.distance);
+                }
+            });
+            
+            polyline.on('mouseout', () => {
+                if (this.onTrackHoverEnd) {
+                    this.onTrackHoverEnd(track);
+                }
+            });
+            
+            polyline.on('click', (e) => {
+                if (this.onTrackClick) {
+                    this.onTrackClick(track, e.latlng);
+                }
+                this.emit('featureClicked', { type: 'track', feature: track, latlng: e.latlng });
+            });
+            
             // Add to track layer group
             this.trackLayerGroup.addLayer(polyline);
+            
+            // Add kilometre posts along the track
+            if (CONFIG.map.tracks.kmMarkers) {
+                this.addKmMarkers(track, cumulative);
+            }
         });
         
         console.log(`MapManager: Displayed ${tracks.length} tracks`);
     }
 
+    /**
+     * Get cached distances and simplification levels for a track
+     * @param {Object} track - Track object
+     * @returns {Object} {cumulative, simplifier}
+     */
+    getTrackGeometry(track) {
+        let geometry = this.trackGeometry.get(track);
+        
+        if (!geometry || geometry.simplifier.tolerance !== CONFIG.map.tracks.simplifyTolerance) {
+            geometry = {
+                cumulative: geometry ? geometry.cumulative : cumulativeDistances(track.points),
+                simplifier: new TrackSimplifier(track.points, CONFIG.map.tracks.simplifyTolerance)
+            };
+            this.trackGeometry.set(track, geometry);
+        }
+        
+        return geometry;
+    }
+
+    /**
+     * Apply the current track styles to the drawn tracks without rebuilding them
+     */
+    restyleTracks() {
+        this.trackLayers.forEach(entry => {
+            entry.normalStyle = this.getTrackStyle(entry.track, 'normal');
+            entry.highlightStyle = this.getTrackStyle(entry.track, 'highlight');
+            entry.polyline.setStyle(entry.normalStyle);
+        });
+    }
+
+    /**
+     * Draw each track with the detail level for the current zoom
+     */
+    updateTrackDetail() {
+        const zoom = this.map.getZoom();
+        
+        this.trackLayers.forEach(entry => {
+            const points = entry.simplifier.getPoints(zoom);
+            if (points !== entry.drawnPoints) {
+                entry.drawnPoints = points;
+                entry.polyline.setLatLngs(points);
+            }
+        });
+    }
+
+    /**
+     * Count track points currently drawn against the full tracks
+     * @returns {Object} {drawn, total}
+     */
+    getTrackPointStats() {
+        let drawn = 0;
+        let total = 0;
+        
+        this.trackLayers.forEach(entry => {
+            total += entry.track.points.length;
+            if (this.tracksVisible) {
+                drawn += entry.drawnPoints.length;
+            }
+        });
+        
+        return { drawn, total };
+    }
+
+    /**
+     * Build popup HTML for a track
+     * @param {Object} track - Track object
+     * @param {number} index - Track index for the fallback name
+     * @param {number} length - Track length in metres
+     * @param {number|null} atDistance - Along-track distance of the clicked point in metres
+     * @returns {string} Popup HTML
+     */
+    createTrackPopup(track, index, length, atDistance = null) {
+        const details = [`Length: ${formatDistance(length)}`];
+        if (atDistance !== null) {
+            details.push(`At: ${formatDistance(atDistance)}`);
+        }
+        details.push(`Points: ${track.points.length}`);
+        
+        return this.createFeaturePopup(track, `Track ${index + 1}`, details);
+    }
+
+    /**
+     * Build popup HTML for a feature from its BalloonStyle, or its name and description
+     * Everything from the file goes through HTMLSanitizer
+     * @param {Object} feature - Track, icon or area
+     * @param {string} fallbackName - Name for features without one
+     * @param {Array} details - Lines of trusted HTML appended below
+     * @returns {string} Popup HTML
+     */
+    createFeaturePopup(feature, fallbackName, details = []) {
+        const name = feature.name || fallbackName;
+        const content = feature.balloonText
+            ? renderBalloon(feature.balloonText, { name, description: feature.description })
+            : `<strong>${escapeHTML(name)}</strong>${feature.description ? `<br>${sanitizeHTML(feature.description)}` : ''}`;
+        
+        return `<div class="feature-popup">${content}${details.map(line => `<br>${line}`).join('')}</div>`;
+    }
+
+    /**
+     * Add kilometre post markers along a track
+     * @param {Object} track - Track object
+     * @param {Array} cumulative - Cumulative distances for the track points
+     */
+    addKmMarkers(track, cumulative) {
+        const interval = CONFIG.map.tracks.kmMarkerInterval * 1000;
+        const length = cumulative[cumulative.length - 1];
+        
+        if (!(interval > 0)) {
+            return;
+        }
+        
+        for (let distance = interval; distance < length; distance += interval) {
+            const position = pointAtDistance(track.points, cumulative, distance);
+            if (!position) {
+                continue;
+            }
+            
+            // Round away floating point noise from repeated addition (e.g. 0.5 km steps)
+            const label = Number((distance / 1000).toFixed(2));
+            const marker = L.marker([position.lat, position.lon], {
+                icon: L.divIcon({
+                    className: 'km-marker',
+                    html: `<span>${label}</span>`,
+                    iconSize: [24, 16],
+                    iconAnchor: [12, 8]
+                }),
+                interactive: false,
+                keyboard: false
+            });
+            
+            this.trackLayerGroup.addLayer(marker);
+        }
+    }
+
+    /**
+     * Get Leaflet path style for a track
+     * In 'kml' mode the track's LineStyle is used, falling back to the global style per property
+     * @param {Object} track - Track object
+     * @param {string} key - 'normal' or 'highlight'
+     * @returns {Object|null} Leaflet style {color, weight, opacity}, or null if there is no highlight style
+     */
+    getTrackStyle(track, key = 'normal') {
+        const globalStyle = {
+            color: CONFIG.map.tracks.color,
+            weight: CONFIG.map.tracks.weight,
+            opacity: CONFIG.map.tracks.opacity / 100
+        };
+        
+        const useKML = CONFIG.map.tracks.styleMode === 'kml';
+        const kmlStyle = useKML && track.lineStyle ? track.lineStyle[key] : null;
+        
+        if (key === 'highlight' && !kmlStyle) {
+            return null;
+        }
+        
+        // Highlight only overrides what it defines, on top of the normal style
+        const baseStyle = key === 'highlight' ? this.getTrackStyle(track, 'normal') : globalStyle;
+        if (!kmlStyle) {
+            return baseStyle;
+        }
+        
+        return {
+            color: kmlStyle.color || baseStyle.color,
+            weight: typeof kmlStyle.weight === 'number' ? kmlStyle.weight : baseStyle.weight,
+            opacity: typeof kmlStyle.opacity === 'number' ? kmlStyle.opacity / 100 : baseStyle.opacity
+        };
+    }
+
+    /**
+     * Display areas (zones) on the map
+     * @param {Array} areas - Array of area objects with outer and inner rings
+     */
+    displayAreas(areas) {
+        // Clear existing areas
+        this.areaLayerGroup.clearLayers();
+        
+        if (!areas || areas.length === 0) {
+            return;
+        }
+        
+        areas.forEach((area, index) => {
+            if (!area.outer || area.outer.length < 3 || !this.isFeatureVisible(area)) {
+                return;
+            }
+            
+            const polygon = L.polygon([area.outer, ...(area.inner || [])], {
+                ...this.getAreaStyle(area),
+                pane: 'areaPane'
+            });
+            
+            // Kept for image export
+            polygon.source = area;
+            
+            // Add popup with area info, built when first opened
+            if (area.name || area.description || area.balloonText) {
+                polygon.bindPopup(() => this.createFeaturePopup(area, `Area ${index + 1}`));
+            }
+            polygon.on('click', (e) => this.emit('featureClicked', { type: 'area', feature: area, latlng: e.latlng }));
+            
+            this.areaLayerGroup.addLayer(polygon);
+        });
+        
+        console.log(`MapManager: Displayed ${areas.length} areas`);
+    }
+
+    /**
+     * Get Leaflet path style for an area from its PolyStyle/LineStyle
+     * @param {Object} area - Area object
+     * @returns {Object} Leaflet style {color, weight, opacity, fillColor, fillOpacity, fill, stroke}
+     */
+    getAreaStyle(area) {
+        const defaults = CONFIG.map.areas;
+        const useKML = CONFIG.map.tracks.styleMode === 'kml';
+        const kmlStyle = (useKML && area.areaStyle && area.areaStyle.normal) || {};
+        
+        return {
+            color: kmlStyle.color || defaults.color,
+            weight: typeof kmlStyle.weight === 'number' ? kmlStyle.weight : defaults.weight,
+            opacity: (typeof kmlStyle.opacity === 'number' ? kmlStyle.opacity : defaults.opacity) / 100,
+            fillColor: kmlStyle.fillColor || defaults.fillColor,
+            fillOpacity: (typeof kmlStyle.fillOpacity === 'number' ? kmlStyle.fillOpacity : defaults.fillOpacity) / 100,
+            fill: kmlStyle.fill !== false,
+            stroke: kmlStyle.outline !== false
+        };
+    }
+
     /**
      * Display icons/placemarks on the map
      * @param {Array} icons - Array of icon objects
@@ -142,16 +578,26 @@ export class MapManager {
     displayIcons(icons) {
         // Clear existing icons
         this.iconLayerGroup.clearLayers();
+        this.iconClusterGroup = null;
         
         if (!icons || icons.length === 0) {
             return;
         }
         
+        // Clustered markers cannot be dragged
+        const clustering = CONFIG.kml.icons.cluster && !this.editMode && this.createIconClusterGroup();
+        const excluded = new Set(CONFIG.kml.icons.clusterExclude);
+        const clusteredMarkers = [];
+        
         // Create markers for each icon
         icons.forEach((icon, index) => {
             if (!icon.position || typeof icon.position.lat !== 'number' || typeof icon.position.lon !== 'number') {
                 return;
             }
+            
+            if (!this.isFeatureVisible(icon)) {
+                return;
+            }
 
             const latLng = [icon.position.lat, icon.position.lon];
             
@@ -178,7 +624,7 @@ export class MapManager {
                     className: 'custom-icon'
                 });
                 
-                marker = L.marker(latLng, { icon: customIcon });
+                marker = L.marker(latLng, { icon: customIcon, draggable: this.editMode });
             } else {
                 // Use default marker with custom styling
                 const defaultIcon = L.divIcon({
@@ -195,25 +641,422 @@ export class MapManager {
                     iconAnchor: [10, 10]
                 });
                 
-                marker = L.marker(latLng, { icon: defaultIcon });
+                marker = L.marker(latLng, { icon: defaultIcon, draggable: this.editMode });
+            }
+            
+            // Kept for image export
+            marker.source = icon;
+            
+            marker.on('click', () => this.emit('featureClicked', { type: 'icon', feature: icon, latlng: marker.getLatLng() }));
+            
+            if (this.editMode) {
+                marker.on('click', () => {
+                    if (this.onIconClick) {
+                        this.onIconClick(icon);
+                    }
+                });
+                marker.on('dragend', () => {
+                    if (this.onIconDragEnd) {
+                        this.onIconDragEnd(icon, marker.getLatLng());
+                    }
+                });
             }
             
             // Add popup with icon info
-            if (CONFIG.kml.icons.showPopups && (icon.name || icon.description)) {
-                marker.bindPopup(`
-                    <div>
-                        <strong>${icon.name || `Point ${index + 1}`}</strong>
-                        ${icon.description ? `<br>${icon.description}` : ''}
-                        <br>Position: ${icon.position.lat.toFixed(6)}, ${icon.position.lon.toFixed(6)}
-                    </div>
-                `);
+            if (!this.editMode && CONFIG.kml.icons.showPopups && (icon.name || icon.description || icon.balloonText)) {
+                marker.bindPopup(() => this.createFeaturePopup(icon, `Point ${index + 1}`, [
+                    `Position: ${icon.position.lat.toFixed(6)}, ${icon.position.lon.toFixed(6)}`
+                ]));
             }
             
-            // Add to icon layer group
-            this.iconLayerGroup.addLayer(marker);
+            // Add to icon layer group, or collect for clustering unless its category is excluded
+            if (clustering && !excluded.has(this.getIconCategory(icon))) {
+                clusteredMarkers.push(marker);
+            } else {
+                this.iconLayerGroup.addLayer(marker);
+            }
         });
         
-        console.log(`MapManager: Displayed ${icons.length} icons`);
+        // Adding in one batch lets the cluster group compute clusters once
+        if (clustering) {
+            this.iconClusterGroup.addLayers(clusteredMarkers);
+        }
+        
+        console.log(`MapManager: Displayed ${icons.length} icons${clustering ? `, ${clusteredMarkers.length} clustered` : ''}`);
+    }
+
+    /**
+     * Collect what is drawn on the map for image export
+     * Icons are listed individually even when clustered
+     * @param {number} zoom - Zoom level to pick the track detail for
+     * @returns {Object} {tiles: [{mapConfig, layer, opacity}], areas: [{name, rings, style}],
+     *                    tracks: [{name, points, style}], icons: [{name, lat, lon, iconUrl, size, anchor}]}
+     */
+    getExportLayers(zoom = this.map.getZoom()) {
+        const tiles = [];
+        if (this.currentTileLayer) {
+            tiles.push({
+                mapConfig: getMapTypeConfig(this.currentMapType),
+                layer: this.currentTileLayer,
+                opacity: this.currentTileLayer.options.opacity
+            });
+        }
+        this.overlayLayers.forEach(({ layer, definition }) => {
+            tiles.push({ mapConfig: definition, layer, opacity: definition.opacity / 100 });
+        });
+        
+        const areas = [];
+        if (this.areasVisible) {
+            this.areaLayerGroup.eachLayer(polygon => {
+                areas.push({
+                    name: polygon.source.name || '',
+                    rings: polygon.getLatLngs().map(ring => ring.map(latlng => ({ lat: latlng.lat, lon: latlng.lng }))),
+                    style: polygon.options
+                });
+            });
+        }
+        
+        const tracks = this.tracksVisible ? this.trackLayers.map(entry => ({
+            name: entry.track.name || '',
+            points: entry.simplifier.getPoints(zoom),
+            style: entry.normalStyle
+        })) : [];
+        
+        const icons = [];
+        const addMarker = (marker) => {
+            if (!(marker instanceof L.Marker)) {
+                return;
+            }
+            const options = marker.options.icon.options;
+            const latlng = marker.getLatLng();
+            icons.push({
+                name: marker.source.name || '',
+                lat: latlng.lat,
+                lon: latlng.lng,
+                // Default icons are HTML; the exporter draws them as a dot
+                iconUrl: options.iconUrl || null,
+                size: options.iconSize,
+                anchor: options.iconAnchor
+            });
+        };
+        if (this.iconsVisible) {
+            this.iconLayerGroup.eachLayer(layer => {
+                if (layer === this.iconClusterGroup) {
+                    this.iconClusterGroup.eachLayer(addMarker);
+                } else {
+                    addMarker(layer);
+                }
+            });
+        }
+        
+        return { tiles, areas, tracks, icons };
+    }
+
+    /**
+     * Create the cluster group for icons and add it to the icon layer group
+     * @returns {boolean} False if the Leaflet.markercluster plugin is not loaded
+     */
+    createIconClusterGroup() {
+        if (typeof L.markerClusterGroup !== 'function') {
+            console.warn('MapManager: Leaflet.markercluster is not loaded, icons are not clustered');
+            return false;
+        }
+        
+        this.iconClusterGroup = L.markerClusterGroup({
+            maxClusterRadius: CONFIG.kml.icons.clusterRadius,
+            showCoverageOnHover: false,
+            iconCreateFunction: (cluster) => L.divIcon({
+                className: 'icon-cluster',
+                html: `<span>${cluster.getChildCount()}</span>`,
+                iconSize: [36, 36],
+                iconAnchor: [18, 18]
+            })
+        });
+        this.iconLayerGroup.addLayer(this.iconClusterGroup);
+        
+        return true;
+    }
+
+    /**
+     * Get the category used to exclude icons from clustering
+     * Icons sharing a KML style (e.g. all stage starts) share a category
+     * @param {Object} icon - Icon object
+     * @returns {string} Style id, icon file name, or 'default'
+     */
+    getIconCategory(icon) {
+        if (icon.style) {
+            return icon.style.replace(/^#/, '');
+        }
+        
+        // Icons from a KMZ have blob URLs, which say nothing about the icon
+        if (icon.iconUrl && !icon.iconUrl.startsWith('blob:') && !icon.iconUrl.startsWith('data:')) {
+            return icon.iconUrl.split(/[?#]/)[0].split('/').pop();
+        }
+        
+        return 'default';
+    }
+
+    /**
+     * Create or move the marker for a car
+     * @param {Object} position - Car position {id, lat, lon, heading, speed, timestamp}
+     * @param {boolean} animate - Animate the move; replay passes false as it interpolates every frame itself
+     */
+    updateCarPosition(position, animate = true) {
+        const target = [position.lat, position.lon];
+        let car = this.cars.get(position.id);
+        
+        if (!car) {
+            const marker = L.marker(target, {
+                icon: this.createCarIcon(position.id, position.heading),
+                zIndexOffset: 1000,
+                keyboard: false
+            });
+            
+            car = {
+                id: position.id,
+                marker: marker,
+                position: position,
+                animationFrame: null,
+                stale: false
+            };
+            
+            this.cars.set(position.id, car);
+            this.carLayerGroup.addLayer(marker);
+        } else {
+            car.position = position;
+            if (animate) {
+                this.animateCar(car, target);
+            } else {
+                this.stopCarAnimation(car);
+                car.marker.setLatLng(target);
+            }
+        }
+        
+        this.applyCarState(car);
+        
+        // Show speed on hover
+        const speedText = typeof position.speed === 'number' ? `${Math.round(position.speed)} km/h` : 'n/a';
+        const tooltipText = `${escapeHTML(position.id)} – ${speedText}`;
+        if (car.marker.getTooltip()) {
+            car.marker.setTooltipContent(tooltipText);
+        } else {
+            car.marker.bindTooltip(tooltipText, { direction: 'top', offset: [0, -12] });
+        }
+    }
+
+    /**
+     * Smoothly move a car marker to a new position
+     * @param {Object} car - Car entry
+     * @param {Array} target - Target [lat, lon]
+     */
+    animateCar(car, target) {
+        this.stopCarAnimation(car);
+        
+        const start = car.marker.getLatLng();
+        const duration = CONFIG.live.animationDuration;
+        
+        // Jump directly if animation is disabled or the marker is not on the map
+        if (duration <= 0 || !this.map.hasLayer(this.carLayerGroup)) {
+            car.marker.setLatLng(target);
+            return;
+        }
+        
+        const startTime = performance.now();
+        
+        const step = (now) => {
+            const progress = Math.min(1, (now - startTime) / duration);
+            const lat = start.lat + (target[0] - start.lat) * progress;
+            const lon = start.lng + (target[1] - start.lng) * progress;
+            car.marker.setLatLng([lat, lon]);
+            
+            car.animationFrame = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+        
+        car.animationFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Cancel a running marker animation, leaving the marker where it is
+     * @param {Object} car - Car entry
+     */
+    stopCarAnimation(car) {
+        if (car.animationFrame) {
+            cancelAnimationFrame(car.animationFrame);
+            car.animationFrame = null;
+        }
+    }
+
+    /**
+     * Create the div icon used for car markers
+     * @param {string} id - Car id used as label
+     * @param {number|null} heading - Initial heading in degrees
+     * @returns {L.DivIcon} Car icon
+     */
+    createCarIcon(id, heading = null) {
+        const label = CONFIG.live.showLabels ? `<span class="car-label">${escapeHTML(id)}</span>` : '';
+        const arrowStyle = typeof heading === 'number' ? ` style="transform: rotate(${heading}deg)"` : '';
+        const arrowClass = typeof heading === 'number' ? 'car-arrow' : 'car-arrow no-heading';
+        
+        return L.divIcon({
+            className: 'car-marker',
+            html: `<div class="${arrowClass}"${arrowStyle}></div>${label}`,
+            iconSize: [24, 24],
+            iconAnchor: [12, 12]
+        });
+    }
+
+    /**
+     * Apply heading rotation and stale styling to a car marker element
+     * Leaflet recreates the element when the layer is re-added, so this is reapplied then too
+     * @param {Object} car - Car entry
+     */
+    applyCarState(car) {
+        const element = car.marker.getElement();
+        if (!element) {
+            return;
+        }
+        
+        element.classList.toggle('car-stale', car.stale);
+        
+        const heading = car.position.heading;
+        const arrow = element.querySelector('.car-arrow');
+        if (arrow) {
+            arrow.style.transform = typeof heading === 'number' ? `rotate(${heading}deg)` : '';
+            arrow.classList.toggle('no-heading', typeof heading !== 'number');
+        }
+    }
+
+    /**
+     * Mark a car as stale (stopped reporting) or active again
+     * @param {string} id - Car id
+     * @param {boolean} stale - Whether the car is stale
+     */
+    setCarStale(id, stale) {
+        const car = this.cars.get(id);
+        if (!car) {
+            return;
+        }
+        
+        car.stale = stale;
+        this.applyCarState(car);
+    }
+
+    /**
+     * Remove a single car marker
+     * @param {string} id - Car id
+     */
+    removeCar(id) {
+        const car = this.cars.get(id);
+        if (!car) {
+            return;
+        }
+        
+        this.stopCarAnimation(car);
+        this.carLayerGroup.removeLayer(car.marker);
+        this.cars.delete(id);
+    }
+
+    /**
+     * Remove all car markers
+     */
+    clearCars() {
+        Array.from(this.cars.keys()).forEach(id => this.removeCar(id));
+        console.log('MapManager: All cars cleared');
+    }
+
+    /**
+     * Get number of cars currently on the map
+     * @returns {number} Car count
+     */
+    getCarCount() {
+        return this.cars.size;
+    }
+
+    /**
+     * Show the position cursor at a point, e.g. while hovering the elevation profile
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    showCursor(lat, lon) {
+        if (!this.cursorMarker) {
+            this.cursorMarker = L.circleMarker([lat, lon], {
+                radius: 7,
+                color: '#ffffff',
+                weight: 3,
+                fillColor: '#00b7ff',
+                fillOpacity: 1,
+                interactive: false
+            });
+        }
+        
+        this.cursorMarker.setLatLng([lat, lon]);
+        if (!this.map.hasLayer(this.cursorMarker)) {
+            this.cursorMarker.addTo(this.map);
+        }
+    }
+
+    /**
+     * Hide the position cursor
+     */
+    hideCursor() {
+        if (this.cursorMarker && this.map.hasLayer(this.cursorMarker)) {
+            this.map.removeLayer(this.cursorMarker);
+        }
+    }
+
+    /**
+     * Check whether a feature is visible given its KML visibility and folders
+     * @param {Object} feature - Track or icon object
+     * @returns {boolean} True if the feature should be drawn
+     */
+    isFeatureVisible(feature) {
+        if (feature.visible === false) {
+            return false;
+        }
+        
+        return !(feature.folderIds || []).some(id => this.hiddenFolders.has(id));
+    }
+
+    /**
+     * Replace the set of hidden KML folders
+     * Call displayTracks/displayIcons afterwards to apply
+     * @param {Array} folderIds - Ids of folders to hide
+     */
+    setHiddenFolders(folderIds) {
+        this.hiddenFolders = new Set(folderIds);
+    }
+
+    /**
+     * Show or hide a single KML folder
+     * Call displayTracks/displayIcons afterwards to apply
+     * @param {string} folderId - Folder id
+     * @param {boolean} visible - Whether the folder should be visible
+     */
+    setFolderVisible(folderId, visible) {
+        if (visible) {
+            this.hiddenFolders.delete(folderId);
+        } else {
+            this.hiddenFolders.add(folderId);
+        }
+        
+        console.log(`MapManager: Folder ${folderId} ${visible ? 'shown' : 'hidden'}`);
+        this.emit('layerVisibilityChanged', { layer: 'folder', folderId, visible });
+    }
+
+    /**
+     * Show or hide a single placemark, overriding its KML visibility
+     * Call displayTracks/displayIcons/displayAreas afterwards to apply
+     * @param {Object} feature - Track, icon or area object
+     * @param {boolean} visible - Whether the placemark should be visible
+     */
+    setFeatureVisible(feature, visible) {
+        feature.visible = visible;
+        
+        // Keeps it listed in the layer tree after it is shown
+        feature.visibilityToggled = true;
+        
+        console.log(`MapManager: Placemark ${feature.name} ${visible ? 'shown' : 'hidden'}`);
+        this.emit('layerVisibilityChanged', { layer: 'feature', feature, visible });
     }
 
     /**
@@ -234,6 +1077,7 @@ export class MapManager {
         }
         
         console.log(`MapManager: Tracks ${visible ? 'shown' : 'hidden'}`);
+        this.emit('layerVisibilityChanged', { layer: 'tracks', visible });
     }
 
     /**
@@ -254,14 +1098,59 @@ export class MapManager {
         }
         
         console.log(`MapManager: Icons ${visible ? 'shown' : 'hidden'}`);
+        this.emit('layerVisibilityChanged', { layer: 'icons', visible });
     }
 
     /**
-     * Fit map view to show all content (tracks and icons)
+     * Set area (zone) visibility
+     * @param {boolean} visible - Whether areas should be visible
+     */
+    setAreasVisible(visible) {
+        this.areasVisible = visible;
+        
+        if (visible) {
+            if (!this.map.hasLayer(this.areaLayerGroup)) {
+                this.map.addLayer(this.areaLayerGroup);
+            }
+        } else {
+            if (this.map.hasLayer(this.areaLayerGroup)) {
+                this.map.removeLayer(this.areaLayerGroup);
+            }
+        }
+        
+        console.log(`MapManager: Areas ${visible ? 'shown' : 'hidden'}`);
+        this.emit('layerVisibilityChanged', { layer: 'areas', visible });
+    }
+
+    /**
+     * Set live car visibility
+     * @param {boolean} visible - Whether cars should be visible
+     */
+    setCarsVisible(visible) {
+        this.carsVisible = visible;
+        
+        if (visible) {
+            if (!this.map.hasLayer(this.carLayerGroup)) {
+                this.map.addLayer(this.carLayerGroup);
+                this.cars.forEach(car => this.applyCarState(car));
+            }
+        } else {
+            if (this.map.hasLayer(this.carLayerGroup)) {
+                this.map.removeLayer(this.carLayerGroup);
+            }
+        }
+        
+        console.log(`MapManager: Cars ${visible ? 'shown' : 'hidden'}`);
+        this.emit('layerVisibilityChanged', { layer: 'cars', visible });
+    }
+
+    /**
+     * Fit map view to show all content (tracks, icons and areas)
      * @param {Array} tracks - Array of track objects
      * @param {Array} icons - Array of icon objects
+     * @param {Array} areas - Array of area objects
      */
-    fitToContent(tracks = [], icons = []) {
+    fitToContent(tracks = [], icons = [], areas = []) {
         const allPoints = [];
         
         // Collect all track points
@@ -278,6 +1167,13 @@ export class MapManager {
             }
         });
         
+        // Collect all area outlines
+        areas.forEach(area => {
+            if (area.outer && area.outer.length > 0) {
+                allPoints.push(...area.outer);
+            }
+        });
+        
         // Fit map to bounds if we have points
         if (allPoints.length > 0) {
             const bounds = L.latLngBounds(allPoints);
@@ -287,6 +1183,44 @@ export class MapManager {
         console.log(`MapManager: Fitted map to ${allPoints.length} points`);
     }
 
+    /**
+     * Zoom to a problem area and outline it
+     * @param {Array} bounds - [[south, west], [north, east]]
+     */
+    focusBounds(bounds) {
+        this.clearFocus();
+        
+        const [[south, west], [north, east]] = bounds;
+        const style = { color: '#ff9800', weight: 3, fill: false, interactive: false };
+        
+        // A single point has no extent to outline
+        this.focusLayer = south === north && west === east
+            ? L.circleMarker([south, west], { ...style, radius: 14 })
+            : L.rectangle(bounds, { ...style, dashArray: '6 4' });
+        this.focusLayer.addTo(this.map);
+        
+        this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
+    }
+
+    /**
+     * Remove the problem outline
+     */
+    clearFocus() {
+        if (this.focusLayer) {
+            this.map.removeLayer(this.focusLayer);
+            this.focusLayer = null;
+        }
+    }
+
+    /**
+     * Switch edit mode; takes effect the next time tracks and icons are displayed
+     * @param {boolean} enabled - Whether edit mode is on
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled;
+        console.log(`MapManager: Edit mode ${enabled ? 'on' : 'off'}`);
+    }
+
     /**
      * Clear all layers
      */
@@ -294,9 +1228,13 @@ export class MapManager {
         if (this.trackLayerGroup) {
             this.trackLayerGroup.clearLayers();
         }
+        this.trackLayers = [];
         if (this.iconLayerGroup) {
             this.iconLayerGroup.clearLayers();
         }
+        if (this.areaLayerGroup) {
+            this.areaLayerGroup.clearLayers();
+        }
         
         console.log('MapManager: All layers cleared');
     }
@@ -361,6 +1299,14 @@ export class MapManager {
         return this.iconsVisible;
     }
 
+    /**
+     * Check if areas are visible
+     * @returns {boolean} True if areas are visible
+     */
+    areAreasVisible() {
+        return this.areasVisible;
+    }
+
     /**
      * Set map opacity
      * @param {number} opacity - Opacity value (0-100)
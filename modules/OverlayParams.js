@@ -0,0 +1,321 @@
+/**
+ * OverlayParams - Reads and writes the URL query parameters used for OBS browser sources
+ * Parameters become CONFIG overrides plus an initial view; nothing here touches the DOM or map
+ *
+ * Supported parameters:
+ *   kml=<url>              Track file to load (KML, KMZ, GPX or GeoJSON)
+ *   map=<type>             Map type key or 'none'
+ *   transparent=1          Transparent page background
+ *   color=<hex>            Track colour ('#' optional)
+ *   width=<1-20>           Track width
+ *   opacity=<0-100>        Track opacity
+ *   style=kml|global       Track style source
+ *   renderer=svg|canvas    Track renderer
+ *   mapOpacity=<0-100>     Map tile opacity
+ *   iconScale=<0.5-3>      Icon scale multiplier
+ *   cluster=1              Cluster nearby icons
+ *   layers=tracks,icons    Visible layers (tracks, icons, zones, cars); unlisted layers are hidden
+ *   center=<lat>,<lon>     Initial map center
+ *   zoom=<n>               Initial zoom level
+ *   fit=<name|n>           Fit the view to one track, by name or 1-based number
+ *   profile=1              Show the elevation profile panel
+ *   leaderboard=1          Show the split timing leaderboard
+ *   live=1, liveUrl=<url>  Live telemetry
+ *   remoteUrl=<url>        WebSocket relay for the remote controller
+ *   debug=1                Show frame rate and drawn track points
+ */
+
+import { CONFIG, getMapTypeConfig } from '../config.js';
+
+export const LAYER_NAMES = ['tracks', 'icons', 'zones', 'cars'];
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+/**
+ * Parse a boolean parameter
+ * @param {string|null} value - Raw parameter value
+ * @returns {boolean|null} Parsed value or null if missing/invalid
+ */
+function parseBoolean(value) {
+    if (value === null) {
+        return null;
+    }
+
+    const normalized = value.trim().toLowerCase();
+    // A bare flag (?transparent) counts as true
+    if (normalized === '' || TRUE_VALUES.includes(normalized)) {
+        return true;
+    }
+    if (FALSE_VALUES.includes(normalized)) {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Parse a numeric parameter within a range
+ * @param {string|null} value - Raw parameter value
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {number|null} Parsed value or null if missing/out of range
+ */
+function parseNumber(value, min, max) {
+    if (value === null || value.trim() === '') {
+        return null;
+    }
+
+    const number = Number(value);
+    if (!isFinite(number) || number < min || number > max) {
+        return null;
+    }
+    return number;
+}
+
+/**
+ * Parse URL query parameters into config overrides and an initial view
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} {config, view} where config is a nested CONFIG update and
+ *                   view is {mapType, transparent, layers, center, zoom, fit}
+ */
+export function parseOverlayParams(search) {
+    const params = new URLSearchParams(search);
+    const config = {};
+    const view = {};
+
+    const set = (path, value) => {
+        let node = config;
+        path.slice(0, -1).forEach(key => {
+            node[key] = node[key] || {};
+            node = node[key];
+        });
+        node[path[path.length - 1]] = value;
+    };
+
+    const warn = (name) => console.warn(`OverlayParams: Ignoring invalid ${name}=${params.get(name)}`);
+
+    if (params.get('kml')) {
+        set(['kml', 'defaultFile'], params.get('kml'));
+    }
+
+    if (params.has('map')) {
+        const mapType = params.get('map');
+        if (mapType === 'none' || getMapTypeConfig(mapType)) {
+            view.mapType = mapType;
+        } else {
+            warn('map');
+        }
+    }
+
+    if (params.has('transparent')) {
+        const transparent = parseBoolean(params.get('transparent'));
+        if (transparent !== null) {
+            view.transparent = transparent;
+        } else {
+            warn('transparent');
+        }
+    }
+
+    if (params.has('color')) {
+        const color = params.get('color').trim().replace(/^#?/, '#');
+        if (/^#[0-9a-f]{6}$/i.test(color)) {
+            set(['map', 'tracks', 'color'], color.toLowerCase());
+        } else {
+            warn('color');
+        }
+    }
+
+    const numbers = [
+        { name: 'width', path: ['map', 'tracks', 'weight'], min: 1, max: 20 },
+        { name: 'opacity', path: ['map', 'tracks', 'opacity'], min: 0, max: 100 },
+        { name: 'mapOpacity', path: ['map', 'opacity'], min: 0, max: 100 },
+        { name: 'iconScale', path: ['kml', 'icons', 'scale'], min: 0.5, max: 3 }
+    ];
+    numbers.forEach(({ name, path, min, max }) => {
+        if (params.has(name)) {
+            const value = parseNumber(params.get(name), min, max);
+            if (value !== null) {
+                set(path, value);
+            } else {
+                warn(name);
+            }
+        }
+    });
+
+    if (params.has('cluster')) {
+        const cluster = parseBoolean(params.get('cluster'));
+        if (cluster !== null) {
+            set(['kml', 'icons', 'cluster'], cluster);
+        } else {
+            warn('cluster');
+        }
+    }
+
+    if (params.has('style')) {
+        const style = params.get('style');
+        if (style === 'kml' || style === 'global') {
+            set(['map', 'tracks', 'styleMode'], style);
+        } else {
+            warn('style');
+        }
+    }
+
+    if (params.has('renderer')) {
+        const renderer = params.get('renderer');
+        if (renderer === 'svg' || renderer === 'canvas') {
+            set(['map', 'tracks', 'renderer'], renderer);
+        } else {
+            warn('renderer');
+        }
+    }
+
+    if (params.has('layers')) {
+        const visible = params.get('layers').split(',').map(name => name.trim().toLowerCase());
+        view.layers = {};
+        LAYER_NAMES.forEach(name => {
+            view.layers[name] = visible.includes(name);
+        });
+    }
+
+    if (params.has('center')) {
+        const [lat, lon] = params.get('center').split(',').map(part => parseNumber(part, -180, 180));
+        if (lat !== null && lon !== null && lat !== undefined && lon !== undefined && Math.abs(lat) <= 90) {
+            view.center = [lat, lon];
+        } else {
+            warn('center');
+        }
+    }
+
+    if (params.has('zoom')) {
+        const zoom = parseNumber(params.get('zoom'), CONFIG.map.zoom.minZoom, CONFIG.map.zoom.maxZoom);
+        if (zoom !== null) {
+            view.zoom = zoom;
+        } else {
+            warn('zoom');
+        }
+    }
+
+    if (params.get('fit')) {
+        view.fit = params.get('fit');
+    }
+
+    if (params.has('profile')) {
+        const profile = parseBoolean(params.get('profile'));
+        if (profile !== null) {
+            set(['ui', 'profile', 'visible'], profile);
+        } else {
+            warn('profile');
+        }
+    }
+
+    if (params.has('leaderboard')) {
+        const leaderboard = parseBoolean(params.get('leaderboard'));
+        if (leaderboard !== null) {
+            set(['ui', 'leaderboard', 'visible'], leaderboard);
+        } else {
+            warn('leaderboard');
+        }
+    }
+
+    if (params.has('live')) {
+        const live = parseBoolean(params.get('live'));
+        if (live !== null) {
+            set(['live', 'enabled'], live);
+        } else {
+            warn('live');
+        }
+    }
+
+    if (params.get('liveUrl')) {
+        set(['live', 'url'], params.get('liveUrl'));
+    }
+
+    if (params.get('remoteUrl')) {
+        set(['remote', 'url'], params.get('remoteUrl'));
+    }
+
+    if (params.has('debug')) {
+        const debug = parseBoolean(params.get('debug'));
+        if (debug !== null) {
+            set(['debug', 'showStats'], debug);
+        } else {
+            warn('debug');
+        }
+    }
+
+    return { config, view };
+}
+
+/**
+ * Find the track a fit parameter refers to
+ * @param {Array} tracks - Array of track objects
+ * @param {string} fit - Track name or 1-based track number
+ * @returns {Object|null} Matching track or null
+ */
+export function findFitTrack(tracks, fit) {
+    const byName = tracks.find(track => track.name === fit)
+        || tracks.find(track => (track.name || '').toLowerCase() === fit.toLowerCase());
+    if (byName) {
+        return byName;
+    }
+
+    const number = parseInt(fit);
+    return String(number) === fit.trim() ? tracks[number - 1] || null : null;
+}
+
+/**
+ * Encode an overlay state as URL query parameters
+ * @param {Object} state - {kml, mapType, transparent, layers, center, zoom, profile, leaderboard, live}
+ *                         plus the current CONFIG track, map and icon settings
+ * @returns {URLSearchParams} Parameters understood by parseOverlayParams
+ */
+export function buildOverlayParams(state) {
+    const params = new URLSearchParams();
+
+    if (state.kml) {
+        params.set('kml', state.kml);
+    }
+    params.set('map', state.mapType);
+    if (state.transparent) {
+        params.set('transparent', '1');
+    }
+
+    params.set('color', CONFIG.map.tracks.color);
+    params.set('width', CONFIG.map.tracks.weight);
+    params.set('opacity', CONFIG.map.tracks.opacity);
+    params.set('style', CONFIG.map.tracks.styleMode);
+    params.set('renderer', CONFIG.map.tracks.renderer);
+    params.set('mapOpacity', CONFIG.map.opacity);
+    params.set('iconScale', CONFIG.kml.icons.scale);
+    if (CONFIG.kml.icons.cluster) {
+        params.set('cluster', '1');
+    }
+
+    // Only list layers when something is hidden, to keep the URL short
+    if (state.layers && LAYER_NAMES.some(name => !state.layers[name])) {
+        params.set('layers', LAYER_NAMES.filter(name => state.layers[name]).join(','));
+    }
+
+    if (state.center) {
+        params.set('center', `${state.center.lat.toFixed(5)},${state.center.lng.toFixed(5)}`);
+    }
+    if (typeof state.zoom === 'number') {
+        params.set('zoom', state.zoom);
+    }
+
+    if (state.profile) {
+        params.set('profile', '1');
+    }
+    if (state.leaderboard) {
+        params.set('leaderboard', '1');
+    }
+    if (state.live) {
+        params.set('live', '1');
+        params.set('liveUrl', CONFIG.live.url);
+    }
+    if (CONFIG.remote.url) {
+        params.set('remoteUrl', CONFIG.remote.url);
+    }
+
+    return params;
+}
@@ -0,0 +1,177 @@
+/**
+ * PresetStore - Named configuration presets ("looks") kept in localStorage
+ * A preset holds the look-related part of CONFIG plus the view state that is not in
+ * CONFIG (map type, transparent background, layer visibility). Applying one is left to
+ * the app, which merges the config with updateConfig and refreshes the map.
+ */
+
+import { CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'rallyTrackViewerPresets';
+
+// Marks exported preset files so other JSON is rejected on import
+const FILE_TYPE = 'rallyTrackViewerPreset';
+
+// Settings that belong to the machine or the event rather than to a look
+const EXCLUDED_PATHS = [
+    ['version'],
+    ['map', 'mapTypes'],
+    ['kml', 'defaultFile'],
+    ['live'],
+    ['timing'],
+    ['replay'],
+    ['remote'],
+    ['edit'],
+    ['offline'],
+    ['debug']
+];
+
+/**
+ * Remove settings that are not part of a look
+ * @param {Object} config - Configuration copy, modified in place
+ * @returns {Object} The same object
+ */
+function stripExcludedSettings(config) {
+    EXCLUDED_PATHS.forEach(path => {
+        const parent = path.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), config);
+        if (parent) {
+            delete parent[path[path.length - 1]];
+        }
+    });
+    return config;
+}
+
+export class PresetStore {
+    constructor() {
+        // Presets keyed by name: {name, version, config, view}
+        this.presets = this.load();
+    }
+
+    /**
+     * Read presets from localStorage
+     * @returns {Object} Presets keyed by name
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('PresetStore: Failed to load presets:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write presets to localStorage
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('PresetStore: Failed to save presets:', error);
+        }
+    }
+
+    /**
+     * Get preset names in alphabetical order
+     * @returns {Array} Preset names
+     */
+    getNames() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Get a preset by name
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset {name, version, config, view}
+     */
+    get(name) {
+        return this.presets[name] || null;
+    }
+
+    /**
+     * Check whether a preset exists
+     * @param {string} name - Preset name
+     * @returns {boolean} True if a preset has this name
+     */
+    has(name) {
+        return name in this.presets;
+    }
+
+    /**
+     * Save the current configuration as a preset, replacing one with the same name
+     * @param {string} name - Preset name
+     * @param {Object} view - {mapType, transparent, layers}
+     * @returns {Object} The stored preset
+     */
+    saveCurrent(name, view) {
+        const config = stripExcludedSettings(JSON.parse(JSON.stringify(CONFIG)));
+        const preset = { name, version: CONFIG.version, config, view };
+        this.add(preset);
+
+        console.log(`PresetStore: Saved preset ${name}`);
+        return preset;
+    }
+
+    /**
+     * Store a preset, e.g. one read from a file
+     * @param {Object} preset - Preset {name, version, config, view}
+     */
+    add(preset) {
+        this.presets[preset.name] = preset;
+        this.persist();
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} name - Preset name
+     */
+    remove(name) {
+        delete this.presets[name];
+        this.persist();
+        console.log(`PresetStore: Deleted preset ${name}`);
+    }
+
+    /**
+     * Serialize a preset for export
+     * @param {string} name - Preset name
+     * @returns {string} JSON text
+     */
+    toJSON(name) {
+        return JSON.stringify({ type: FILE_TYPE, ...this.get(name) }, null, 2);
+    }
+
+    /**
+     * Read a preset from exported JSON without storing it
+     * @param {string} text - JSON text
+     * @returns {Object} Preset {name, version, config, view}
+     * @throws {Error} If the text is not a preset file
+     */
+    parse(text) {
+        let data;
+        try {
+            // Drop __proto__ keys so merging the config cannot reach Object.prototype
+            data = JSON.parse(text, (key, value) => (key === '__proto__' ? undefined : value));
+        } catch (error) {
+            throw new Error('Preset file is not valid JSON');
+        }
+
+        if (!data || data.type !== FILE_TYPE || typeof data.name !== 'string' || !data.name.trim()
+            || !data.config || typeof data.config !== 'object') {
+            throw new Error('Not a Rally Track Viewer preset file');
+        }
+
+        // Older presets still apply; settings they lack keep their current values
+        if (data.version !== CONFIG.version) {
+            console.warn(`PresetStore: Preset ${data.name} is from config version ${data.version || 'unknown'}`);
+        }
+
+        return {
+            name: data.name.trim(),
+            version: data.version,
+            // A shared file must not point this machine at another telemetry server
+            config: stripExcludedSettings(data.config),
+            view: data.view || {}
+        };
+    }
+}
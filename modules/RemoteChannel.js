@@ -0,0 +1,177 @@
+/**
+ * RemoteChannel - Message link between the overlay and the controller page
+ * Uses a BroadcastChannel for windows on the same machine and, when a relay URL is
+ * set, a WebSocket to tools/remote-relay.mjs for other machines. Messages are JSON objects:
+ *   controller -> overlay: {type: 'command', id, command, args}
+ *   overlay -> controller: {type: 'result', id, ok, error} and {type: 'state', state}
+ */
+
+import { CONFIG } from '../config.js';
+
+export class RemoteChannel {
+    /**
+     * @param {Object} options - {channel, url}; default to CONFIG.remote
+     */
+    constructor(options = {}) {
+        this.channelName = options.channel || CONFIG.remote.channel;
+        this.url = options.url ?? CONFIG.remote.url;
+
+        this.broadcastChannel = null;
+        this.socket = null;
+        this.status = 'disconnected';
+        this.shouldReconnect = false;
+        this.reconnectTimer = null;
+
+        // Callbacks
+        this.onMessage = null;          // (message) => void
+        this.onStatusChange = null;     // (status) => void, WebSocket status
+    }
+
+    /**
+     * Start listening on the BroadcastChannel and the relay, if configured
+     */
+    open() {
+        if (typeof BroadcastChannel !== 'undefined' && !this.broadcastChannel) {
+            this.broadcastChannel = new BroadcastChannel(this.channelName);
+            this.broadcastChannel.addEventListener('message', (event) => this.receive(event.data));
+        }
+
+        if (this.url) {
+            this.shouldReconnect = true;
+            this.openSocket();
+        }
+
+        console.log(`RemoteChannel: Listening on ${this.channelName}${this.url ? ` and ${this.url}` : ''}`);
+    }
+
+    /**
+     * Stop listening and close the relay connection
+     */
+    close() {
+        this.shouldReconnect = false;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.broadcastChannel) {
+            this.broadcastChannel.close();
+            this.broadcastChannel = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+
+        this.setStatus('disconnected');
+    }
+
+    /**
+     * Switch to another relay URL (empty for BroadcastChannel only)
+     * @param {string} url - WebSocket URL of the relay
+     */
+    setURL(url) {
+        this.close();
+        this.url = url;
+        this.open();
+    }
+
+    /**
+     * Open the relay WebSocket
+     */
+    openSocket() {
+        this.setStatus('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('RemoteChannel: Invalid WebSocket URL:', error);
+            this.setStatus('disconnected');
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.setStatus('connected');
+            console.log(`RemoteChannel: Connected to ${this.url}`);
+        });
+
+        socket.addEventListener('message', (event) => {
+            try {
+                this.receive(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('RemoteChannel: Ignoring non-JSON message');
+            }
+        });
+
+        socket.addEventListener('close', () => this.handleSocketClosed(socket));
+        socket.addEventListener('error', () => this.handleSocketClosed(socket));
+    }
+
+    /**
+     * Handle a relay socket that closed or failed; retry after CONFIG.remote.reconnectDelay
+     * @param {WebSocket} socket - The socket that ended
+     */
+    handleSocketClosed(socket) {
+        // Ignore late events from sockets that were already replaced
+        if (socket !== this.socket) {
+            return;
+        }
+
+        this.socket = null;
+        this.setStatus('reconnecting');
+
+        if (this.shouldReconnect && !this.reconnectTimer) {
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.openSocket();
+            }, CONFIG.remote.reconnectDelay);
+        }
+    }
+
+    /**
+     * Send a message on every open transport
+     * @param {Object} message - JSON-serializable message
+     */
+    send(message) {
+        if (this.broadcastChannel) {
+            this.broadcastChannel.postMessage(message);
+        }
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Pass a received message on
+     * @param {Object} message - Parsed message
+     */
+    receive(message) {
+        if (message && typeof message.type === 'string' && this.onMessage) {
+            this.onMessage(message);
+        }
+    }
+
+    /**
+     * Update the relay connection status
+     * @param {string} status - 'disconnected', 'connecting', 'connected' or 'reconnecting'
+     */
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+
+    /**
+     * Get the relay connection status
+     * @returns {string} Current status
+     */
+    getStatus() {
+        return this.status;
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * TelemetryClient - Receives live car positions from a WebSocket stream
+ * Handles reconnect with exponential backoff and stale car detection
+ */
+
+import { CONFIG } from '../config.js';
+
+export class TelemetryClient {
+    constructor(url = CONFIG.live.url) {
+        this.url = url;
+        this.socket = null;
+        this.status = 'disconnected';
+
+        // Reconnect state
+        this.shouldReconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+
+        // Stale detection state
+        this.staleTimer = null;
+        this.lastSeen = new Map();
+        this.staleCars = new Set();
+
+        // Callbacks
+        this.onPosition = null;         // (position) => void
+        this.onStatusChange = null;     // (status) => void
+        this.onStaleChange = null;      // (carId, stale) => void
+    }
+
+    /**
+     * Connect to the telemetry stream
+     * Reconnects automatically until disconnect() is called
+     */
+    connect() {
+        this.shouldReconnect = true;
+        this.openSocket();
+
+        if (!this.staleTimer) {
+            this.staleTimer = setInterval(() => this.checkStale(), CONFIG.live.staleCheckInterval);
+        }
+    }
+
+    /**
+     * Disconnect from the telemetry stream and stop reconnecting
+     */
+    disconnect() {
+        this.shouldReconnect = false;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.staleTimer) {
+            clearInterval(this.staleTimer);
+            this.staleTimer = null;
+        }
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+
+        this.lastSeen.clear();
+        this.staleCars.clear();
+        this.setStatus('disconnected');
+    }
+
+    /**
+     * Open the WebSocket and attach handlers
+     */
+    openSocket() {
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('TelemetryClient: Invalid WebSocket URL:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectAttempts = 0;
+            this.setStatus('connected');
+            console.log(`TelemetryClient: Connected to ${this.url}`);
+        });
+
+        socket.addEventListener('message', (event) => {
+            this.handleMessage(event.data);
+        });
+
+        socket.addEventListener('close', () => {
+            this.handleSocketClosed(socket);
+        });
+
+        // Not every WebSocket implementation follows a failed handshake with 'close'
+        socket.addEventListener('error', () => {
+            console.warn(`TelemetryClient: Connection error on ${this.url}`);
+            this.handleSocketClosed(socket);
+        });
+    }
+
+    /**
+     * Handle a socket that closed or failed
+     * @param {WebSocket} socket - The socket that ended
+     */
+    handleSocketClosed(socket) {
+        // Ignore late events from sockets that were already replaced
+        if (socket !== this.socket) {
+            return;
+        }
+
+        this.socket = null;
+        if (this.shouldReconnect) {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Schedule the next reconnect attempt using exponential backoff
+     */
+    scheduleReconnect() {
+        if (!this.shouldReconnect || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting');
+
+        console.log(`TelemetryClient: Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket();
+        }, delay);
+    }
+
+    /**
+     * Get reconnect delay for an attempt number
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} Delay in milliseconds
+     */
+    getReconnectDelay(attempt) {
+        const { initialDelay, maxDelay, factor } = CONFIG.live.reconnect;
+        const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+
+        // Add up to 20% jitter so several overlays don't reconnect in lockstep
+        return delay * (1 + Math.random() * 0.2);
+    }
+
+    /**
+     * Handle a raw WebSocket message
+     * @param {string} data - Message payload (JSON object or array of objects)
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('TelemetryClient: Ignoring non-JSON message');
+            return;
+        }
+
+        const messages = Array.isArray(message) ? message : [message];
+
+        for (const item of messages) {
+            const position = this.normalizePosition(item);
+            if (position) {
+                this.receivePosition(position);
+            }
+        }
+    }
+
+    /**
+     * Record a position and notify listeners
+     * @param {Object} position - Normalized position
+     */
+    receivePosition(position) {
+        this.lastSeen.set(position.id, Date.now());
+
+        if (this.staleCars.delete(position.id) && this.onStaleChange) {
+            this.onStaleChange(position.id, false);
+        }
+
+        if (this.onPosition) {
+            this.onPosition(position);
+        }
+    }
+
+    /**
+     * Validate and normalize a position message
+     * @param {Object} message - Raw position message
+     * @returns {Object|null} {id, lat, lon, heading, speed, timestamp} or null if invalid
+     */
+    normalizePosition(message) {
+        if (!message || message.id === undefined || message.id === null) {
+            return null;
+        }
+
+        const lat = parseFloat(message.lat);
+        const lon = parseFloat(message.lon);
+
+        if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+            return null;
+        }
+
+        const heading = parseFloat(message.heading);
+        const speed = parseFloat(message.speed);
+        const timestamp = typeof message.timestamp === 'string'
+            ? Date.parse(message.timestamp)
+            : Number(message.timestamp ?? NaN);
+
+        return {
+            id: String(message.id),
+            lat,
+            lon,
+            heading: isNaN(heading) ? null : heading,
+            speed: isNaN(speed) ? null : speed,
+            timestamp: isNaN(timestamp) ? Date.now() : timestamp
+        };
+    }
+
+    /**
+     * Mark cars that stopped reporting as stale
+     */
+    checkStale() {
+        const now = Date.now();
+
+        this.lastSeen.forEach((seen, id) => {
+            if (!this.staleCars.has(id) && now - seen > CONFIG.live.staleAfter) {
+                this.staleCars.add(id);
+                console.log(`TelemetryClient: Car ${id} is stale`);
+                if (this.onStaleChange) {
+                    this.onStaleChange(id, true);
+                }
+            }
+        });
+    }
+
+    /**
+     * Update connection status and notify listeners
+     * @param {string} status - 'disconnected', 'connecting', 'connected' or 'reconnecting'
+     */
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+
+    /**
+     * Get current connection status
+     * @returns {string} Connection status
+     */
+    getStatus() {
+        return this.status;
+    }
+
+    /**
+     * Check if a car is stale
+     * @param {string} id - Car id
+     * @returns {boolean} True if the car stopped reporting
+     */
+    isStale(id) {
+        return this.staleCars.has(id);
+    }
+}
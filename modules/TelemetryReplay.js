@@ -0,0 +1,475 @@
+/**
+ * TelemetryReplay - Plays back recorded car positions on a timeline
+ * Reads CSV or NDJSON recordings and reports interpolated positions through the
+ * same callbacks as TelemetryClient, so the map renders replayed and live cars alike
+ */
+
+import { CONFIG } from '../config.js';
+import { bearing } from './GeoUtils.js';
+
+// Accepted CSV header names for each field (compared lower-case)
+const COLUMN_ALIASES = {
+    id: ['id', 'car', 'car_id', 'carid', 'number'],
+    time: ['time', 'timestamp', 't'],
+    lat: ['lat', 'latitude'],
+    lon: ['lon', 'lng', 'long', 'longitude'],
+    speed: ['speed'],
+    heading: ['heading', 'course', 'bearing']
+};
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16, 32];
+
+export class TelemetryReplay {
+    constructor() {
+        // Recording: car id -> samples sorted by time
+        this.cars = new Map();
+        this.startTime = 0;
+        this.endTime = 0;
+
+        // Playback state; time is absolute recording time in ms
+        this.time = 0;
+        this.speed = CONFIG.replay.speed;
+        this.playing = false;
+        this.animationFrame = null;
+        this.lastFrameTime = null;
+
+        // Cars currently reported to listeners
+        this.activeCars = new Set();
+        this.staleCars = new Set();
+
+        // Callbacks
+        this.onPosition = null;         // (position) => void
+        this.onStaleChange = null;      // (carId, stale) => void
+        this.onCarRemoved = null;       // (carId) => void
+        this.onTimeChange = null;       // (elapsed, duration) => void
+        this.onPlayStateChange = null;  // (playing) => void
+    }
+
+    /**
+     * Load a recording and rewind to its start
+     * @param {string} text - CSV or NDJSON recording
+     * @returns {Object} {cars, samples, duration}
+     */
+    load(text) {
+        this.unload();
+
+        const samples = this.parseRecording(text);
+        if (samples.length === 0) {
+            throw new Error('No valid positions found in recording');
+        }
+
+        samples.forEach(sample => {
+            if (!this.cars.has(sample.id)) {
+                this.cars.set(sample.id, []);
+            }
+            this.cars.get(sample.id).push(sample);
+        });
+        this.cars.forEach(carSamples => carSamples.sort((a, b) => a.time - b.time));
+
+        // Each car's samples are sorted, so its first and last give the bounds without spreading every sample
+        this.startTime = Infinity;
+        this.endTime = -Infinity;
+        this.cars.forEach(carSamples => {
+            this.startTime = Math.min(this.startTime, carSamples[0].time);
+            this.endTime = Math.max(this.endTime, carSamples[carSamples.length - 1].time);
+        });
+        this.seek(0);
+
+        const summary = { cars: this.cars.size, samples: samples.length, duration: this.getDuration() };
+        console.log(`TelemetryReplay: Loaded ${summary.samples} positions for ${summary.cars} cars (${Math.round(summary.duration / 1000)}s)`);
+        return summary;
+    }
+
+    /**
+     * Stop playback and drop the recording, removing all replayed cars
+     */
+    unload() {
+        this.pause();
+
+        this.activeCars.forEach(id => {
+            if (this.onCarRemoved) {
+                this.onCarRemoved(id);
+            }
+        });
+
+        this.cars.clear();
+        this.activeCars.clear();
+        this.staleCars.clear();
+        this.startTime = 0;
+        this.endTime = 0;
+        this.time = 0;
+    }
+
+    /**
+     * Parse a recording, detecting NDJSON or CSV from the first line
+     * @param {string} text - Recording contents
+     * @returns {Array} Array of samples {id, time, lat, lon, speed, heading}
+     */
+    parseRecording(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            return [];
+        }
+
+        const records = lines[0].trim().startsWith('{') || lines[0].trim().startsWith('[')
+            ? this.parseNDJSON(lines)
+            : this.parseCSV(lines);
+
+        return records.map(record => this.normalizeSample(record)).filter(sample => sample);
+    }
+
+    /**
+     * Parse NDJSON lines (one object, or an array of objects, per line)
+     * @param {Array} lines - Non-empty lines
+     * @returns {Array} Raw records
+     */
+    parseNDJSON(lines) {
+        const records = [];
+
+        lines.forEach((line, index) => {
+            try {
+                const value = JSON.parse(line);
+                records.push(...(Array.isArray(value) ? value : [value]));
+            } catch (error) {
+                console.warn(`TelemetryReplay: Skipping invalid JSON on line ${index + 1}`);
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * Parse CSV lines with a header row
+     * @param {Array} lines - Non-empty lines, header first
+     * @returns {Array} Raw records keyed by field name
+     */
+    parseCSV(lines) {
+        const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+        const header = this.splitCSVLine(lines[0], delimiter).map(name => name.trim().toLowerCase());
+
+        // Map each known field to its column index
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const index = header.findIndex(name => aliases.includes(name));
+            if (index >= 0) {
+                columns[field] = index;
+            }
+        });
+
+        if (['id', 'time', 'lat', 'lon'].some(field => columns[field] === undefined)) {
+            throw new Error('CSV recording needs id, time, lat and lon columns');
+        }
+
+        return lines.slice(1).map(line => {
+            const values = this.splitCSVLine(line, delimiter);
+            const record = {};
+            Object.entries(columns).forEach(([field, index]) => {
+                record[field] = values[index];
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Split a CSV line, honouring double-quoted values
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array} Field values
+     */
+    splitCSVLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+
+        return values.map(value => value.trim());
+    }
+
+    /**
+     * Validate and normalize a recorded position
+     * Numeric times are milliseconds; strings are parsed as ISO dates
+     * @param {Object} record - Raw record
+     * @returns {Object|null} {id, time, lat, lon, speed, heading} or null if invalid
+     */
+    normalizeSample(record) {
+        if (!record || record.id === undefined || record.id === null || record.id === '') {
+            return null;
+        }
+
+        const lat = parseFloat(record.lat);
+        const lon = parseFloat(record.lon);
+        const rawTime = record.time ?? record.timestamp;
+        const time = typeof rawTime === 'string' && isNaN(Number(rawTime)) ? Date.parse(rawTime) : Number(rawTime);
+
+        if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180 || !isFinite(time)) {
+            return null;
+        }
+
+        const speed = parseFloat(record.speed);
+        const heading = parseFloat(record.heading);
+
+        return {
+            id: String(record.id),
+            time,
+            lat,
+            lon,
+            speed: isNaN(speed) ? null : speed,
+            heading: isNaN(heading) ? null : heading
+        };
+    }
+
+    /**
+     * Start playback, rewinding first if the recording has finished
+     */
+    play() {
+        if (this.playing || this.cars.size === 0) {
+            return;
+        }
+
+        if (this.time >= this.endTime) {
+            this.seek(0);
+        }
+
+        this.playing = true;
+        this.lastFrameTime = null;
+        this.animationFrame = requestAnimationFrame((now) => this.tick(now));
+
+        if (this.onPlayStateChange) {
+            this.onPlayStateChange(true);
+        }
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        if (!this.playing) {
+            return;
+        }
+
+        this.playing = false;
+        if (this.onPlayStateChange) {
+            this.onPlayStateChange(false);
+        }
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed - Speed multiplier (1-32)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(REPLAY_SPEEDS[0], Math.min(REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1], speed));
+    }
+
+    /**
+     * Jump to a point in the recording
+     * @param {number} elapsed - Time since the start of the recording in ms
+     */
+    seek(elapsed) {
+        this.time = this.startTime + Math.max(0, Math.min(this.getDuration(), elapsed));
+        this.renderFrame();
+    }
+
+    /**
+     * Advance playback by the wall-clock time since the previous frame
+     * @param {number} now - requestAnimationFrame timestamp
+     */
+    tick(now) {
+        if (this.lastFrameTime !== null) {
+            this.time += (now - this.lastFrameTime) * this.speed;
+        }
+        this.lastFrameTime = now;
+
+        if (this.time >= this.endTime) {
+            if (CONFIG.replay.loop) {
+                this.time = this.startTime;
+            } else {
+                this.time = this.endTime;
+                this.renderFrame();
+                this.pause();
+                return;
+            }
+        }
+
+        this.renderFrame();
+        this.animationFrame = requestAnimationFrame((next) => this.tick(next));
+    }
+
+    /**
+     * Report every car's position at the current time
+     */
+    renderFrame() {
+        this.cars.forEach((samples, id) => {
+            const position = this.positionAt(samples, this.time);
+
+            // Cars that have not started yet are not on the map
+            if (!position) {
+                if (this.activeCars.delete(id)) {
+                    this.staleCars.delete(id);
+                    if (this.onCarRemoved) {
+                        this.onCarRemoved(id);
+                    }
+                }
+                return;
+            }
+
+            this.activeCars.add(id);
+            if (this.onPosition) {
+                this.onPosition(position);
+            }
+
+            if (position.stale !== this.staleCars.has(id)) {
+                if (position.stale) {
+                    this.staleCars.add(id);
+                } else {
+                    this.staleCars.delete(id);
+                }
+                if (this.onStaleChange) {
+                    this.onStaleChange(id, position.stale);
+                }
+            }
+        });
+
+        if (this.onTimeChange) {
+            this.onTimeChange(this.getElapsed(), this.getDuration());
+        }
+    }
+
+    /**
+     * Interpolate a car's position at a point in time
+     * Gaps longer than the live stale threshold are not interpolated; the car holds
+     * its last position and is marked stale, as it would be in a live feed
+     * @param {Array} samples - Car samples sorted by time
+     * @param {number} time - Recording time in ms
+     * @returns {Object|null} Position {id, lat, lon, heading, speed, timestamp, stale} or null before the first sample
+     */
+    positionAt(samples, time) {
+        if (samples.length === 0 || time < samples[0].time) {
+            return null;
+        }
+
+        // Binary search for the last sample at or before the time
+        let low = 0;
+        let high = samples.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (samples[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const previous = samples[low];
+        const next = samples[low + 1];
+        const stale = time - previous.time > CONFIG.live.staleAfter;
+
+        if (!next || stale || next.time === previous.time) {
+            return this.createPosition(previous, previous, 0, time, stale);
+        }
+
+        const t = (time - previous.time) / (next.time - previous.time);
+        return this.createPosition(previous, next, t, time, false);
+    }
+
+    /**
+     * Build a position between two samples
+     * @param {Object} a - Sample before the time
+     * @param {Object} b - Sample after the time
+     * @param {number} t - Interpolation factor (0-1)
+     * @param {number} time - Recording time in ms
+     * @param {boolean} stale - Whether the car has stopped reporting
+     * @returns {Object} Position
+     */
+    createPosition(a, b, t, time, stale) {
+        let heading = a.heading;
+        if (typeof a.heading === 'number' && typeof b.heading === 'number') {
+            // Interpolate along the shorter way round
+            const delta = ((b.heading - a.heading + 540) % 360) - 180;
+            heading = (a.heading + delta * t + 360) % 360;
+        } else if (heading === null && a !== b) {
+            heading = bearing(a, b);
+        }
+
+        const hasSpeed = typeof a.speed === 'number' && typeof b.speed === 'number';
+
+        return {
+            id: a.id,
+            lat: a.lat + (b.lat - a.lat) * t,
+            lon: a.lon + (b.lon - a.lon) * t,
+            heading: heading,
+            speed: hasSpeed ? a.speed + (b.speed - a.speed) * t : a.speed,
+            timestamp: time,
+            stale: stale
+        };
+    }
+
+    /**
+     * Get the recording length
+     * @returns {number} Duration in ms
+     */
+    getDuration() {
+        return this.endTime - this.startTime;
+    }
+
+    /**
+     * Get the playback position
+     * @returns {number} Time since the start of the recording in ms
+     */
+    getElapsed() {
+        return this.time - this.startTime;
+    }
+
+    /**
+     * Check if a recording is loaded
+     * @returns {boolean} True if there is something to play
+     */
+    isLoaded() {
+        return this.cars.size > 0;
+    }
+
+    /**
+     * Check if playback is running
+     * @returns {boolean} True while playing
+     */
+    isPlaying() {
+        return this.playing;
+    }
+}
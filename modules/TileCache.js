@@ -0,0 +1,286 @@
+/**
+ * TileCache - Pre-fetches map tiles for offline use through the service worker
+ * Works out which tiles cover an area, estimates the download, and asks
+ * service-worker.js to store them; the worker then serves them to Leaflet.
+ */
+
+import { CONFIG } from '../config.js';
+
+// Keep in sync with TILE_CACHE in service-worker.js
+export const TILE_CACHE = 'rally-tiles-v1';
+
+/**
+ * Tile column and row containing a position (Web Mercator / XYZ scheme)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} {x, y}
+ */
+function tileAt(lat, lon, zoom) {
+    const scale = Math.pow(2, zoom);
+    const clampedLat = Math.max(-85.0511, Math.min(85.0511, lat));
+    const latRadians = clampedLat * Math.PI / 180;
+
+    const x = Math.floor((lon + 180) / 360 * scale);
+    const y = Math.floor((1 - Math.log(Math.tan(latRadians) + 1 / Math.cos(latRadians)) / Math.PI) / 2 * scale);
+
+    return {
+        x: Math.max(0, Math.min(scale - 1, x)),
+        y: Math.max(0, Math.min(scale - 1, y))
+    };
+}
+
+export class TileCache {
+    constructor() {
+        this.registration = null;
+        this.prefetchId = 0;
+        this.running = false;
+
+        // Last progress of the running prefetch, and the timer that notices when it stops arriving
+        this.progress = null;
+        this.stallTimer = null;
+
+        // Callbacks
+        this.onProgress = null;     // ({done, total, failed, bytes}) => void
+        this.onComplete = null;     // ({done, total, failed, bytes, cancelled, interrupted}) => void
+    }
+
+    /**
+     * Register the service worker
+     * @returns {Promise<boolean>} Whether the worker is registered
+     */
+    async register() {
+        if (!CONFIG.offline.serviceWorker || !('serviceWorker' in navigator)) {
+            return false;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register('service-worker.js');
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleMessage(event.data || {}));
+            console.log('TileCache: Service worker registered');
+            return true;
+        } catch (error) {
+            // file:// pages and some embedded browsers cannot run service workers
+            console.warn('TileCache: Service worker unavailable:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether tiles can be cached
+     * @returns {boolean} True once the service worker is registered
+     */
+    isAvailable() {
+        return this.registration !== null;
+    }
+
+    /**
+     * Check whether a map type may be cached for offline use
+     * Bulk downloads need the tile server's permission, so map types opt in with prefetch: true;
+     * WMS tiles are requested by bounding box rather than tile number, so they cannot be listed
+     * @param {Object} mapConfig - Map type config
+     * @returns {boolean} True if its tiles may be prefetched
+     */
+    canPrefetch(mapConfig) {
+        return Boolean(mapConfig && mapConfig.prefetch === true && !mapConfig.local && mapConfig.type !== 'wms');
+    }
+
+    /**
+     * Check whether a prefetch is running
+     * @returns {boolean} True while tiles are downloading
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * List tile URLs covering an area
+     * Subdomains are chosen the way Leaflet does, so cached URLs match its requests
+     * @param {Object} mapConfig - Map type config {url, subdomains?, maxZoom}
+     * @param {Object} bounds - {south, west, north, east}
+     * @param {number} minZoom - Lowest zoom level
+     * @param {number} maxZoom - Highest zoom level
+     * @returns {Array} Tile URLs
+     */
+    getTileURLs(mapConfig, bounds, minZoom, maxZoom) {
+        const subdomains = mapConfig.subdomains || 'abc';
+        const urls = [];
+
+        for (let zoom = minZoom; zoom <= Math.min(maxZoom, mapConfig.maxZoom); zoom++) {
+            const topLeft = tileAt(bounds.north, bounds.west, zoom);
+            const bottomRight = tileAt(bounds.south, bounds.east, zoom);
+
+            for (let x = topLeft.x; x <= bottomRight.x; x++) {
+                for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                    urls.push(mapConfig.url
+                        .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+                        .replace('{z}', zoom)
+                        .replace('{x}', x)
+                        .replace('{y}', y)
+                        .replace('{r}', ''));
+                }
+            }
+        }
+
+        return urls;
+    }
+
+    /**
+     * Count the tiles covering an area and estimate their download size
+     * @param {Object} mapConfig - Map type config
+     * @param {Object} bounds - {south, west, north, east}
+     * @param {number} minZoom - Lowest zoom level
+     * @param {number} maxZoom - Highest zoom level
+     * @returns {Object} {count, bytes}
+     */
+    estimate(mapConfig, bounds, minZoom, maxZoom) {
+        let count = 0;
+
+        for (let zoom = minZoom; zoom <= Math.min(maxZoom, mapConfig.maxZoom); zoom++) {
+            const topLeft = tileAt(bounds.north, bounds.west, zoom);
+            const bottomRight = tileAt(bounds.south, bounds.east, zoom);
+            count += (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+        }
+
+        return { count, bytes: count * CONFIG.offline.averageTileSize * 1024 };
+    }
+
+    /**
+     * Download and cache the tiles covering an area
+     * @param {Object} mapConfig - Map type config
+     * @param {Object} bounds - {south, west, north, east}
+     * @param {number} minZoom - Lowest zoom level
+     * @param {number} maxZoom - Highest zoom level
+     * @throws {Error} If the map type may not be cached, the worker is not active or the area needs too many tiles
+     */
+    prefetch(mapConfig, bounds, minZoom, maxZoom) {
+        if (!this.canPrefetch(mapConfig)) {
+            throw new Error('This map type cannot be cached');
+        }
+
+        const worker = this.registration && this.registration.active;
+        if (!worker) {
+            throw new Error('Offline cache is not available in this browser');
+        }
+
+        const { count } = this.estimate(mapConfig, bounds, minZoom, maxZoom);
+        if (count > CONFIG.offline.maxTiles) {
+            throw new Error(`${count} tiles exceeds the limit of ${CONFIG.offline.maxTiles}; lower the maximum zoom`);
+        }
+
+        // Only one prefetch at a time
+        this.cancel();
+
+        this.prefetchId++;
+        this.running = true;
+        this.progress = { done: 0, total: count, failed: 0, bytes: 0 };
+        this.watchProgress();
+        worker.postMessage({
+            type: 'prefetch-tiles',
+            id: this.prefetchId,
+            urls: this.getTileURLs(mapConfig, bounds, minZoom, maxZoom),
+            concurrency: CONFIG.offline.concurrency
+        });
+
+        console.log(`TileCache: Prefetching ${count} tiles, zoom ${minZoom}-${maxZoom}`);
+    }
+
+    /**
+     * Stop the running prefetch; tiles already stored are kept
+     * Completes at once rather than waiting for the worker, which may no longer be running
+     */
+    cancel() {
+        if (!this.running) {
+            return;
+        }
+
+        this.stopWorker();
+        this.finish({ cancelled: true, interrupted: false });
+    }
+
+    /**
+     * Ask the service worker to stop the current prefetch
+     */
+    stopWorker() {
+        const worker = this.registration && this.registration.active;
+        if (worker) {
+            worker.postMessage({ type: 'cancel-prefetch', id: this.prefetchId });
+        }
+    }
+
+    /**
+     * Restart the no-progress timer
+     * Browsers stop service workers whose work runs too long, and a stopped worker never sends 'tile-done'
+     */
+    watchProgress() {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = setTimeout(() => {
+            console.warn(`TileCache: No progress for ${CONFIG.offline.stallTimeout}s, prefetch interrupted`);
+            this.stopWorker();
+            this.finish({ cancelled: false, interrupted: true });
+        }, CONFIG.offline.stallTimeout * 1000);
+    }
+
+    /**
+     * End the running prefetch and report its result
+     * @param {Object} result - {cancelled, interrupted}
+     */
+    finish(result) {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+        this.running = false;
+
+        if (this.onComplete) {
+            this.onComplete({ ...this.progress, ...result });
+        }
+    }
+
+    /**
+     * Delete all cached tiles
+     */
+    async clear() {
+        this.cancel();
+        await caches.delete(TILE_CACHE);
+        console.log('TileCache: Cached tiles deleted');
+    }
+
+    /**
+     * Count cached tiles
+     * @returns {Promise<number>} Number of stored tiles
+     */
+    async getCachedCount() {
+        if (typeof caches === 'undefined' || !(await caches.has(TILE_CACHE))) {
+            return 0;
+        }
+        const cache = await caches.open(TILE_CACHE);
+        return (await cache.keys()).length;
+    }
+
+    /**
+     * Handle a message from the service worker
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        // Ignore reports from a prefetch that has since been replaced, cancelled or given up on
+        if (message.id !== this.prefetchId || !this.running) {
+            return;
+        }
+
+        this.progress = {
+            done: message.done,
+            total: message.total,
+            failed: message.failed,
+            bytes: message.bytes
+        };
+
+        if (message.type === 'tile-progress') {
+            this.watchProgress();
+            if (this.onProgress) {
+                this.onProgress(this.progress);
+            }
+        } else if (message.type === 'tile-done') {
+            console.log(`TileCache: Prefetch ${message.cancelled ? 'cancelled' : 'finished'} with ${message.done - message.failed} of ${message.total} tiles`);
+            this.finish({ cancelled: message.cancelled, interrupted: false });
+        }
+    }
+}
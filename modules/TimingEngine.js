@@ -0,0 +1,306 @@
+/**
+ * TimingEngine - Virtual split times and a leaderboard from car positions
+ * Snaps each reported position onto the stage line to get distance covered.
+ * Plain module without DOM or map access, so recorded position streams can be fed straight in
+ */
+
+import { cumulativeDistances, pointAtDistance, projectOnPath } from './GeoUtils.js';
+
+const DEFAULT_OPTIONS = {
+    splits: [],             // Split distances from the start (km); empty uses splitInterval
+    splitInterval: 2,       // Distance between automatic splits (km)
+    maxOffset: 100,         // Ignore positions further than this from the stage line (m)
+    lineTolerance: 15,      // Distance from the start/finish line that counts as on the line (m)
+    maxJump: 2000           // Furthest a car is expected to advance between two positions (m)
+};
+
+export class TimingEngine {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        // Stage geometry
+        this.stage = null;
+        this.points = [];
+        this.cumulative = [];
+        this.length = 0;
+        this.splitDistances = [];
+
+        // Per-car timing state, keyed by car id
+        this.cars = new Map();
+
+        // Callback: (carId, splitIndex, splitTime) => void
+        this.onSplit = null;
+    }
+
+    /**
+     * Set the stage to time cars on and reset all timing
+     * @param {Object|null} track - Track object with points
+     */
+    setStage(track) {
+        this.stage = track && track.points.length >= 2 ? track : null;
+        this.points = this.stage ? this.stage.points : [];
+        this.cumulative = this.stage ? cumulativeDistances(this.points) : [];
+        this.length = this.stage ? this.cumulative[this.cumulative.length - 1] : 0;
+        this.splitDistances = this.computeSplitDistances();
+        this.reset();
+
+        if (this.stage) {
+            console.log(`TimingEngine: Timing ${this.stage.name} with ${this.splitDistances.length - 1} splits over ${Math.round(this.length)} m`);
+        }
+    }
+
+    /**
+     * Work out split distances for the current stage; the finish is always the last split
+     * @returns {Array} Split distances in metres, ascending
+     */
+    computeSplitDistances() {
+        if (!this.stage) {
+            return [];
+        }
+
+        let distances;
+        if (this.options.splits.length > 0) {
+            distances = this.options.splits.map(km => km * 1000);
+        } else {
+            distances = [];
+            const interval = this.options.splitInterval * 1000;
+            for (let distance = interval; interval > 0 && distance < this.length; distance += interval) {
+                distances.push(distance);
+            }
+        }
+
+        // Keep splits clear of the finish so they never coincide with it
+        distances = distances
+            .filter(distance => distance > 0 && distance < this.length - this.options.lineTolerance)
+            .sort((a, b) => a - b);
+
+        return [...distances, this.length];
+    }
+
+    /**
+     * Forget all cars (e.g. when a replay restarts)
+     */
+    reset() {
+        this.cars.clear();
+    }
+
+    /**
+     * Process a car position
+     * @param {Object} position - {id, lat, lon, timestamp} as produced by TelemetryClient or TelemetryReplay
+     * @returns {Object|null} Updated car state, or null without a stage
+     */
+    processPosition(position) {
+        if (!this.stage || typeof position.timestamp !== 'number') {
+            return null;
+        }
+
+        let car = this.cars.get(position.id);
+
+        // Time going backwards means the stream was rewound; start this car over
+        if (car && position.timestamp < car.time) {
+            car = null;
+        }
+
+        if (!car) {
+            car = {
+                id: position.id,
+                distance: null,
+                time: position.timestamp,
+                atStart: false,
+                lastOnStartLine: null,
+                startTime: null,
+                splits: this.splitDistances.map(() => null),
+                finished: false,
+                onStage: false
+            };
+            this.cars.set(position.id, car);
+        }
+
+        const projection = this.locate(car, position);
+        car.onStage = projection !== null;
+        if (!projection) {
+            car.time = position.timestamp;
+            return car;
+        }
+
+        const tolerance = this.options.lineTolerance;
+        const previousDistance = car.distance;
+        const previousTime = car.time;
+
+        // Distance only moves forward; small backward snaps are projection noise
+        car.distance = previousDistance === null ? projection.distance : Math.max(previousDistance, projection.distance);
+        car.time = position.timestamp;
+
+        // A car waiting on the start line starts when it is last seen there
+        if (previousDistance === null && car.distance <= tolerance) {
+            car.atStart = true;
+        }
+        if (car.atStart) {
+            if (car.distance <= tolerance) {
+                car.lastOnStartLine = position.timestamp;
+                return car;
+            }
+            car.atStart = false;
+            car.startTime = car.lastOnStartLine;
+        }
+
+        if (car.startTime !== null && !car.finished && previousDistance !== null) {
+            this.recordSplits(car, previousDistance, previousTime);
+        }
+
+        return car;
+    }
+
+    /**
+     * Project a position onto the stage, searching near the car's last distance first
+     * @param {Object} car - Car state
+     * @param {Object} position - {lat, lon}
+     * @returns {Object|null} Projection from projectOnPath, or null if the car is off the stage
+     */
+    locate(car, position) {
+        const { maxOffset, maxJump } = this.options;
+
+        // Searching a window around the last known distance stops stages that cross
+        // or run alongside themselves from snapping onto the wrong pass
+        if (car.distance !== null) {
+            const from = this.indexAtDistance(car.distance - maxOffset);
+            const to = this.indexAtDistance(car.distance + maxJump);
+            const projection = projectOnPath(this.points, this.cumulative, position, from, to);
+            if (projection && projection.offset <= maxOffset) {
+                return projection;
+            }
+        }
+
+        const projection = projectOnPath(this.points, this.cumulative, position);
+        return projection && projection.offset <= maxOffset ? projection : null;
+    }
+
+    /**
+     * Get the stage segment index at a distance, clamped to the stage
+     * @param {number} distance - Distance from the start in metres
+     * @returns {number} Segment index
+     */
+    indexAtDistance(distance) {
+        const clamped = Math.max(0, Math.min(this.length, distance));
+        const point = pointAtDistance(this.points, this.cumulative, clamped);
+        return point ? point.index : 0;
+    }
+
+    /**
+     * Record split times for splits passed since the previous position
+     * Crossing times are interpolated between the two positions
+     * @param {Object} car - Car state (already at the new distance and time)
+     * @param {number} previousDistance - Distance at the previous position
+     * @param {number} previousTime - Timestamp of the previous position
+     */
+    recordSplits(car, previousDistance, previousTime) {
+        const last = this.splitDistances.length - 1;
+
+        this.splitDistances.forEach((splitDistance, index) => {
+            // The finish line counts as crossed within the line tolerance
+            const target = index === last ? splitDistance - this.options.lineTolerance : splitDistance;
+
+            if (car.splits[index] !== null || car.distance < target) {
+                return;
+            }
+
+            const covered = car.distance - previousDistance;
+            const fraction = covered > 0 ? Math.max(0, Math.min(1, (target - previousDistance) / covered)) : 1;
+            const crossingTime = previousTime + (car.time - previousTime) * fraction;
+
+            car.splits[index] = crossingTime - car.startTime;
+            if (index === last) {
+                car.finished = true;
+            }
+
+            if (this.onSplit) {
+                this.onSplit(car.id, index, car.splits[index]);
+            }
+        });
+    }
+
+    /**
+     * Get the timing state of a car
+     * @param {string} id - Car id
+     * @returns {Object|null} Car state
+     */
+    getCar(id) {
+        return this.cars.get(id) || null;
+    }
+
+    /**
+     * Get split distances for the current stage (the last one is the finish)
+     * @returns {Array} Distances in metres
+     */
+    getSplitDistances() {
+        return this.splitDistances;
+    }
+
+    /**
+     * Get the fastest time at each split
+     * @returns {Array} Per split {carId, time}, or null where no car has passed yet
+     */
+    getBestSplitTimes() {
+        return this.splitDistances.map((distance, index) => {
+            let best = null;
+            this.cars.forEach(car => {
+                const time = car.splits[index];
+                if (time !== null && (!best || time < best.time)) {
+                    best = { carId: car.id, time };
+                }
+            });
+            return best;
+        });
+    }
+
+    /**
+     * Build the leaderboard
+     * Each car's gap is the time it lost to the fastest car at its latest split, so it is never
+     * negative, and cars are ranked by that gap; among cars at the same split this is their time
+     * order. Equal gaps put the car further down the road first. Cars without a split follow by distance.
+     * @returns {Array} Entries {rank, id, status, distance, elapsed, splitIndex, splitTime, gap, fastest}
+     */
+    getLeaderboard() {
+        const bests = this.getBestSplitTimes();
+
+        const entries = Array.from(this.cars.values()).map(car => {
+            const splitIndex = car.splits.reduce((latest, time, index) => (time !== null ? index : latest), -1);
+            const splitTime = splitIndex >= 0 ? car.splits[splitIndex] : null;
+
+            let status = 'running';
+            if (car.finished) {
+                status = 'finished';
+            } else if (car.startTime === null) {
+                status = car.atStart ? 'start' : 'untimed';
+            } else if (!car.onStage) {
+                status = 'off';
+            }
+
+            return {
+                id: car.id,
+                status,
+                distance: car.distance || 0,
+                elapsed: car.finished ? splitTime : (car.startTime !== null ? car.time - car.startTime : null),
+                splitIndex,
+                splitTime,
+                gap: splitIndex >= 0 ? splitTime - bests[splitIndex].time : null,
+                fastest: splitIndex >= 0 && bests[splitIndex].carId === car.id,
+                car
+            };
+        });
+
+        entries.sort((a, b) =>
+            ((b.splitIndex >= 0) - (a.splitIndex >= 0)) ||
+            (a.splitIndex >= 0 ? a.gap - b.gap : 0) ||
+            (b.splitIndex - a.splitIndex) ||
+            (b.distance - a.distance)
+        );
+
+        entries.forEach((entry, index) => {
+            entry.rank = index + 1;
+            delete entry.car;
+        });
+
+        return entries;
+    }
+}
@@ -0,0 +1,643 @@
+/**
+ * TrackEditor - Edit mode for tracks and placemarks on top of MapManager
+ * Edits never change a track or icon in place: each one builds new arrays with the
+ * edited feature replaced by a copy. MapManager's per-track geometry cache stays valid
+ * that way, and undo only has to put the previous arrays back.
+ */
+
+import { CONFIG } from '../config.js';
+import { cumulativeDistances, projectOnPath, haversineDistance } from './GeoUtils.js';
+
+// Track ends closer than this are treated as the same point when joining (metres)
+const JOIN_TOLERANCE = 1;
+
+export class TrackEditor {
+    constructor(mapManager) {
+        this.mapManager = mapManager;
+        this.map = null;
+        this.active = false;
+
+        // Features being edited
+        this.tracks = [];
+        this.icons = [];
+
+        // Earlier and undone states: {tracks, icons, label}
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Selection; selectedVertex is an index into selectedTrack.points
+        this.selectedTrack = null;
+        this.selectedVertex = null;
+        this.selectedIcon = null;
+
+        // Action waiting for a click: 'join' (second track) or 'place' (new placemark)
+        this.pendingAction = null;
+        this.pendingPlacemark = null;
+
+        // Selection outline and vertex handles
+        this.layerGroup = null;
+
+        // Callbacks
+        this.onChange = null;   // (tracks, icons) => void
+        this.onStatus = null;   // (message) => void
+
+        this.handleMapClick = (e) => this.placeAt(e.latlng);
+        this.handleMoveEnd = () => this.renderHandles();
+        this.handleKeyDown = (e) => this.onKeyDown(e);
+    }
+
+    /**
+     * Replace the features being edited, e.g. after a file was loaded
+     * Clears the undo history and the selection
+     * @param {Array} tracks - Track objects
+     * @param {Array} icons - Icon objects
+     */
+    setData(tracks, icons) {
+        this.tracks = tracks || [];
+        this.icons = icons || [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.clearSelection();
+        this.setStatus('');
+    }
+
+    /**
+     * Start editing
+     */
+    enable() {
+        if (this.active) {
+            return;
+        }
+
+        this.map = this.mapManager.getMap();
+        this.layerGroup = L.layerGroup().addTo(this.map);
+        this.map.on('click', this.handleMapClick);
+        this.map.on('moveend', this.handleMoveEnd);
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.active = true;
+
+        this.setStatus('Click a track or placemark to edit it');
+        console.log('TrackEditor: Enabled');
+    }
+
+    /**
+     * Stop editing; the undo history is kept until new data is loaded
+     */
+    disable() {
+        if (!this.active) {
+            return;
+        }
+
+        this.clearSelection();
+        this.map.off('click', this.handleMapClick);
+        this.map.off('moveend', this.handleMoveEnd);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.layerGroup.remove();
+        this.layerGroup = null;
+        this.active = false;
+
+        console.log('TrackEditor: Disabled');
+    }
+
+    /**
+     * Handle a click on a track: select it, add a vertex to it, or join it to the selected track
+     * @param {Object} track - Clicked track
+     * @param {L.LatLng} latlng - Clicked position
+     */
+    clickTrack(track, latlng) {
+        // The map click that follows places the placemark
+        if (this.pendingAction === 'place') {
+            return;
+        }
+
+        if (this.pendingAction === 'join') {
+            if (track !== this.selectedTrack) {
+                this.joinTracks(this.selectedTrack, track);
+            }
+            return;
+        }
+
+        if (track === this.selectedTrack) {
+            this.insertVertex(latlng);
+        } else {
+            this.selectTrack(track);
+        }
+    }
+
+    /**
+     * Select a track and show its vertex handles
+     * @param {Object} track - Track object
+     */
+    selectTrack(track) {
+        this.selectedTrack = track;
+        this.selectedVertex = null;
+        this.selectedIcon = null;
+        this.pendingAction = null;
+        this.renderHandles();
+        this.setStatus(`${track.name || 'Track'}: click the track to add a vertex, drag a vertex to move it, right-click a vertex to delete it`);
+    }
+
+    /**
+     * Select a placemark
+     * @param {Object} icon - Icon object
+     */
+    selectIcon(icon) {
+        if (this.pendingAction === 'place') {
+            return;
+        }
+
+        this.selectedTrack = null;
+        this.selectedVertex = null;
+        this.selectedIcon = icon;
+        this.pendingAction = null;
+        this.renderHandles();
+        this.setStatus(`${icon.name || 'Placemark'}: drag to move it, Delete to remove it`);
+    }
+
+    /**
+     * Select a vertex of the selected track
+     * @param {number} index - Point index
+     */
+    selectVertex(index) {
+        this.selectedVertex = index;
+        this.renderHandles();
+        this.setStatus(`Vertex ${index + 1} of ${this.selectedTrack.points.length} selected`);
+    }
+
+    /**
+     * Clear the selection and any pending action
+     */
+    clearSelection() {
+        this.selectedTrack = null;
+        this.selectedVertex = null;
+        this.selectedIcon = null;
+        this.pendingAction = null;
+        this.pendingPlacemark = null;
+        this.renderHandles();
+    }
+
+    /**
+     * Move a placemark
+     * @param {Object} icon - Icon object
+     * @param {L.LatLng} latlng - New position
+     */
+    moveIcon(icon, latlng) {
+        const moved = {
+            ...icon,
+            position: { ...icon.position, lat: latlng.lat, lon: latlng.lng }
+        };
+
+        this.selectedTrack = null;
+        this.selectedVertex = null;
+        this.selectedIcon = moved;
+        this.commit(this.tracks, this.icons.map(item => (item === icon ? moved : item)), `Moved ${icon.name || 'placemark'}`);
+    }
+
+    /**
+     * Move a vertex of the selected track
+     * @param {number} index - Point index
+     * @param {L.LatLng} latlng - New position
+     */
+    moveVertex(index, latlng) {
+        const points = this.selectedTrack.points.slice();
+        points[index] = { ...points[index], lat: latlng.lat, lon: latlng.lng };
+
+        this.updateSelectedTrack(points, index, 'Moved vertex');
+    }
+
+    /**
+     * Insert a vertex into the selected track where it passes nearest to a position
+     * Altitude is interpolated between the neighbouring points
+     * @param {L.LatLng} latlng - Position near the track
+     */
+    insertVertex(latlng) {
+        const track = this.selectedTrack;
+        const cumulative = cumulativeDistances(track.points);
+        const projection = projectOnPath(track.points, cumulative, { lat: latlng.lat, lon: latlng.lng });
+        if (!projection) {
+            return;
+        }
+
+        const index = projection.index;
+        const before = track.points[index];
+        const after = track.points[index + 1];
+        const segment = cumulative[index + 1] - cumulative[index];
+        const ratio = segment > 0 ? (projection.distance - cumulative[index]) / segment : 0;
+        const point = {
+            lat: projection.lat,
+            lon: projection.lon,
+            alt: (before.alt || 0) + ((after.alt || 0) - (before.alt || 0)) * ratio
+        };
+
+        const points = track.points.slice();
+        points.splice(index + 1, 0, point);
+
+        this.updateSelectedTrack(points, index + 1, 'Added vertex');
+    }
+
+    /**
+     * Delete a vertex of the selected track
+     * @param {number} index - Point index
+     */
+    deleteVertex(index) {
+        const points = this.selectedTrack.points;
+        if (points.length <= 2) {
+            this.setStatus('A track needs at least two points');
+            return;
+        }
+
+        this.updateSelectedTrack(points.filter((point, i) => i !== index), null, 'Deleted vertex');
+    }
+
+    /**
+     * Split the selected track at the selected vertex; the second part follows the first
+     */
+    splitTrack() {
+        const track = this.selectedTrack;
+        const index = this.selectedVertex;
+        if (!track || index === null || index === 0 || index === track.points.length - 1) {
+            this.setStatus('Select a vertex inside a track to split it there');
+            return;
+        }
+
+        // Both parts keep the split vertex
+        const first = { ...track, points: track.points.slice(0, index + 1) };
+        const second = {
+            ...track,
+            name: `${track.name || 'Track'} (2)`,
+            points: track.points.slice(index)
+        };
+
+        const tracks = [];
+        this.tracks.forEach(item => {
+            if (item === track) {
+                tracks.push(first, second);
+            } else {
+                tracks.push(item);
+            }
+        });
+
+        this.selectedTrack = first;
+        this.selectedVertex = null;
+        this.commit(tracks, this.icons, `Split ${track.name || 'track'}`);
+    }
+
+    /**
+     * Wait for a click on the track to join to the selected one
+     */
+    startJoin() {
+        if (!this.selectedTrack) {
+            this.setStatus('Select the first track to join');
+            return;
+        }
+
+        this.pendingAction = 'join';
+        this.setStatus(`Click the track to join to ${this.selectedTrack.name || 'the selected track'}`);
+    }
+
+    /**
+     * Join two tracks at their nearest ends
+     * The result keeps the first track's name and style; the second track is removed
+     * @param {Object} track - Track to keep
+     * @param {Object} other - Track to merge into it
+     */
+    joinTracks(track, other) {
+        const reversed = other.points.slice().reverse();
+
+        // [leading, trailing] orders that connect an end of the track to an end of the other
+        const orders = [
+            [track.points, other.points],
+            [track.points, reversed],
+            [other.points, track.points],
+            [reversed, track.points]
+        ];
+        const gap = ([leading, trailing]) => haversineDistance(leading[leading.length - 1], trailing[0]);
+        const [leading, trailing] = orders.reduce((best, order) => (gap(order) < gap(best) ? order : best));
+
+        // Do not double the point where the tracks already meet
+        const points = leading.concat(gap([leading, trailing]) < JOIN_TOLERANCE ? trailing.slice(1) : trailing);
+        const joined = { ...track, points };
+
+        this.selectedTrack = joined;
+        this.selectedVertex = null;
+        this.pendingAction = null;
+        this.commit(
+            this.tracks.filter(item => item !== other).map(item => (item === track ? joined : item)),
+            this.icons,
+            `Joined ${other.name || 'track'} to ${track.name || 'track'}`
+        );
+    }
+
+    /**
+     * List the icon images in the file to pick one for a new placemark
+     * @returns {Array} [{label, icon}] with one example icon per style and image
+     */
+    getIconTemplates() {
+        const templates = new Map();
+        this.icons.forEach(icon => {
+            const category = this.mapManager.getIconCategory(icon);
+            const key = `${category}|${icon.iconUrl || ''}`;
+            const entry = templates.get(key) || { category, icon, count: 0 };
+            entry.count++;
+            templates.set(key, entry);
+        });
+
+        return [...templates.values()].map(({ category, icon, count }) => ({
+            label: `${category} (${count})`,
+            icon
+        }));
+    }
+
+    /**
+     * Wait for a map click to place a new placemark
+     * @param {Object} placemark - {name, description, template} where template is an icon
+     *                             from getIconTemplates() whose image, style and folder are used
+     */
+    startPlacemark(placemark) {
+        this.pendingAction = 'place';
+        this.pendingPlacemark = placemark;
+        this.setStatus(`Click the map to place ${placemark.name || 'the placemark'}`);
+    }
+
+    /**
+     * Place the pending placemark
+     * @param {L.LatLng} latlng - Position
+     */
+    placeAt(latlng) {
+        if (this.pendingAction !== 'place') {
+            return;
+        }
+
+        const { name, description, template } = this.pendingPlacemark;
+        const icon = {
+            name: name || `Point ${this.icons.length + 1}`,
+            description: description || null,
+            position: { lat: latlng.lat, lon: latlng.lng, alt: 0 },
+            originalIndex: this.icons.length,
+            iconUrl: template ? template.iconUrl : null,
+            iconSize: template ? template.iconSize : null,
+            iconAnchor: template ? template.iconAnchor : null,
+            style: template ? template.style : null,
+            visible: true,
+            folderId: template ? template.folderId : null,
+            folderIds: template ? template.folderIds : [],
+            folderPath: template ? template.folderPath : []
+        };
+
+        this.pendingAction = null;
+        this.pendingPlacemark = null;
+        this.selectedTrack = null;
+        this.selectedVertex = null;
+        this.selectedIcon = icon;
+        this.commit(this.tracks, [...this.icons, icon], `Added ${icon.name}`);
+    }
+
+    /**
+     * Delete the selected vertex, placemark or track
+     */
+    deleteSelected() {
+        if (this.selectedTrack && this.selectedVertex !== null) {
+            this.deleteVertex(this.selectedVertex);
+        } else if (this.selectedIcon) {
+            const icon = this.selectedIcon;
+            this.selectedIcon = null;
+            this.commit(this.tracks, this.icons.filter(item => item !== icon), `Deleted ${icon.name || 'placemark'}`);
+        } else if (this.selectedTrack) {
+            const track = this.selectedTrack;
+            this.selectedTrack = null;
+            this.commit(this.tracks.filter(item => item !== track), this.icons, `Deleted ${track.name || 'track'}`);
+        }
+    }
+
+    /**
+     * Replace the selected track's points
+     * @param {Array} points - New points
+     * @param {number|null} selectedVertex - Vertex to select afterwards
+     * @param {string} label - Description for the undo history
+     */
+    updateSelectedTrack(points, selectedVertex, label) {
+        const track = this.selectedTrack;
+        const updated = { ...track, points };
+
+        this.selectedTrack = updated;
+        this.selectedVertex = selectedVertex;
+        this.commit(this.tracks.map(item => (item === track ? updated : item)), this.icons, label);
+    }
+
+    /**
+     * Record the current state for undo and switch to a new one
+     * @param {Array} tracks - New tracks
+     * @param {Array} icons - New icons
+     * @param {string} label - Description for the undo history
+     */
+    commit(tracks, icons, label) {
+        this.undoStack.push({ tracks: this.tracks, icons: this.icons, label });
+        if (this.undoStack.length > CONFIG.edit.historySize) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.apply(tracks, icons);
+        this.setStatus(label);
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return;
+        }
+
+        this.redoStack.push({ tracks: this.tracks, icons: this.icons, label: entry.label });
+        this.restore(entry);
+        this.setStatus(`Undid: ${entry.label}`);
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return;
+        }
+
+        this.undoStack.push({ tracks: this.tracks, icons: this.icons, label: entry.label });
+        this.restore(entry);
+        this.setStatus(`Redid: ${entry.label}`);
+    }
+
+    /**
+     * Check whether there is an edit to undo
+     * @returns {boolean} True if undo() would change something
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an edit to redo
+     * @returns {boolean} True if redo() would change something
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Switch to a state from the history, keeping the selection at the same position
+     * @param {Object} entry - {tracks, icons}
+     */
+    restore(entry) {
+        const trackIndex = this.tracks.indexOf(this.selectedTrack);
+        const iconIndex = this.icons.indexOf(this.selectedIcon);
+
+        this.selectedTrack = entry.tracks[trackIndex] || null;
+        this.selectedIcon = entry.icons[iconIndex] || null;
+        this.selectedVertex = null;
+        this.pendingAction = null;
+
+        this.apply(entry.tracks, entry.icons);
+    }
+
+    /**
+     * Make a state current and report it
+     * @param {Array} tracks - Tracks
+     * @param {Array} icons - Icons
+     */
+    apply(tracks, icons) {
+        this.tracks = tracks;
+        this.icons = icons;
+
+        if (this.onChange) {
+            this.onChange(tracks, icons);
+        }
+
+        this.renderHandles();
+    }
+
+    /**
+     * Draw the selection outline and the handles of vertices in view
+     * Handles are skipped when too many vertices are in view; zooming in brings them back
+     */
+    renderHandles() {
+        if (!this.layerGroup) {
+            return;
+        }
+
+        this.layerGroup.clearLayers();
+
+        if (this.selectedIcon && this.selectedIcon.position) {
+            this.layerGroup.addLayer(L.circleMarker([this.selectedIcon.position.lat, this.selectedIcon.position.lon], {
+                radius: 18,
+                color: '#00e5ff',
+                weight: 3,
+                fill: false,
+                interactive: false
+            }));
+        }
+
+        const track = this.selectedTrack;
+        if (!track) {
+            return;
+        }
+
+        this.layerGroup.addLayer(L.polyline(track.points.map(point => [point.lat, point.lon]), {
+            color: '#00e5ff',
+            weight: 10,
+            opacity: 0.35,
+            interactive: false
+        }));
+
+        const bounds = this.map.getBounds().pad(0.1);
+        const indices = [];
+        track.points.forEach((point, index) => {
+            if (bounds.contains([point.lat, point.lon])) {
+                indices.push(index);
+            }
+        });
+
+        if (indices.length > CONFIG.edit.maxVertexHandles) {
+            this.setStatus(`Zoom in to edit the ${indices.length} vertices in view`);
+            return;
+        }
+
+        indices.forEach(index => this.layerGroup.addLayer(this.createVertexHandle(index)));
+    }
+
+    /**
+     * Create the draggable handle for a vertex of the selected track
+     * @param {number} index - Point index
+     * @returns {L.Marker} Handle marker
+     */
+    createVertexHandle(index) {
+        const points = this.selectedTrack.points;
+        const point = points[index];
+        const classes = ['edit-vertex'];
+        if (index === 0 || index === points.length - 1) {
+            classes.push('edit-vertex-end');
+        }
+        if (index === this.selectedVertex) {
+            classes.push('selected');
+        }
+
+        const handle = L.marker([point.lat, point.lon], {
+            icon: L.divIcon({ className: classes.join(' '), iconSize: [12, 12], iconAnchor: [6, 6] }),
+            draggable: true,
+            keyboard: false
+        });
+
+        handle.on('click', () => this.selectVertex(index));
+        handle.on('dragend', () => this.moveVertex(index, handle.getLatLng()));
+        handle.on('contextmenu', (e) => {
+            L.DomEvent.preventDefault(e.originalEvent);
+            this.deleteVertex(index);
+        });
+
+        return handle;
+    }
+
+    /**
+     * Keyboard shortcuts: Delete, Escape, Ctrl+Z and Ctrl+Y / Ctrl+Shift+Z
+     * @param {KeyboardEvent} e - Key event
+     */
+    onKeyDown(e) {
+        const target = e.target;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        const modifier = e.ctrlKey || e.metaKey;
+
+        if (modifier && key === 'z') {
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (modifier && key === 'y') {
+            this.redo();
+        } else if (key === 'delete' || key === 'backspace') {
+            this.deleteSelected();
+        } else if (key === 'escape') {
+            this.clearSelection();
+            this.setStatus('Click a track or placemark to edit it');
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+    }
+
+    /**
+     * Report a status message
+     * @param {string} message - Message
+     */
+    setStatus(message) {
+        if (this.onStatus) {
+            this.onStatus(message);
+        }
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * TrackSimplifier - Multi-resolution version of a track for drawing at any zoom level
+ * Runs Douglas-Peucker once and records, for every point, the largest tolerance at which
+ * it would still be kept. Any zoom level is then a single filter pass, cached per level.
+ */
+
+const EARTH_RADIUS = 6371008.8;
+
+// Ground resolution of a 256 px Web Mercator tile at zoom 0 on the equator (m/px)
+const EQUATOR_METRES_PER_PIXEL = 2 * Math.PI * 6378137 / 256;
+
+export class TrackSimplifier {
+    /**
+     * @param {Array} points - Array of {lat, lon}
+     * @param {number} tolerance - Allowed deviation from the full track in screen pixels
+     */
+    constructor(points, tolerance = 1) {
+        this.points = points;
+        this.tolerance = tolerance;
+        this.significance = this.computeSignificance(points);
+
+        // Simplified point arrays keyed by integer zoom level
+        this.levels = new Map();
+
+        // Latitude used for metres per pixel; tracks span too little for it to vary
+        this.referenceLat = points.length > 0 ? points[Math.floor(points.length / 2)].lat : 0;
+    }
+
+    /**
+     * Douglas-Peucker significance of every point
+     * A point's significance never exceeds that of the point that split its range,
+     * so filtering by one tolerance gives exactly the Douglas-Peucker result for it
+     * @param {Array} points - Array of {lat, lon}
+     * @returns {Float64Array} Significance in metres; endpoints are Infinity
+     */
+    computeSignificance(points) {
+        const count = points.length;
+        const significance = new Float64Array(count);
+        if (count === 0) {
+            return significance;
+        }
+
+        significance[0] = Infinity;
+        significance[count - 1] = Infinity;
+
+        // Local equirectangular metres, accurate at stage scale
+        const scale = EARTH_RADIUS * Math.PI / 180;
+        const cosLat = Math.cos(points[0].lat * Math.PI / 180);
+        const x = new Float64Array(count);
+        const y = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            x[i] = points[i].lon * cosLat * scale;
+            y[i] = points[i].lat * scale;
+        }
+
+        // Explicit stack of [first, last, limit]; 50k point traces are too deep for recursion
+        const stack = [0, count - 1, Infinity];
+        while (stack.length > 0) {
+            const limit = stack.pop();
+            const last = stack.pop();
+            const first = stack.pop();
+
+            const dx = x[last] - x[first];
+            const dy = y[last] - y[first];
+            const lengthSquared = dx * dx + dy * dy;
+
+            let maxDistance = -1;
+            let maxIndex = -1;
+            for (let i = first + 1; i < last; i++) {
+                const px = x[i] - x[first];
+                const py = y[i] - y[first];
+                const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+                const ox = px - dx * t;
+                const oy = py - dy * t;
+                const distance = ox * ox + oy * oy;
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    maxIndex = i;
+                }
+            }
+
+            if (maxIndex < 0) {
+                continue;
+            }
+
+            const value = Math.min(Math.sqrt(maxDistance), limit);
+            significance[maxIndex] = value;
+            stack.push(first, maxIndex, value, maxIndex, last, value);
+        }
+
+        return significance;
+    }
+
+    /**
+     * Ground distance covered by one screen pixel
+     * @param {number} zoom - Integer zoom level
+     * @returns {number} Metres per pixel
+     */
+    metresPerPixel(zoom) {
+        return EQUATOR_METRES_PER_PIXEL * Math.cos(this.referenceLat * Math.PI / 180) / Math.pow(2, zoom);
+    }
+
+    /**
+     * Get the points to draw at a zoom level
+     * Fractional zooms use the next finer level so detail is never missing
+     * @param {number} zoom - Map zoom level
+     * @returns {Array} Subset of the track's points, in order
+     */
+    getPoints(zoom) {
+        const level = Math.ceil(zoom);
+        let points = this.levels.get(level);
+
+        if (!points) {
+            const minimum = this.tolerance * this.metresPerPixel(level);
+            points = this.points.filter((point, index) => this.significance[index] > minimum);
+            this.levels.set(level, points);
+        }
+
+        return points;
+    }
+}
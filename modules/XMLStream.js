@@ -0,0 +1,431 @@
+/**
+ * XMLStream - Streaming XML tokenizer and a lightweight element tree
+ * Used where DOMParser is not available (Web Workers). The tree implements the small
+ * part of the DOM API that KMLParser relies on, so the same extraction code runs on both
+ */
+
+const ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: '\''
+};
+
+/**
+ * Decode XML character and entity references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    if (!text.includes('&')) {
+        return text;
+    }
+
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Count line breaks in part of a string
+ * @param {string} text - Text
+ * @param {number} from - Start index
+ * @param {number} to - End index (exclusive)
+ * @returns {number} Number of '\n' characters
+ */
+function countLines(text, from, to) {
+    // Only the token's own range; indexOf would scan on to the end of the chunk
+    let count = 0;
+    for (let i = from; i < to; i++) {
+        if (text.charCodeAt(i) === 10) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Tokenizes XML text that arrives in chunks
+ * Incomplete tokens at the end of a chunk are kept until the next write()
+ */
+export class XMLTokenizer {
+    constructor() {
+        this.buffer = '';
+
+        // 1-based line of the token being reported, for diagnostics
+        this.line = 1;
+
+        // Callbacks
+        this.onOpenTag = null;      // (name, attributes, selfClosing) => void
+        this.onCloseTag = null;     // (name) => void
+        this.onText = null;         // (text) => void
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} chunk - XML text
+     */
+    write(chunk) {
+        this.buffer += chunk;
+        const buffer = this.buffer;
+        let position = 0;
+
+        while (position < buffer.length) {
+            const tagStart = buffer.indexOf('<', position);
+
+            if (tagStart < 0) {
+                // Keep a trailing partial entity for the next chunk
+                const ampersand = buffer.lastIndexOf('&');
+                const end = ampersand >= position && buffer.indexOf(';', ampersand) < 0 ? ampersand : buffer.length;
+                this.emitText(buffer.substring(position, end));
+                this.line += countLines(buffer, position, end);
+                position = end;
+                break;
+            }
+
+            if (tagStart > position) {
+                this.emitText(buffer.substring(position, tagStart));
+                this.line += countLines(buffer, position, tagStart);
+                position = tagStart;
+            }
+
+            const tagEnd = this.readMarkup(buffer, tagStart);
+            if (tagEnd < 0) {
+                break;
+            }
+            this.line += countLines(buffer, tagStart, tagEnd);
+            position = tagEnd;
+        }
+
+        this.buffer = buffer.substring(position);
+    }
+
+    /**
+     * Finish tokenizing
+     * @throws {Error} If the input ended inside markup
+     */
+    end() {
+        if (this.buffer.trim()) {
+            throw new Error('Unexpected end of XML');
+        }
+        this.buffer = '';
+    }
+
+    /**
+     * Read one markup token starting at '<'
+     * @param {string} buffer - Current buffer
+     * @param {number} start - Index of '<'
+     * @returns {number} Index after the token, or -1 if it is not complete yet
+     */
+    readMarkup(buffer, start) {
+        if (buffer.startsWith('<!--', start)) {
+            const end = buffer.indexOf('-->', start + 4);
+            return end < 0 ? -1 : end + 3;
+        }
+
+        if (buffer.startsWith('<![CDATA[', start)) {
+            const end = buffer.indexOf(']]>', start + 9);
+            if (end < 0) {
+                return -1;
+            }
+            if (this.onText) {
+                this.onText(buffer.substring(start + 9, end));
+            }
+            return end + 3;
+        }
+
+        if (buffer.startsWith('<?', start)) {
+            const end = buffer.indexOf('?>', start + 2);
+            return end < 0 ? -1 : end + 2;
+        }
+
+        if (buffer.startsWith('<!', start)) {
+            // DOCTYPE, possibly with an internal subset in brackets
+            const bracket = buffer.indexOf('[', start);
+            const close = buffer.indexOf('>', start);
+            if (bracket >= 0 && (close < 0 || bracket < close)) {
+                const end = buffer.indexOf(']>', bracket);
+                return end < 0 ? -1 : end + 2;
+            }
+            return close < 0 ? -1 : close + 1;
+        }
+
+        const end = this.findTagEnd(buffer, start + 1);
+        if (end < 0) {
+            return -1;
+        }
+
+        const content = buffer.substring(start + 1, end);
+        if (content[0] === '/') {
+            if (this.onCloseTag) {
+                this.onCloseTag(content.substring(1).trim());
+            }
+        } else {
+            this.emitOpenTag(content);
+        }
+
+        return end + 1;
+    }
+
+    /**
+     * Find the '>' closing a tag, skipping quoted attribute values
+     * @param {string} buffer - Current buffer
+     * @param {number} from - Index to start searching
+     * @returns {number} Index of '>' or -1 if not in the buffer yet
+     */
+    findTagEnd(buffer, from) {
+        let quote = null;
+
+        for (let i = from; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Parse an opening tag and notify listeners
+     * @param {string} content - Tag content between '<' and '>'
+     */
+    emitOpenTag(content) {
+        const selfClosing = content.endsWith('/');
+        const body = selfClosing ? content.substring(0, content.length - 1) : content;
+        const nameMatch = body.match(/^[^\s/>]+/);
+        if (!nameMatch) {
+            throw new Error(`Malformed XML tag on line ${this.line}`);
+        }
+
+        const attributes = {};
+        const attributeText = body.substring(nameMatch[0].length);
+        const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = attributePattern.exec(attributeText)) !== null) {
+            attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+        }
+
+        if (this.onOpenTag) {
+            this.onOpenTag(nameMatch[0], attributes, selfClosing);
+        }
+    }
+
+    /**
+     * Notify listeners of decoded text
+     * @param {string} text - Raw text
+     */
+    emitText(text) {
+        if (text && this.onText) {
+            this.onText(decodeEntities(text));
+        }
+    }
+}
+
+/**
+ * Element node with the subset of the DOM Element API used by the parsers
+ */
+export class XMLElement {
+    constructor(tagName, attributes, parentElement, ownerDocument, lineNumber = null) {
+        this.tagName = tagName;
+        this.localName = tagName.includes(':') ? tagName.substring(tagName.indexOf(':') + 1) : tagName;
+        this.attributes = attributes;
+        this.parentElement = parentElement;
+        this.ownerDocument = ownerDocument;
+        this.children = [];
+
+        // Line of the opening tag; DOM elements have no equivalent, so callers must allow null
+        this.lineNumber = lineNumber;
+
+        // Child elements and text strings in document order
+        this.childNodes = [];
+    }
+
+    /**
+     * Concatenated text of this element and all descendants
+     * @returns {string} Text content
+     */
+    get textContent() {
+        return this.childNodes.map(node => (typeof node === 'string' ? node : node.textContent)).join('');
+    }
+
+    /**
+     * Get an attribute value
+     * @param {string} name - Attribute name
+     * @returns {string|null} Value or null if not set
+     */
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    /**
+     * Find descendant elements by tag name, in document order
+     * @param {string} tagName - Qualified tag name, or '*' for all
+     * @returns {Array} Matching elements
+     */
+    getElementsByTagName(tagName) {
+        const matches = [];
+        const stack = [...this.children].reverse();
+
+        while (stack.length > 0) {
+            const element = stack.pop();
+            if (tagName === '*' || element.tagName === tagName) {
+                matches.push(element);
+            }
+            for (let i = element.children.length - 1; i >= 0; i--) {
+                stack.push(element.children[i]);
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find the nearest ancestor (or self) with a local name
+     * Only plain element names are supported, not full CSS selectors
+     * @param {string} name - Element local name
+     * @returns {XMLElement|null} Matching element
+     */
+    closest(name) {
+        let element = this;
+        while (element) {
+            if (element.localName === name) {
+                return element;
+            }
+            element = element.parentElement;
+        }
+        return null;
+    }
+}
+
+/**
+ * Document node with the subset of the DOM Document API used by the parsers
+ */
+export class XMLDocument {
+    constructor() {
+        this.documentElement = null;
+        this.ids = new Map();
+    }
+
+    /**
+     * Find elements by tag name, including the root element
+     * @param {string} tagName - Qualified tag name, or '*' for all
+     * @returns {Array} Matching elements
+     */
+    getElementsByTagName(tagName) {
+        if (!this.documentElement) {
+            return [];
+        }
+
+        const matches = this.documentElement.getElementsByTagName(tagName);
+        if (tagName === '*' || this.documentElement.tagName === tagName) {
+            matches.unshift(this.documentElement);
+        }
+        return matches;
+    }
+
+    /**
+     * Find an element by its id attribute
+     * @param {string} id - Element id
+     * @returns {XMLElement|null} Element or null
+     */
+    getElementById(id) {
+        return this.ids.get(id) || null;
+    }
+}
+
+/**
+ * Builds an XMLDocument from chunks of XML text
+ */
+export class XMLTreeBuilder {
+    constructor() {
+        this.document = new XMLDocument();
+        this.current = null;
+
+        this.tokenizer = new XMLTokenizer();
+        this.tokenizer.onOpenTag = (name, attributes, selfClosing) => this.openElement(name, attributes, selfClosing);
+        this.tokenizer.onCloseTag = (name) => this.closeElement(name);
+        this.tokenizer.onText = (text) => {
+            if (this.current) {
+                this.current.childNodes.push(text);
+            }
+        };
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} chunk - XML text
+     */
+    write(chunk) {
+        this.tokenizer.write(chunk);
+    }
+
+    /**
+     * Finish building and return the document
+     * @returns {XMLDocument} Parsed document
+     * @throws {Error} If the XML is not well formed
+     */
+    end() {
+        this.tokenizer.end();
+
+        if (!this.document.documentElement) {
+            throw new Error('XML document has no root element');
+        }
+        if (this.current) {
+            throw new Error(`Unclosed XML element <${this.current.tagName}> opened on line ${this.current.lineNumber}`);
+        }
+
+        return this.document;
+    }
+
+    /**
+     * Handle an opening tag
+     * @param {string} name - Tag name
+     * @param {Object} attributes - Attribute values
+     * @param {boolean} selfClosing - Whether the tag closes itself
+     */
+    openElement(name, attributes, selfClosing) {
+        const element = new XMLElement(name, attributes, this.current, this.document, this.tokenizer.line);
+
+        if (this.current) {
+            this.current.children.push(element);
+            this.current.childNodes.push(element);
+        } else if (this.document.documentElement) {
+            throw new Error(`XML document has more than one root element (line ${this.tokenizer.line})`);
+        } else {
+            this.document.documentElement = element;
+        }
+
+        // First element wins for duplicate ids, as with getElementById
+        if (attributes.id !== undefined && !this.document.ids.has(attributes.id)) {
+            this.document.ids.set(attributes.id, element);
+        }
+
+        if (!selfClosing) {
+            this.current = element;
+        }
+    }
+
+    /**
+     * Handle a closing tag
+     * @param {string} name - Tag name
+     */
+    closeElement(name) {
+        if (!this.current || this.current.tagName !== name) {
+            const expected = this.current ? `, expected </${this.current.tagName}> opened on line ${this.current.lineNumber}` : '';
+            throw new Error(`Unexpected closing tag </${name}> on line ${this.tokenizer.line}${expected}`);
+        }
+        this.current = this.current.parentElement;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Service Worker - Serves cached map tiles and keeps the app usable offline
+ *
+ * Tiles are written to TILE_CACHE by a prefetch that TileCache requests with a
+ * {type: 'prefetch-tiles', id, urls, concurrency} message. Progress goes back to
+ * the requesting page as 'tile-progress' messages and a final 'tile-done'.
+ * Every other GET is network first, falling back to the copy stored on the last
+ * successful load, so a page opened once online still starts air-gapped. Opaque
+ * responses are never stored, which is why index.html loads Leaflet and its plugins
+ * from the CDN with crossorigin.
+ *
+ * Lives at the site root so its scope covers the whole app. Plain script rather than
+ * a module, as module service workers are not supported everywhere.
+ */
+
+// Keep in sync with TILE_CACHE in modules/TileCache.js
+const TILE_CACHE = 'rally-tiles-v1';
+const APP_CACHE = 'rally-app-v1';
+
+// Prefetch ids cancelled by the page
+const cancelled = new Set();
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    // Control pages that were opened before the worker was installed
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) {
+        return;
+    }
+
+    event.respondWith(respond(request));
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'prefetch-tiles') {
+        event.waitUntil(prefetchTiles(message, event.source));
+    } else if (message.type === 'cancel-prefetch') {
+        cancelled.add(message.id);
+    }
+});
+
+/**
+ * Answer a request from the tile cache, the network, or the app cache
+ * @param {Request} request - Intercepted request
+ * @returns {Promise<Response>} Response
+ */
+async function respond(request) {
+    const tiles = await caches.open(TILE_CACHE);
+    const cachedTile = await tiles.match(request.url);
+    if (cachedTile) {
+        return cachedTile;
+    }
+
+    try {
+        const response = await fetch(request);
+
+        // Opaque responses (cross-origin images) cannot be checked, and tiles are only
+        // stored by prefetch; everything else is remembered for offline starts
+        if (response.ok && response.type !== 'opaque' && request.destination !== 'image') {
+            const app = await caches.open(APP_CACHE);
+            await app.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName: APP_CACHE });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Download tiles into the tile cache, skipping those already stored
+ * @param {Object} message - {id, urls, concurrency}
+ * @param {Client} client - Page to report progress to
+ */
+async function prefetchTiles({ id, urls, concurrency = 4 }, client) {
+    const cache = await caches.open(TILE_CACHE);
+    const progress = { id, done: 0, total: urls.length, failed: 0, bytes: 0 };
+    let next = 0;
+    let lastReport = 0;
+
+    const report = (type) => {
+        client.postMessage({ type, ...progress, cancelled: cancelled.has(id) });
+    };
+
+    const worker = async () => {
+        while (next < urls.length && !cancelled.has(id)) {
+            const url = urls[next++];
+
+            try {
+                const cached = await cache.match(url);
+                if (cached) {
+                    progress.bytes += (await cached.blob()).size;
+                } else {
+                    const response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    const blob = await response.clone().blob();
+                    await cache.put(url, response);
+                    progress.bytes += blob.size;
+                }
+            } catch (error) {
+                progress.failed++;
+            }
+
+            progress.done++;
+
+            // Report a few times a second rather than per tile
+            const now = Date.now();
+            if (now - lastReport > 250) {
+                lastReport = now;
+                report('tile-progress');
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    report('tile-done');
+    cancelled.delete(id);
+}
@@ -0,0 +1,103 @@
+/**
+ * MBTiles Server - Serves tiles from an MBTiles file for fully offline overlays
+ *
+ * Usage:
+ *   node tools/mbtiles-server.mjs <file.mbtiles> [--port 8766]
+ *
+ * Tiles are served as http://localhost:8766/{z}/{x}/{y} in the XYZ scheme the viewer
+ * uses (MBTiles stores rows in TMS order, flipped here). Matches the 'mbtiles' entry
+ * in CONFIG.map.mapTypes. Uses the SQLite module built into Node 22.13+, so there are
+ * no dependencies beyond Node itself.
+ */
+
+import { createServer } from 'node:http';
+import { DatabaseSync } from 'node:sqlite';
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    pbf: 'application/x-protobuf'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Options {file, port}
+ */
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        port: 8766
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else {
+            options.file = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read the MBTiles metadata table
+ * @param {DatabaseSync} database - Open MBTiles database
+ * @returns {Object} Metadata values keyed by name
+ */
+function readMetadata(database) {
+    const metadata = {};
+    database.prepare('SELECT name, value FROM metadata').all().forEach(({ name, value }) => {
+        metadata[name] = value;
+    });
+    return metadata;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options.file) {
+    console.error('Usage: node tools/mbtiles-server.mjs <file.mbtiles> [--port 8766]');
+    process.exit(1);
+}
+
+const database = new DatabaseSync(options.file, { readOnly: true });
+const metadata = readMetadata(database);
+const contentType = CONTENT_TYPES[metadata.format] || 'image/png';
+const selectTile = database.prepare(
+    'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+);
+
+const server = createServer((req, res) => {
+    // Tiles are fetched cross-origin by the viewer and its service worker
+    const headers = { 'Access-Control-Allow-Origin': '*' };
+
+    const match = req.url.match(/^\/(\d+)\/(\d+)\/(\d+)(\.\w+)?(\?.*)?$/);
+    if (!match) {
+        res.writeHead(404, headers);
+        res.end();
+        return;
+    }
+
+    const [z, x, y] = match.slice(1, 4).map(Number);
+    const row = selectTile.get(z, x, Math.pow(2, z) - 1 - y);
+
+    if (!row) {
+        res.writeHead(404, headers);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        ...headers,
+        'Content-Type': contentType,
+        'Cache-Control': 'public, max-age=86400'
+    });
+    res.end(row.tile_data);
+});
+
+server.listen(options.port, () => {
+    console.log(`MBTiles server: ${metadata.name || options.file} (${metadata.format || 'png'}) on http://localhost:${options.port}/{z}/{x}/{y}`);
+});
@@ -0,0 +1,177 @@
+/**
+ * Mock Telemetry Server - Replays a recorded position file over WebSocket
+ *
+ * Usage:
+ *   node tools/mock-telemetry-server.mjs [file] [--port 8765] [--speed 1] [--no-loop]
+ *
+ * The file is NDJSON, one position per line:
+ *   {"id":"7","lat":47.69,"lon":17.63,"heading":90,"speed":112,"timestamp":0}
+ *
+ * Timestamps (ms or ISO strings) set the replay timing relative to the first
+ * line. Each message is sent with its timestamp rewritten to the current time
+ * so the viewer treats it as live. No dependencies beyond Node itself.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Options {file, port, speed, loop}
+ */
+function parseArgs(argv) {
+    const options = {
+        file: join(dirname(fileURLToPath(import.meta.url)), 'sample-telemetry.ndjson'),
+        port: 8765,
+        speed: 1,
+        loop: true
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (arg === '--speed') {
+            options.speed = parseFloat(argv[++i]);
+        } else if (arg === '--no-loop') {
+            options.loop = false;
+        } else {
+            options.file = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load and sort recorded positions
+ * @param {string} file - Path to NDJSON file
+ * @returns {Array} Positions with numeric `offset` (ms since first record)
+ */
+function loadRecording(file) {
+    const records = readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .map(record => ({
+            ...record,
+            time: typeof record.timestamp === 'string' ? Date.parse(record.timestamp) : Number(record.timestamp)
+        }))
+        .sort((a, b) => a.time - b.time);
+
+    const start = records.length > 0 ? records[0].time : 0;
+    return records.map(({ time, ...record }) => ({ record, offset: time - start }));
+}
+
+/**
+ * Encode a text WebSocket frame (server frames are not masked)
+ * @param {string} text - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+const options = parseArgs(process.argv.slice(2));
+const recording = loadRecording(options.file);
+const clients = new Set();
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket endpoint\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`Client connected (${clients.size} total)`);
+
+    // Any close frame (opcode 0x8) from the client ends the connection
+    socket.on('data', (data) => {
+        if ((data[0] & 0x0f) === 0x8) {
+            socket.end(Buffer.from([0x88, 0x00]));
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(socket);
+        console.log(`Client disconnected (${clients.size} total)`);
+    });
+
+    socket.on('error', () => clients.delete(socket));
+});
+
+/**
+ * Send a position to every connected client
+ * @param {Object} record - Recorded position
+ */
+function broadcast(record) {
+    const frame = encodeFrame(JSON.stringify({ ...record, timestamp: Date.now() }));
+    clients.forEach(socket => socket.write(frame));
+}
+
+/**
+ * Replay the recording once, then loop if enabled
+ */
+function replay() {
+    const duration = recording.length > 0 ? recording[recording.length - 1].offset : 0;
+
+    recording.forEach(({ record, offset }) => {
+        setTimeout(() => broadcast(record), offset / options.speed);
+    });
+
+    if (options.loop) {
+        // Small pause between loops so cars visibly restart
+        setTimeout(replay, duration / options.speed + 1000);
+    } else {
+        setTimeout(() => {
+            console.log('Replay finished');
+            clients.forEach(socket => socket.end());
+            server.close();
+        }, duration / options.speed + 100);
+    }
+}
+
+server.listen(options.port, () => {
+    console.log(`Replaying ${recording.length} positions from ${options.file}`);
+    console.log(`Listening on ws://localhost:${options.port} at ${options.speed}x`);
+    replay();
+});
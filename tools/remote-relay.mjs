@@ -0,0 +1,195 @@
+/**
+ * Remote Relay - Passes remote control messages between the controller and overlays
+ *
+ * Usage:
+ *   node tools/remote-relay.mjs [--port 8767]
+ *
+ * Every text message from one client is forwarded to all other clients, so a
+ * controller page on one machine can drive an overlay on another. Point both at
+ * ws://<host>:8767 (CONFIG.remote.url, ?remoteUrl= on the overlay, ?remote= on
+ * the controller). No dependencies beyond Node itself.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Control messages are small; anything larger is not from the viewer
+const MAX_PAYLOAD = 1024 * 1024;
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Options {port}
+ */
+function parseArgs(argv) {
+    const options = {
+        port: 8767
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Encode a WebSocket frame (server frames are not masked)
+ * @param {number} opcode - 0x1 text, 0x8 close, 0xA pong
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete frame in a buffer (client frames are masked)
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} {opcode, payload, length} or null if the frame is incomplete
+ * @throws {Error} If the frame is larger than MAX_PAYLOAD
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+        throw new Error(`Frame of ${length} bytes is too large`);
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+        offset += 4;
+    }
+    if (buffer.length < offset + length) {
+        return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { opcode, payload, length: offset + length };
+}
+
+const options = parseArgs(process.argv.slice(2));
+const clients = new Set();
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket endpoint\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`Client connected (${clients.size} total)`);
+
+    // Frames can be split across or packed into data events
+    let received = Buffer.alloc(0);
+
+    socket.on('data', (data) => {
+        received = Buffer.concat([received, data]);
+
+        let frame;
+        try {
+            while ((frame = decodeFrame(received))) {
+                received = received.subarray(frame.length);
+
+                if (frame.opcode === 0x1) {
+                    relay(socket, encodeFrame(0x1, frame.payload));
+                } else if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                    return;
+                } else if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(0xA, frame.payload));
+                }
+            }
+        } catch (error) {
+            console.warn(`Dropping client: ${error.message}`);
+            socket.destroy();
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(socket);
+        console.log(`Client disconnected (${clients.size} total)`);
+    });
+
+    socket.on('error', () => clients.delete(socket));
+});
+
+/**
+ * Send a frame to every client except the sender
+ * @param {net.Socket} sender - Client the message came from
+ * @param {Buffer} frame - Encoded frame
+ */
+function relay(sender, frame) {
+    clients.forEach(socket => {
+        if (socket !== sender && socket.writable) {
+            socket.write(frame);
+        }
+    });
+}
+
+server.listen(options.port, () => {
+    console.log(`Remote relay listening on ws://localhost:${options.port}`);
+});